@@ -0,0 +1,85 @@
+import fs from 'fs';
+import {createAppAuth} from '@octokit/auth-app';
+import {logger} from './logger.js';
+
+// credentials of the source and target, configured once per run by the CLI
+const credentials = new Map();
+// environment variables holding the token of the source and target, set by --source-token-env and --target-token-env
+const tokenEnvNames = new Map([['source', 'SOURCE_TOKEN'], ['target', 'TARGET_TOKEN']]);
+
+/**
+ * Sets the environment variable holding the token of the source or target organization,
+ * which getToken falls back to when no credentials are configured.
+ * @param {string} side - Either source or target
+ * @param {string} name - Name of the environment variable
+ */
+export function configureTokenEnv(side, name) {
+  tokenEnvNames.set(side, name);
+}
+
+/**
+ * Configures the credentials of the source or target organization.
+ * With a GitHub App, installation tokens are minted on first use and minted again
+ * when they are about to expire. Otherwise the personal access token is used as is.
+ * @param {string} side - Either source or target
+ * @param {Object} settings - Authentication settings
+ * @param {string} [settings.token] - Personal access token
+ * @param {string} [settings.appId] - GitHub App ID
+ * @param {string} [settings.privateKey] - Private key of the GitHub App, or path to the PEM file
+ * @param {string} [settings.installationId] - Installation ID of the GitHub App in the organization
+ * @param {Function} [settings.request] - Octokit request function used to mint installation tokens
+ * @returns {Object} Credentials
+ * @throws {Error} If the GitHub App settings are incomplete
+ */
+export function configureCredentials(side, { token, appId, privateKey, installationId, request }) {
+  if (!appId) {
+    credentials.set(side, { type: 'token', token, getToken: async () => token });
+    return credentials.get(side);
+  }
+
+  if (!privateKey || !installationId) {
+    throw new Error(`The ${side} GitHub App needs an app ID, a private key and an installation ID`);
+  }
+  const auth = createAppAuth({
+    appId,
+    privateKey: privateKey.includes('-----BEGIN') ? privateKey : fs.readFileSync(privateKey, 'utf-8'),
+    installationId,
+    request,
+  });
+
+  credentials.set(side, {
+    type: 'app',
+    auth,
+
+    /**
+     * Gets an installation token that stays valid for at least the given time.
+     * @param {number} [minimumValidity] - Time in milliseconds the token must remain valid
+     * @returns {Promise<string>} Installation token
+     */
+    async getToken(minimumValidity = 0) {
+      let authentication = await auth({ type: 'installation' });
+      if (Date.parse(authentication.expiresAt) - Date.now() < minimumValidity) {
+        logger.debug(`Minting a new ${side} installation token, the current one expires at ${authentication.expiresAt}`);
+        authentication = await auth({ type: 'installation', refresh: true });
+      }
+      return authentication.token;
+    },
+  });
+  return credentials.get(side);
+}
+
+/**
+ * Gets a token of the source or target organization for requests made outside of Octokit,
+ * such as registry uploads and git commands.
+ * Without configured credentials the token is read from the environment variable set with
+ * configureTokenEnv, SOURCE_TOKEN or TARGET_TOKEN by default.
+ * @param {string} side - Either source or target
+ * @param {number} [minimumValidity] - Time in milliseconds the token must remain valid
+ * @returns {Promise<string>} Token
+ */
+export async function getToken(side, minimumValidity = 0) {
+  if (!credentials.has(side)) {
+    return process.env[tokenEnvNames.get(side)];
+  }
+  return credentials.get(side).getToken(minimumValidity);
+}
@@ -5,218 +5,752 @@ import { Octokit } from "@octokit/rest";
 import { graphql } from '@octokit/graphql';
 import { ProxyAgent, fetch as undiciFetch } from "undici";
 
-import {migrateTeams} from './migrations/teams.js';
-import {migrateVariables} from './migrations/variables.js';
-import {migrateLFSObjects} from './migrations/objects.js';
-import {migratePackages} from './migrations/packages.js';
+import {migrateTeams, verifyTeams, loadTeamMappings, loadIdpGroupMappings} from './migrations/teams.js';
+import {migrateOrgMembers} from './migrations/members.js';
+import {migrateCollaborators} from './migrations/collaborators.js';
+import {migrateVariables, verifyVariables} from './migrations/variables.js';
+import {migrateLFSObjects, verifyLFSObjects} from './migrations/objects.js';
+import {migratePackages, verifyPackages} from './migrations/packages.js';
+import {migrateSecrets, SECRET_SCOPES} from './migrations/secrets.js';
+import {migrateEnvironments} from './migrations/environments.js';
+import {migrateReleases} from './migrations/releases.js';
+import {loadMigrationState} from './state.js';
+import {loadRepositoryMappings, createRepositoryFilters} from './repositories.js';
+import config, {loadMigrationConfig} from './config.js';
+import {configureCredentials, configureTokenEnv} from './auth.js';
+import {configureHosts} from './hosts.js';
+import {createOperationLog, writePlan, readPlan, diffPlan, printPlanSummary} from './plan.js';
+import {hasDifferences, reportVerifications} from './verify.js';
+import {generateUserMapping, writeUserMapping} from './users.js';
+import {createReport, writeReport} from './report.js';
+import {configureScheduler, createScheduledFetch, getSchedulerCounters} from './scheduler.js';
 
 dotenv.config();
 
 /**
- * Creates an Octokit instance with provided authentication token and logging options.
- * @param {string} token - The authentication token for the Octokit instance.
- * @param {boolean} verbose - Enable verbose logging for rate limits and abuse limits.
- * @returns {Octokit} - A configured Octokit instance.
+ * Fetches through the proxy configured in HTTPS_PROXY, or directly without it,
+ * scheduled and retried by the shared request scheduler.
+ * @param {string} url - Request URL
+ * @param {Object} opts - Fetch options
+ * @returns {Promise<Response>} Response
  */
-async function createOctokitInstance(token, verbose) {
-  const myFetch = (url, opts) => {
-    return undiciFetch(url, {
-      ...opts,
-      dispatcher: new ProxyAgent({
-        uri: process.env.HTTPS_PROXY,
-        keepAliveTimeout: 10,
-        keepAliveMaxTimeout: 10,
-      }),
-    });
-  };
+const myFetch = createScheduledFetch((url, opts) => {
+  return undiciFetch(url, {
+    ...opts,
+    dispatcher: process.env.HTTPS_PROXY ? new ProxyAgent({
+      uri: process.env.HTTPS_PROXY,
+      keepAliveTimeout: 10,
+      keepAliveMaxTimeout: 10,
+    }) : undefined,
+  });
+});
 
+/**
+ * Creates an Octokit instance with provided credentials.
+ * Rate limits are handled by the request scheduler behind myFetch.
+ * @param {Object} credentials - Credentials created by configureCredentials.
+ * @param {string} apiUrl - Base URL of the REST API.
+ * @returns {Octokit} - A configured Octokit instance.
+ */
+async function createOctokitInstance(credentials, apiUrl) {
   const octokit = new Octokit({
+    baseUrl: apiUrl,
     request: { fetch: myFetch },
-    auth: token,
-    throttle: {
-      onRateLimit: (retryAfter, options) => {
-        if (verbose) {
-          console.warn(`Request quota exhausted for request ${options.method} ${options.url}`);
-        }
-        if (options.request.retryCount === 0) {
-          console.log(`Retrying after ${retryAfter} seconds!`);
-          return true;
-        }
-      },
-      onAbuseLimit: (retryAfter, options) => {
-        if (verbose) {
-          console.warn(`Abuse detected for request ${options.method} ${options.url}`);
-        }
-      },
-    },
+    // installation tokens of GitHub Apps are minted and refreshed by the auth strategy
+    ...(credentials.type === 'app' ? { authStrategy: () => credentials.auth } : { auth: credentials.token }),
   });
   return octokit;
 }
 
-async function createGraphQLInstance(token, verbose) {
-  const myFetch = (url, opts) => {
-    return undiciFetch(url, {
-      ...opts,
-      dispatcher: new ProxyAgent({
-        uri: process.env.HTTPS_PROXY,
-        keepAliveTimeout: 10,
-        keepAliveMaxTimeout: 10,
-      }),
-    });
-  };
+async function createGraphQLInstance(credentials, apiUrl) {
+  const auth = credentials.type === 'app'
+    ? { request: { fetch: myFetch, hook: credentials.auth.hook } }
+    : { headers: { authorization: `token ${credentials.token}` }, request: { fetch: myFetch } };
 
+  // GitHub Enterprise Server API URLs ending in /api/v3 are turned into /api/graphql
   return graphql.defaults({
-    headers: {
-      authorization: `token ${token}`,
-    },
-    request: { fetch: myFetch },
-    throttle: {
-      onRateLimit: (retryAfter, options) => {
-        if (verbose) {
-          console.warn(`Request quota exhausted for request ${options.method} ${options.url}`);
-        }
-        if (options.request.retryCount === 0) {
-          console.log(`Retrying after ${retryAfter} seconds!`);
-          return true;
-        }
-      },
-      onAbuseLimit: (retryAfter, options) => {
-        if (verbose) {
-          console.warn(`Abuse detected for request ${options.method} ${options.url}`);
-        }
-      },
-    },
+    baseUrl: apiUrl,
+    ...auth,
   });
 }
 
 /**
- * Run a migration function with the provided parameters
+ * Configure the API, git and registry hosts of the source or target org
  * @param {Object} argv - Command line arguments
- * @param {Function} migrationFunction - The migration function to run
- * @param {string} component - The component being migrated
- * @throws {Error} If required parameters are missing or if the migration fails
+ * @param {string} side - Either source or target
+ * @returns {Object} Hosts
+ */
+function createHosts(argv, side) {
+  const prefix = side.toUpperCase();
+  return configureHosts(side, {
+    apiUrl: argv[`${side}-api-url`] || process.env[`${prefix}_API_URL`],
+    gitUrl: argv[`${side}-git-url`] || process.env[`${prefix}_GIT_URL`],
+    registryUrl: argv[`${side}-registry-url`] || process.env[`${prefix}_REGISTRY_URL`],
+    containerRegistry: argv[`${side}-container-registry`] || process.env[`${prefix}_CONTAINER_REGISTRY`],
+  });
+}
+
+/**
+ * Configure the credentials of the source or target org, from a GitHub App if one is set or else from a token
+ * @param {Object} argv - Command line arguments
+ * @param {string} side - Either source or target
+ * @param {string} apiUrl - Base URL of the REST API installation tokens are minted with
+ * @returns {Object|null} Credentials, or null if neither a token nor a GitHub App is set
+ */
+function createCredentials(argv, side, apiUrl) {
+  const prefix = side.toUpperCase();
+  configureTokenEnv(side, argv[`${side}-token-env`]);
+  const settings = {
+    token: process.env[argv[`${side}-token-env`]],
+    appId: argv[`${side}-app-id`] || process.env[`${prefix}_APP_ID`],
+    privateKey: argv[`${side}-private-key`] || process.env[`${prefix}_APP_PRIVATE_KEY`],
+    installationId: argv[`${side}-installation-id`] || process.env[`${prefix}_APP_INSTALLATION_ID`],
+    // installation tokens are minted through the proxy as well
+    request: new Octokit({ baseUrl: apiUrl, request: { fetch: myFetch } }).request,
+  };
+  if (!settings.token && !settings.appId) {
+    return null;
+  }
+  return configureCredentials(side, settings);
+}
+
+/**
+ * Create the Octokit clients and settings shared by every component in a run
+ * @param {Object} argv - Command line arguments
+ * @returns {Object} Migration context
+ * @throws {Error} If required parameters are missing
  */
-async function runMigration(argv, migrationFunction, component) {
+async function createMigrationContext(argv) {
   const { 
     "source-org": sourceCLI, 
     "target-org": targetCLI, 
     "dry-run": dryRun,
     "package-type": packageType,
     "username-mapping": usernameMappingFile,
+    "secrets-file": secretsFile,
+    "secret-scopes": secretScopes,
+    "repo-mapping": repoMappingFile,
+    "team-mapping": teamMappingFile,
+    "idp-groups": idpGroups,
+    "idp-group-mapping": idpGroupMappingFile,
+    "billing-managers": billingManagers,
+    "repos": repos,
+    "exclude-repos": excludeRepos,
+    "repo-topic": topics,
+    "repo-visibility": visibilities,
+    "skip-archived": skipArchived,
+    "repo-list-file": repoListFile,
+    "repo-property": properties,
+    "max-concurrency": maxConcurrency,
+    "max-concurrency-per-host": maxConcurrencyPerHost,
+    "max-retries": maxRetries,
+    "retry-delay": retryDelay,
+    "show-values": showValues,
+    resume,
+    sync,
+    prune,
     verbose
   } = argv;
   
-  const sourceOrgToUse = process.env.SOURCE_ORG || sourceCLI;
-  const targetOrgToUse = process.env.TARGET_ORG || targetCLI;
-  const sourceToken = process.env.SOURCE_TOKEN;
-  const targetToken = process.env.TARGET_TOKEN;
+  // command line options and the config file take precedence over the environment
+  const sourceOrgToUse = sourceCLI || process.env.SOURCE_ORG;
+  const targetOrgToUse = targetCLI || process.env.TARGET_ORG;
+  const sourceHosts = createHosts(argv, 'source');
+  const targetHosts = createHosts(argv, 'target');
+  const sourceCredentials = createCredentials(argv, 'source', sourceHosts.apiUrl);
+  const targetCredentials = createCredentials(argv, 'target', targetHosts.apiUrl);
 
-  if (!sourceOrgToUse || !targetOrgToUse || !sourceToken || !targetToken) {
+  if (!sourceOrgToUse || !targetOrgToUse || !sourceCredentials || !targetCredentials) {
     throw new Error(
-      "SOURCE_ORG, TARGET_ORG, SOURCE_TOKEN, and TARGET_TOKEN must be set in the .env file or provided as command line options"
+      `SOURCE_ORG, TARGET_ORG, and ${argv["source-token-env"]} and ${argv["target-token-env"]} or a GitHub App for each organization must be set in the .env file or provided as command line options or in the config file`
     );
   }
 
+  configureScheduler({ maxConcurrency, maxConcurrencyPerHost, maxRetries, retryDelay });
+
   console.log('Creating Octokit instances...');
-  const sourceOctokit = await createOctokitInstance(sourceToken, verbose);
-  const targetOctokit = await createOctokitInstance(targetToken, verbose);
-  const sourceGraphQL = await createGraphQLInstance(sourceToken, verbose);
-  const targetGraphQL = await createGraphQLInstance(targetToken, verbose);
-
-  if (verbose) {
-    console.log(`Starting migration of ${component} from ${sourceOrgToUse} to ${targetOrgToUse}`);
-    console.log(`Dry run: ${dryRun ? "Yes" : "No"}`);
+  return {
+    sourceOctokit: await createOctokitInstance(sourceCredentials, sourceHosts.apiUrl),
+    targetOctokit: await createOctokitInstance(targetCredentials, targetHosts.apiUrl),
+    sourceGraphQL: await createGraphQLInstance(sourceCredentials, sourceHosts.apiUrl),
+    targetGraphQL: await createGraphQLInstance(targetCredentials, targetHosts.apiUrl),
+    sourceOrg: sourceOrgToUse,
+    targetOrg: targetOrgToUse,
+    packageType,
+    dryRun,
+    verbose,
+    usernameMappingFile,
+    // Shared by all components of the run, including the cached repository inventory
+    options: {
+      secretsFile,
+      secretScopes,
+      repositoryMappings: loadRepositoryMappings(repoMappingFile),
+      teamMappings: loadTeamMappings(teamMappingFile),
+      idpGroups,
+      idpGroupMappings: loadIdpGroupMappings(idpGroupMappingFile),
+      billingManagers: billingManagers || [],
+      repositoryFilters: createRepositoryFilters({ repos, excludeRepos, topics, visibilities, skipArchived, repoListFile, properties }),
+      showValues,
+      resume,
+      // pruning reconciles existing teams, so it implies syncing them
+      sync: sync || prune,
+      prune,
+      state: loadMigrationState(sourceOrgToUse, targetOrgToUse, resume),
+      operations: createOperationLog(),
+    },
+  };
+}
+
+/**
+ * Run a migration function with the provided context
+ * @param {Object} context - Migration context created by createMigrationContext
+ * @param {Function} migrationFunction - The migration function to run
+ * @param {string} component - The component being migrated
+ * @returns {Object} Migration results of the component
+ * @throws {Error} If the migration fails
+ */
+async function runMigration(context, migrationFunction, component) {
+  if (context.verbose) {
+    console.log(`Starting migration of ${component} from ${context.sourceOrg} to ${context.targetOrg}`);
+    console.log(`Dry run: ${context.dryRun ? "Yes" : "No"}`);
   }
 
   try {
-    await migrationFunction(
-      sourceOctokit,
-      targetOctokit,
-      sourceGraphQL,
-      targetGraphQL,
-      sourceOrgToUse,
-      targetOrgToUse,
-      packageType,
-      dryRun,
-      verbose,
-      usernameMappingFile
+    return await migrationFunction(
+      context.sourceOctokit,
+      context.targetOctokit,
+      context.sourceGraphQL,
+      context.targetGraphQL,
+      context.sourceOrg,
+      context.targetOrg,
+      context.packageType,
+      context.dryRun,
+      context.verbose,
+      context.usernameMappingFile,
+      context.options
     );
   } catch (error) {
     console.error(`Migration of ${component} failed: ${error.message}`);
-    if (verbose) {
+    if (context.verbose) {
       console.error(error.stack);
     }
     throw error;
   }
 }
 
-// Update the command handler with better error logging
-handler: async (argv) => {
-  const migrationFunction = migrationFunctions[argv.component];
-  if (!migrationFunction) {
-    console.error(`Unknown component: ${argv.component}`);
-    process.exit(1);
+/**
+ * Run the selected components in dependency order in a single process
+ * @param {Object} argv - Command line arguments
+ * @returns {boolean} Whether any component reported errors
+ */
+async function runAllMigrations(argv) {
+  const context = await createMigrationContext(argv);
+  const summary = await runComponents(context, argv.components);
+
+  await printMigrationSummary(context, summary);
+  writeRunReport(context, summary, argv["report-dir"]);
+  return summary.some(entry => entry.errors > 0);
+}
+
+/**
+ * Run components in dependency order with a shared context
+ * @param {Object} context - Migration context created by createMigrationContext
+ * @param {Array} selectedComponents - Components to run
+ * @returns {Array} Summary entries, one per component
+ */
+async function runComponents(context, selectedComponents) {
+  const components = migrationOrder.filter(component => selectedComponents.includes(component));
+  const summary = [];
+
+  console.log(`Running components in order: ${components.join(', ')}`);
+  for (const component of components) {
+    console.log(`Starting migration of ${component}...`);
+    const startTime = Date.now();
+    try {
+      const result = await runMigration(context, migrationFunctions[component], component);
+      const errors = result && result.errors ? result.errors.length : 0;
+      summary.push({ component, status: errors > 0 ? 'completed with errors' : 'completed', errors, seconds: (Date.now() - startTime) / 1000 });
+    } catch (error) {
+      summary.push({ component, status: 'failed', errors: 1, seconds: (Date.now() - startTime) / 1000, message: error.message });
+      context.options.operations.fail(component, 'component', component, error);
+    }
   }
+  return summary;
+}
 
-  try {
-    console.log(`Starting migration of ${argv.component}...`);
-    await runMigration(argv, migrationFunction, argv.component);
-    console.log(`Migration of ${argv.component} completed successfully.`);
-  } catch (error) {
-    console.error(`Migration failed. Error details:`);
-    console.error(error.message);
-    if (error.stack) {
-      console.error('Stack trace:');
-      console.error(error.stack);
+/**
+ * Compute the operations of the selected components without changing the target and write them to a plan file
+ * @param {Object} argv - Command line arguments
+ * @returns {boolean} Whether any component reported errors, in which case no plan is written
+ */
+async function createPlan(argv) {
+  const context = await createMigrationContext({ ...argv, "dry-run": true });
+  const operations = context.options.operations;
+
+  const summary = await runComponents(context, argv.components);
+  await printMigrationSummary(context, summary);
+  writeRunReport(context, summary, argv["report-dir"]);
+  if (summary.some(entry => entry.errors > 0)) {
+    console.error(`Plan not written to ${argv.out}, fix the errors above and plan again.`);
+    return true;
+  }
+
+  writePlan(argv.out, {
+    sourceOrg: context.sourceOrg,
+    targetOrg: context.targetOrg,
+    components: migrationOrder.filter(component => argv.components.includes(component)),
+    packageType: context.packageType,
+    usernameMappingFile: context.usernameMappingFile || null,
+    secretsFile: context.options.secretsFile || null,
+    secretScopes: context.options.secretScopes,
+    repoMappingFile: argv["repo-mapping"] || null,
+    teamMappingFile: argv["team-mapping"] || null,
+    idpGroups: context.options.idpGroups || null,
+    idpGroupMappingFile: argv["idp-group-mapping"] || null,
+    billingManagers: context.options.billingManagers,
+    repositoryFilters: Object.fromEntries(repositoryFilterOptions.map(option => [option, argv[option]])),
+    resume: context.options.resume,
+    sync: context.options.sync,
+    prune: context.options.prune,
+  }, operations.operations);
+  printPlanSummary(operations.operations);
+  return false;
+}
+
+/**
+ * Execute the operations of a plan file.
+ * The operations are computed again first and nothing is changed if they differ from the plan.
+ * @param {Object} argv - Command line arguments
+ * @returns {boolean} Whether the source drifted or any component reported errors
+ * @throws {Error} If the plan was made for other organizations
+ */
+async function applyPlan(argv) {
+  const plan = readPlan(argv.plan);
+  const context = await createMigrationContext({
+    ...argv,
+    "source-org": plan.sourceOrg,
+    "target-org": plan.targetOrg,
+    "package-type": plan.packageType,
+    "username-mapping": plan.usernameMappingFile,
+    "secrets-file": plan.secretsFile,
+    "secret-scopes": plan.secretScopes,
+    "repo-mapping": plan.repoMappingFile,
+    "team-mapping": plan.teamMappingFile,
+    "idp-groups": plan.idpGroups,
+    "idp-group-mapping": plan.idpGroupMappingFile,
+    "billing-managers": plan.billingManagers,
+    ...plan.repositoryFilters,
+    resume: plan.resume,
+    sync: plan.sync,
+    prune: plan.prune,
+    "dry-run": true,
+  });
+  if (context.sourceOrg !== plan.sourceOrg || context.targetOrg !== plan.targetOrg) {
+    throw new Error(`Plan ${argv.plan} was made for ${plan.sourceOrg} -> ${plan.targetOrg}, not ${context.sourceOrg} -> ${context.targetOrg}`);
+  }
+
+  console.log(`Checking ${plan.operations.length} planned operations for drift...`);
+  const currentOperations = createOperationLog();
+  context.options.operations = currentOperations;
+  const checkSummary = await runComponents(context, plan.components);
+  if (checkSummary.some(entry => entry.errors > 0)) {
+    await printMigrationSummary(context, checkSummary);
+    writeRunReport(context, checkSummary, argv["report-dir"]);
+    console.error('Unable to check the plan for drift, nothing was applied.');
+    return true;
+  }
+
+  const { added, removed } = diffPlan(plan, currentOperations.operations);
+  if (added.length > 0 || removed.length > 0) {
+    console.error(`Source or target changed since ${argv.plan} was created (${plan.createdAt}), nothing was applied:`);
+    removed.forEach(operation => console.error(`  - ${operation.action} ${operation.resource} ${operation.key}`));
+    added.forEach(operation => console.error(`  + ${operation.action} ${operation.resource} ${operation.key}`));
+    console.error('Run plan again and have the new plan approved.');
+    return true;
+  }
+
+  console.log('No drift found, applying plan...');
+  context.dryRun = false;
+  context.options.operations = createOperationLog(plan);
+  const summary = await runComponents(context, plan.components);
+  await printMigrationSummary(context, summary);
+  writeRunReport(context, summary, argv["report-dir"]);
+  return summary.some(entry => entry.errors > 0);
+}
+
+/**
+ * Compare the target with the source for the selected component, or all verifiable components
+ * @param {Object} argv - Command line arguments
+ * @returns {boolean} Whether any component found missing or mismatched items
+ */
+async function runVerification(argv) {
+  const context = await createMigrationContext(argv);
+  const components = argv.component === "all" ? Object.keys(verificationFunctions) : [argv.component];
+  const verifications = [];
+
+  for (const component of components) {
+    console.log(`Verifying ${component}...`);
+    verifications.push(await verificationFunctions[component](
+      context.sourceOctokit,
+      context.targetOctokit,
+      context.sourceGraphQL,
+      context.targetGraphQL,
+      context.sourceOrg,
+      context.targetOrg,
+      context.packageType,
+      context.dryRun,
+      context.verbose,
+      context.usernameMappingFile,
+      context.options
+    ));
+  }
+
+  reportVerifications(verifications, argv.out);
+  return verifications.some(hasDifferences);
+}
+
+/**
+ * Match the members of the source org to the users of the target and write the username mapping and unmatched users
+ * @param {Object} argv - Command line arguments
+ */
+async function runUserMappingGeneration(argv) {
+  const context = await createMigrationContext(argv);
+  const userMapping = await generateUserMapping(context.sourceGraphQL, context.targetGraphQL, context.sourceOrg, context.targetOrg, {
+    targetEnterprise: argv["target-enterprise"],
+  });
+  writeUserMapping(userMapping, argv.out, argv["unmatched-out"]);
+  console.log(`Matched ${userMapping.mappings.length} users, review ${argv.out} before using it with --username-mapping.`);
+  if (userMapping.unmatched.length > 0) {
+    console.log(`${userMapping.unmatched.length} users are unmatched, see ${argv["unmatched-out"]}:`);
+    userMapping.unmatched.forEach(user => console.log(`  ${user.sourceUsername}: ${user.reason}`));
+  }
+}
+
+/**
+ * Print the combined summary of a run of several components
+ * @param {Object} context - Migration context created by createMigrationContext
+ * @param {Array} summary - Summary entries, one per component
+ */
+async function printMigrationSummary(context, summary) {
+  console.log(`\nMigration summary: ${context.sourceOrg} -> ${context.targetOrg} (Dry run: ${context.dryRun ? "Yes" : "No"})`);
+  if (context.options.repositories) {
+    const repositories = await context.options.repositories.catch(() => []);
+    console.log(`Repositories in inventory: ${repositories.length}`);
+    if (context.options.repositoryFilters) {
+      console.log(`Selected repositories: ${repositories.map(repo => repo.name).join(', ')}`);
     }
-    process.exit(1);
   }
+  summary.forEach(entry => {
+    console.log(
+      `  ${entry.component.padEnd(14)}${entry.status.padEnd(24)}${String(entry.errors).padStart(5)} errors${entry.seconds.toFixed(1).padStart(9)}s` +
+      (entry.message ? `  ${entry.message}` : '')
+    );
+  });
+}
+
+/**
+ * Write the report of the operations and failures recorded by the components of a run
+ * @param {Object} context - Migration context created by createMigrationContext
+ * @param {Array} summary - Summary entries, one per component
+ * @param {string} reportDir - Directory to write the report files to
+ */
+function writeRunReport(context, summary, reportDir) {
+  writeReport(createReport(context, summary, context.options.operations, getSchedulerCounters()), reportDir);
 }
 
 // functions map
 const migrationFunctions = {
+  "org-members": migrateOrgMembers,
   variables: migrateVariables,
   teams: migrateTeams,
+  collaborators: migrateCollaborators,
+  secrets: migrateSecrets,
+  environments: migrateEnvironments,
   packages: migratePackages,
   lfs: migrateLFSObjects,
+  releases: migrateReleases,
+};
+
+// components that `verify` can audit
+const verificationFunctions = {
+  teams: verifyTeams,
+  variables: verifyVariables,
+  packages: verifyPackages,
+  lfs: verifyLFSObjects,
 };
 
+// order used by `migrate all`: users must be org members before they join teams, teams migrate the
+// custom repository roles collaborators are granted, and teams must exist before environments reference them as reviewers
+const migrationOrder = ['org-members', 'teams', 'collaborators', 'environments', 'variables', 'secrets', 'releases', 'packages', 'lfs'];
+
+// options that select the repositories, stored in plan files so apply selects the same repositories
+const repositoryFilterOptions = ['repos', 'exclude-repos', 'repo-topic', 'repo-visibility', 'skip-archived', 'repo-list-file', 'repo-property'];
+
+/**
+ * Add the options that map and select the repositories of the source org
+ * @param {Object} yargs - Yargs instance
+ * @returns {Object} Yargs instance
+ */
+function repositoryOptions(yargs) {
+  const list = (values) => values.flatMap(value => String(value).split(','));
+  return yargs
+    .option("repo-mapping", {
+      type: "string",
+      describe: "Path to CSV file mapping source repositories to target repositories",
+    })
+    .option("repos", {
+      type: "array",
+      describe: "Repository name patterns to include, * and ? are wildcards",
+      coerce: list,
+    })
+    .option("exclude-repos", {
+      type: "array",
+      describe: "Repository name patterns to exclude",
+      coerce: list,
+    })
+    .option("repo-topic", {
+      type: "array",
+      describe: "Only include repositories with one of these topics",
+      coerce: list,
+    })
+    .option("repo-visibility", {
+      type: "array",
+      describe: "Only include repositories with one of these visibilities",
+      choices: ['public', 'private', 'internal'],
+      coerce: list,
+    })
+    .option("skip-archived", {
+      type: "boolean",
+      describe: "Exclude archived repositories",
+      default: false,
+    })
+    .option("repo-list-file", {
+      type: "string",
+      describe: "Path to a file listing the repositories to include, one per line",
+    })
+    .option("repo-property", {
+      type: "array",
+      describe: "Only include repositories with this custom property value, as name=value",
+    });
+}
+
+/**
+ * Add the options of the run report, shared by the migrate, plan and apply commands
+ * @param {Object} yargs - Yargs instance
+ * @returns {Object} Yargs instance
+ */
+function reportOptions(yargs) {
+  return yargs
+    .option("report-dir", {
+      type: "string",
+      describe: "Directory to write report.json, report.csv and report.md to",
+      default: ".",
+    })
+    .option("show-values", {
+      type: "boolean",
+      describe: "Print variable values in the debug output instead of redacting them",
+      default: false,
+    });
+}
+
+/**
+ * Add the options shared by the migrate and plan commands
+ * @param {Object} yargs - Yargs instance
+ * @returns {Object} Yargs instance
+ */
+function migrationOptions(yargs) {
+  return reportOptions(repositoryOptions(yargs))
+    .option("components", {
+      type: "array",
+      describe: "Components to run with migrate all or plan",
+      choices: migrationOrder,
+      default: migrationOrder,
+      coerce: (components) => components.flatMap(component => String(component).split(',')),
+    })
+    .option("source-org", {
+      type: "string",
+      describe: "Source GitHub organization",
+    })
+    .option("target-org", {
+      type: "string",
+      describe: "Target GitHub organization",
+    })
+    .option("resume", {
+      type: "boolean",
+      describe: "Skip units of work completed by a previous run",
+      default: false,
+    })
+    .option("sync", {
+      type: "boolean",
+      describe: "Update teams that already exist in the target org to match the source instead of failing",
+      default: false,
+    })
+    .option("prune", {
+      type: "boolean",
+      describe: "Sync teams and remove team members and repositories the source teams do not have",
+      default: false,
+    })
+    .option("username-mapping", {
+      type: "string",
+      describe: "Path to CSV file containing username mappings",
+    })
+    .option("team-mapping", {
+      type: "string",
+      describe: "Path to CSV file mapping source teams to target teams to rename, merge or drop them",
+    })
+    .option("idp-groups", {
+      type: "string",
+      describe: "Link teams to IdP groups instead of copying members, with EMU external groups or team synchronization",
+      choices: ["external-groups", "team-sync"],
+    })
+    .option("idp-group-mapping", {
+      type: "string",
+      describe: "Path to CSV file mapping target teams to IdP groups, other teams are matched by group name",
+    })
+    .option("billing-managers", {
+      type: "array",
+      describe: "Source usernames of the billing managers to invite with org-members, which the API cannot list",
+      coerce: (logins) => logins.flatMap(login => String(login).split(',')),
+    })
+    .option("secrets-file", {
+      type: "string",
+      describe: "Path to CSV or JSON file containing secret values",
+    })
+    .option("secret-scopes", {
+      type: "array",
+      describe: "Secret scopes to migrate",
+      choices: SECRET_SCOPES,
+      default: SECRET_SCOPES,
+      coerce: (scopes) => scopes.flatMap(scope => String(scope).split(',')),
+    });
+}
+
 // CLI commands
 yargs(hideBin(process.argv))
+  .config("config", "Path to a migration.config.json or migration.config.yaml file", loadMigrationConfig)
+  .option("verbose", {
+    type: "boolean",
+    describe: "Enable verbose output",
+    default: config.defaults.verbose,
+  })
+  .option("source-token-env", {
+    type: "string",
+    describe: "Environment variable holding the source token",
+    default: "SOURCE_TOKEN",
+  })
+  .option("target-token-env", {
+    type: "string",
+    describe: "Environment variable holding the target token",
+    default: "TARGET_TOKEN",
+  })
+  .option("source-api-url", {
+    type: "string",
+    describe: "REST API URL of the source, such as https://HOSTNAME/api/v3 for GitHub Enterprise Server",
+  })
+  .option("source-git-url", {
+    type: "string",
+    describe: "Base URL of git repositories in the source, derived from the API URL by default",
+  })
+  .option("source-registry-url", {
+    type: "string",
+    describe: "Base URL of the source package registries with {type} for the package type, derived from the API URL by default",
+  })
+  .option("source-container-registry", {
+    type: "string",
+    describe: "Host of the source container registry, derived from the API URL by default",
+  })
+  .option("target-api-url", {
+    type: "string",
+    describe: "REST API URL of the target, such as https://api.SUBDOMAIN.ghe.com for data residency",
+  })
+  .option("target-git-url", {
+    type: "string",
+    describe: "Base URL of git repositories in the target, derived from the API URL by default",
+  })
+  .option("target-registry-url", {
+    type: "string",
+    describe: "Base URL of the target package registries with {type} for the package type, derived from the API URL by default",
+  })
+  .option("target-container-registry", {
+    type: "string",
+    describe: "Host of the target container registry, derived from the API URL by default",
+  })
+  .option("source-app-id", {
+    type: "string",
+    describe: "ID of the GitHub App authenticating to the source org, instead of a token",
+  })
+  .option("source-private-key", {
+    type: "string",
+    describe: "Path to the private key of the source GitHub App",
+  })
+  .option("source-installation-id", {
+    type: "string",
+    describe: "Installation ID of the source GitHub App in the source org",
+  })
+  .option("target-app-id", {
+    type: "string",
+    describe: "ID of the GitHub App authenticating to the target org, instead of a token",
+  })
+  .option("target-private-key", {
+    type: "string",
+    describe: "Path to the private key of the target GitHub App",
+  })
+  .option("target-installation-id", {
+    type: "string",
+    describe: "Installation ID of the target GitHub App in the target org",
+  })
+  .option("max-concurrency", {
+    type: "number",
+    describe: "Maximum number of concurrent API requests",
+    default: config.maxConcurrency,
+  })
+  .option("max-concurrency-per-host", {
+    type: "number",
+    describe: "Maximum number of concurrent requests to a single host",
+    default: config.maxConcurrencyPerHost,
+  })
+  .option("max-retries", {
+    type: "number",
+    describe: "Maximum number of retries for rate-limited API calls and server errors",
+    default: config.maxRetries,
+  })
+  .option("retry-delay", {
+    type: "number",
+    describe: "Delay in milliseconds before the first retry, doubled on every further retry",
+    default: config.retryDelay,
+  })
   .command({
     command: "migrate <component>",
     describe: "Migrate data from source org to target org",
     builder: (yargs) => {
-      return yargs
+      return migrationOptions(yargs)
         .positional("component", {
-          describe: "Component to migrate",
-          choices: Object.keys(migrationFunctions),
-        })
-        .option("source-org", {
-          type: "string",
-          describe: "Source GitHub organization",
-        })
-        .option("target-org", {
-          type: "string",
-          describe: "Target GitHub organization",
+          describe: "Component to migrate, or all to run several components in one process",
+          choices: [...Object.keys(migrationFunctions), "all"],
         })
         .option("dry-run", {
           type: "boolean",
           describe: "Perform a dry run",
-          default: true,
-        })
-        .option("verbose", {
-          type: "boolean",
-          describe: "Enable verbose output",
-          default: false,
-        })
-        .option("username-mapping", {
-          type: "string",
-          describe: "Path to CSV file containing username mappings",
+          default: config.defaults.dryRun,
         })
         .help();
     },
     handler: async (argv) => {
+      if (argv.component === "all") {
+        try {
+          const hasErrors = await runAllMigrations(argv);
+          if (hasErrors) {
+            console.error("One or more components reported errors.");
+            process.exit(1);
+          }
+        } catch (error) {
+          console.error(`Migration failed. Error details:`);
+          console.error(error);
+          process.exit(1);
+        }
+        return;
+      }
+
       const migrationFunction = migrationFunctions[argv.component];
       if (!migrationFunction) {
         console.error(`Unknown component: ${argv.component}`);
@@ -224,8 +758,16 @@ yargs(hideBin(process.argv))
       }
     
       try {
-        console.log(`Starting migration of ${argv.component}...`);
-        await runMigration(argv, migrationFunction, argv.component);
+        const context = await createMigrationContext(argv);
+        const summary = await runComponents(context, [argv.component]);
+        writeRunReport(context, summary, argv["report-dir"]);
+        if (summary[0].status === 'failed') {
+          throw new Error(summary[0].message);
+        }
+        if (summary[0].errors > 0) {
+          console.error(`Migration of ${argv.component} completed with ${summary[0].errors} errors.`);
+          process.exit(1);
+        }
         console.log(`Migration of ${argv.component} completed successfully.`);
       } catch (error) {
         console.error(`Migration of ${argv.component} failed. Error details:`);
@@ -238,6 +780,137 @@ yargs(hideBin(process.argv))
       }
     },
   })
+  .command({
+    command: "plan",
+    describe: "Write the operations migrate would perform to a plan file for approval",
+    builder: (yargs) => {
+      return migrationOptions(yargs)
+        .option("out", {
+          type: "string",
+          describe: "Path of the plan file to write",
+          default: "plan.json",
+        })
+        .help();
+    },
+    handler: async (argv) => {
+      try {
+        if (await createPlan(argv)) {
+          process.exit(1);
+        }
+      } catch (error) {
+        console.error(`Planning failed. Error details:`);
+        console.error(error);
+        process.exit(1);
+      }
+    },
+  })
+  .command({
+    command: "apply",
+    describe: "Execute the operations of an approved plan file",
+    builder: (yargs) => {
+      return reportOptions(yargs)
+        .option("plan", {
+          type: "string",
+          describe: "Path of the plan file to apply",
+          default: "plan.json",
+        })
+        .help();
+    },
+    handler: async (argv) => {
+      try {
+        if (await applyPlan(argv)) {
+          process.exit(1);
+        }
+      } catch (error) {
+        console.error(`Applying ${argv.plan} failed. Error details:`);
+        console.error(error);
+        process.exit(1);
+      }
+    },
+  })
+  .command({
+    command: "verify <component>",
+    describe: "Report items missing, extra or mismatched in the target org compared to the source org",
+    builder: (yargs) => {
+      return repositoryOptions(yargs)
+        .positional("component", {
+          describe: "Component to verify, or all to verify every supported component",
+          choices: [...Object.keys(verificationFunctions), "all"],
+        })
+        .option("source-org", {
+          type: "string",
+          describe: "Source GitHub organization",
+        })
+        .option("target-org", {
+          type: "string",
+          describe: "Target GitHub organization",
+        })
+        .option("username-mapping", {
+          type: "string",
+          describe: "Path to CSV file containing username mappings",
+        })
+        .option("team-mapping", {
+          type: "string",
+          describe: "Path to CSV file mapping source teams to target teams",
+        })
+        .option("out", {
+          type: "string",
+          describe: "Path of a JSON file to write the report to",
+        })
+        .help();
+    },
+    handler: async (argv) => {
+      try {
+        if (await runVerification(argv)) {
+          console.error("The target organization differs from the source organization.");
+          process.exit(1);
+        }
+      } catch (error) {
+        console.error(`Verification failed. Error details:`);
+        console.error(error);
+        process.exit(1);
+      }
+    },
+  })
+  .command({
+    command: "generate-user-mapping",
+    describe: "Match source org members to target users by SAML/SCIM identity, email and login and write a username mapping file",
+    builder: (yargs) => {
+      return yargs
+        .option("source-org", {
+          type: "string",
+          describe: "Source GitHub organization",
+        })
+        .option("target-org", {
+          type: "string",
+          describe: "Target GitHub organization",
+        })
+        .option("target-enterprise", {
+          type: "string",
+          describe: "Slug of the enterprise of an Enterprise Managed Users target, whose SCIM identities are matched",
+        })
+        .option("out", {
+          type: "string",
+          describe: "Path of the username mapping CSV file to write",
+          default: "user-mapping.csv",
+        })
+        .option("unmatched-out", {
+          type: "string",
+          describe: "Path of the CSV file listing the unmatched users",
+          default: "unmatched-users.csv",
+        })
+        .help();
+    },
+    handler: async (argv) => {
+      try {
+        await runUserMappingGeneration(argv);
+      } catch (error) {
+        console.error(`Generating the username mapping failed. Error details:`);
+        console.error(error);
+        process.exit(1);
+      }
+    },
+  })
   .demandCommand(1, "You need to specify a command to run")
   .help()
   .argv;
\ No newline at end of file
@@ -3,9 +3,14 @@
  * 
  * This file contains configuration settings for the GitHub Migration Extras CLI (unofficial).
  * These settings are not environment-specific and can be version controlled.
+ * It also loads the migration config file given with --config.
  */
 
-module.exports = {
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+const config = {
     // Maximum number of retries for rate-limited API calls
     maxRetries: 3,
   
@@ -18,14 +23,20 @@ module.exports = {
     // Maximum number of concurrent API requests
     maxConcurrency: 5,
   
+    // Maximum number of concurrent requests to a single host
+    maxConcurrencyPerHost: 3,
+  
     // Log file path
     logFilePath: './logs/migration.log',
   
     // Log level (error, warn, info, verbose, debug, silly)
     logLevel: 'info',
   
+    // Secret scopes that can be migrated, each also the Octokit namespace serving its endpoints
+    secretScopes: ['actions', 'dependabot', 'codespaces'],
+
     // Components available for migration
-    availableComponents: ['variables', 'teams', 'secrets', 'packages', 'lfs'],
+    availableComponents: ['org-members', 'variables', 'teams', 'collaborators', 'secrets', 'environments', 'packages', 'lfs', 'releases'],
   
     // Default values for CLI options
     defaults: {
@@ -33,3 +44,180 @@ module.exports = {
       verbose: false
     }
   };
+
+export default config;
+
+const string = { type: 'string' };
+const stringArray = { type: 'array', items: string };
+
+// Schema of the migration config file, each property names the command line option it sets
+const configSchema = {
+  type: 'object',
+  properties: {
+    sourceOrg: { ...string, option: 'source-org' },
+    targetOrg: { ...string, option: 'target-org' },
+    tokens: {
+      type: 'object',
+      properties: {
+        source: { ...string, option: 'source-token-env' },
+        target: { ...string, option: 'target-token-env' },
+      },
+    },
+    hosts: {
+      type: 'object',
+      properties: {
+        source: {
+          type: 'object',
+          properties: {
+            apiUrl: { ...string, option: 'source-api-url' },
+            gitUrl: { ...string, option: 'source-git-url' },
+            registryUrl: { ...string, option: 'source-registry-url' },
+            containerRegistry: { ...string, option: 'source-container-registry' },
+          },
+        },
+        target: {
+          type: 'object',
+          properties: {
+            apiUrl: { ...string, option: 'target-api-url' },
+            gitUrl: { ...string, option: 'target-git-url' },
+            registryUrl: { ...string, option: 'target-registry-url' },
+            containerRegistry: { ...string, option: 'target-container-registry' },
+          },
+        },
+      },
+    },
+    apps: {
+      type: 'object',
+      properties: {
+        source: {
+          type: 'object',
+          properties: {
+            appId: { type: 'integer', minimum: 1, option: 'source-app-id' },
+            privateKey: { ...string, option: 'source-private-key', path: true, inlineMarker: '-----BEGIN' },
+            installationId: { type: 'integer', minimum: 1, option: 'source-installation-id' },
+          },
+        },
+        target: {
+          type: 'object',
+          properties: {
+            appId: { type: 'integer', minimum: 1, option: 'target-app-id' },
+            privateKey: { ...string, option: 'target-private-key', path: true, inlineMarker: '-----BEGIN' },
+            installationId: { type: 'integer', minimum: 1, option: 'target-installation-id' },
+          },
+        },
+      },
+    },
+    components: { type: 'array', items: { type: 'string', enum: config.availableComponents }, option: 'components' },
+    packageType: { ...string, option: 'package-type' },
+    dryRun: { type: 'boolean', option: 'dry-run' },
+    resume: { type: 'boolean', option: 'resume' },
+    sync: { type: 'boolean', option: 'sync' },
+    prune: { type: 'boolean', option: 'prune' },
+    usernameMapping: { ...string, option: 'username-mapping', path: true },
+    repoMapping: { ...string, option: 'repo-mapping', path: true },
+    teamMapping: { ...string, option: 'team-mapping', path: true },
+    idpGroups: { type: 'string', enum: ['external-groups', 'team-sync'], option: 'idp-groups' },
+    idpGroupMapping: { ...string, option: 'idp-group-mapping', path: true },
+    billingManagers: { ...stringArray, option: 'billing-managers' },
+    targetEnterprise: { ...string, option: 'target-enterprise' },
+    secretsFile: { ...string, option: 'secrets-file', path: true },
+    secretScopes: { type: 'array', items: { type: 'string', enum: config.secretScopes }, option: 'secret-scopes' },
+    filters: {
+      type: 'object',
+      properties: {
+        repos: { ...stringArray, option: 'repos' },
+        excludeRepos: { ...stringArray, option: 'exclude-repos' },
+        topics: { ...stringArray, option: 'repo-topic' },
+        visibilities: { type: 'array', items: { type: 'string', enum: ['public', 'private', 'internal'] }, option: 'repo-visibility' },
+        skipArchived: { type: 'boolean', option: 'skip-archived' },
+        repoListFile: { ...string, option: 'repo-list-file', path: true },
+        properties: { ...stringArray, option: 'repo-property' },
+      },
+    },
+    maxConcurrency: { type: 'integer', minimum: 1, option: 'max-concurrency' },
+    maxConcurrencyPerHost: { type: 'integer', minimum: 1, option: 'max-concurrency-per-host' },
+    maxRetries: { type: 'integer', minimum: 0, option: 'max-retries' },
+    retryDelay: { type: 'integer', minimum: 0, option: 'retry-delay' },
+    reportDir: { ...string, option: 'report-dir', path: true },
+    showValues: { type: 'boolean', option: 'show-values' },
+  },
+};
+
+/**
+ * Reads a migration config file and converts it to command line options.
+ * JSON files are read as JSON and other files as YAML. Paths of mapping and list files
+ * are resolved relative to the directory of the config file, while private keys are resolved
+ * only when they are not given as PEM content.
+ * @param {string} configPath - Path to the migration config file
+ * @returns {Object} Command line options set by the config file
+ * @throws {Error} If the file does not match the config schema
+ */
+export function loadMigrationConfig(configPath) {
+  const content = fs.readFileSync(configPath, 'utf-8');
+  const values = path.extname(configPath) === '.json' ? JSON.parse(content) : YAML.parse(content);
+
+  const errors = validateConfig(values, configSchema, '');
+  if (errors.length > 0) {
+    throw new Error(`Invalid migration config ${configPath}:\n  ${errors.join('\n  ')}`);
+  }
+  return toOptions(values, configSchema, path.dirname(configPath));
+}
+
+/**
+ * Validates a value against a config schema.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema of the value
+ * @param {string} name - Name of the value, used in error messages
+ * @returns {Array} Array of error messages, empty if the value is valid
+ */
+function validateConfig(value, schema, name) {
+  const label = name || 'config';
+  switch (schema.type) {
+    case 'object': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${label} must be an object`];
+      }
+      return Object.entries(value).flatMap(([key, propertyValue]) => {
+        const propertyName = name ? `${name}.${key}` : key;
+        if (!schema.properties[key]) {
+          return [`${propertyName} is not a known setting`];
+        }
+        return validateConfig(propertyValue, schema.properties[key], propertyName);
+      });
+    }
+    case 'array':
+      if (!Array.isArray(value)) {
+        return [`${label} must be an array`];
+      }
+      return value.flatMap((item, index) => validateConfig(item, schema.items, `${label}[${index}]`));
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return [`${label} must be an integer`];
+      }
+      return value < schema.minimum ? [`${label} must be at least ${schema.minimum}`] : [];
+    default:
+      if (typeof value !== schema.type) {
+        return [`${label} must be a ${schema.type}`];
+      }
+      return schema.enum && !schema.enum.includes(value) ? [`${label} must be one of ${schema.enum.join(', ')}`] : [];
+  }
+}
+
+/**
+ * Converts validated config values to the command line options named in the schema.
+ * @param {Object} values - Validated config values
+ * @param {Object} schema - Schema of the values
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Object} Command line options
+ */
+function toOptions(values, schema, baseDir) {
+  return Object.entries(values).reduce((options, [key, value]) => {
+    const propertySchema = schema.properties[key];
+    if (propertySchema.type === 'object') {
+      return { ...options, ...toOptions(value, propertySchema, baseDir) };
+    }
+    // values with the inline marker, such as a PEM private key, are content rather than a path
+    const isPath = propertySchema.path && !(propertySchema.inlineMarker && value.includes(propertySchema.inlineMarker));
+    return { ...options, [propertySchema.option]: isPath ? path.resolve(baseDir, value) : value };
+  }, {});
+}
@@ -0,0 +1,98 @@
+// hosts of the source and target, configured once per run by the CLI
+const hosts = new Map();
+
+/**
+ * Configures the API, git and registry hosts of the source or target organization.
+ * Hosts that are not given are derived from the API URL, which defaults to GitHub.com:
+ * GitHub Enterprise Cloud with data residency is recognized by an API URL like
+ * https://api.SUBDOMAIN.ghe.com, and any other API URL is treated as GitHub Enterprise Server
+ * with subdomain isolation, like https://HOSTNAME/api/v3.
+ * @param {string} side - Either source or target
+ * @param {Object} settings - Host settings
+ * @param {string} [settings.apiUrl] - Base URL of the REST API
+ * @param {string} [settings.gitUrl] - Base URL of git repositories
+ * @param {string} [settings.registryUrl] - Base URL of the package registries, `{type}` is replaced by the package type
+ * @param {string} [settings.containerRegistry] - Host of the container registry
+ * @returns {Object} Hosts
+ */
+export function configureHosts(side, { apiUrl, gitUrl, registryUrl, containerRegistry } = {}) {
+  const defaults = defaultHosts(apiUrl ? apiUrl.replace(/\/+$/, '') : 'https://api.github.com');
+  hosts.set(side, {
+    apiUrl: defaults.apiUrl,
+    gitUrl: gitUrl ? gitUrl.replace(/\/+$/, '') : defaults.gitUrl,
+    registryUrl: registryUrl ? registryUrl.replace(/\/+$/, '') : defaults.registryUrl,
+    containerRegistry: containerRegistry || defaults.containerRegistry,
+  });
+  return hosts.get(side);
+}
+
+/**
+ * Derives the git and registry hosts from the API URL.
+ * @param {string} apiUrl - Base URL of the REST API
+ * @returns {Object} Hosts
+ */
+function defaultHosts(apiUrl) {
+  const { host } = new URL(apiUrl);
+  if (host === 'api.github.com') {
+    return {
+      apiUrl,
+      gitUrl: 'https://github.com',
+      registryUrl: 'https://{type}.pkg.github.com',
+      containerRegistry: 'ghcr.io',
+    };
+  }
+
+  const dataResidency = host.match(/^api\.(.+\.ghe\.com)$/);
+  if (dataResidency) {
+    return {
+      apiUrl,
+      gitUrl: `https://${dataResidency[1]}`,
+      registryUrl: `https://{type}.pkg.${dataResidency[1]}`,
+      containerRegistry: `containers.${dataResidency[1]}`,
+    };
+  }
+
+  return {
+    apiUrl,
+    gitUrl: `https://${host}`,
+    registryUrl: `https://{type}.${host}`,
+    containerRegistry: `containers.${host}`,
+  };
+}
+
+/**
+ * Gets the hosts of the source or target organization.
+ * Without configured hosts the GitHub.com hosts are used.
+ * @param {string} side - Either source or target
+ * @returns {Object} Hosts with apiUrl, gitUrl, registryUrl and containerRegistry
+ */
+export function getHosts(side) {
+  return hosts.get(side) || configureHosts(side);
+}
+
+/**
+ * Builds the base URL of the package registry of a package type.
+ * @param {string} side - Either source or target
+ * @param {string} packageType - Package type, such as maven or npm
+ * @returns {string} Registry base URL
+ */
+export function registryUrl(side, packageType) {
+  return getHosts(side).registryUrl.replace('{type}', packageType);
+}
+
+/**
+ * Builds the HTTPS URL of a repository for git commands, optionally with a token.
+ * @param {string} side - Either source or target
+ * @param {string} owner - Repository owner
+ * @param {string} repoName - Repository name
+ * @param {string} [token] - Token to embed in the URL
+ * @returns {string} Repository URL
+ */
+export function gitRepositoryUrl(side, owner, repoName, token) {
+  const url = new URL(`${getHosts(side).gitUrl}/${owner}/${repoName}.git`);
+  if (token) {
+    url.username = 'x-access-token';
+    url.password = token;
+  }
+  return url.toString();
+}
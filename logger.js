@@ -1,16 +1,17 @@
 import winston from 'winston';
 import path from 'path';
+import config from './config.js';
 
 // Create logs directory if it doesn't exist
 import fs from 'fs';
 
-const logDir = 'logs';
+const logDir = path.dirname(config.logFilePath);
 if (!fs.existsSync(logDir)) {
-    fs.mkdirSync(logDir);
+    fs.mkdirSync(logDir, { recursive: true });
 }
 
 export const logger = winston.createLogger({
-    level: 'info',
+    level: config.logLevel,
     format: winston.format.combine(
         winston.format.timestamp(),
         winston.format.printf(({ level, message, timestamp }) => {
@@ -20,7 +21,7 @@ export const logger = winston.createLogger({
     transports: [
         new winston.transports.Console(),
         new winston.transports.File({ 
-          filename: path.join(logDir, 'migration.log'),
+          filename: config.logFilePath,
           level: 'debug',
           maxsize: 5242880,
           maxFiles: 5,
@@ -30,5 +31,5 @@ export const logger = winston.createLogger({
 });
 
 export function setVerbosity(verbose) {
-    logger.level = verbose ? 'debug' : 'info';
+    logger.level = verbose ? 'debug' : config.logLevel;
 }
@@ -0,0 +1,192 @@
+import {logger, setVerbosity} from '../logger.js';
+import {fetchSourceRepositories, resolveTargetRepository} from '../repositories.js';
+import {createOperationLog} from '../plan.js';
+import {loadUsernameMappings} from './teams.js';
+
+// permissions the collaborators API expects for the built-in roles it lists under another name
+const rolePermissions = { read: 'pull', write: 'push' };
+
+// log wording of the changes made to a collaborator
+const pastTense = { update: 'Updated', invite: 'Invited', add: 'Added' };
+
+/**
+ * Migrates the direct collaborators of every selected repository, including outside collaborators,
+ * with their exact role, built-in or custom. Collaborators are translated with the username mappings.
+ * Members of the target organization are added to the target repository directly, everyone else
+ * is invited and shows up as a collaborator once they accept. Pending invitations to the source
+ * repositories are carried over as well.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} sourceGraphQL - GraphQL client for source (not used)
+ * @param {Object} targetGraphQL - GraphQL client for target (not used)
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} packageType - Package type (not used)
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {boolean} verbose - Whether to enable verbose logging
+ * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings
+ * @param {Object} [options] - Component options shared across the run
+ * @param {Object} [options.operations] - Operation log recording or restricting the planned operations
+ * @returns {Object} Migration results
+ */
+export async function migrateCollaborators(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packageType, dryRun, verbose, usernameMappingFile, options = {}) {
+  setVerbosity(verbose);
+  logger.info(`Starting collaborator migration from ${sourceOrg} to ${targetOrg} (Dry Run: ${dryRun})`);
+
+  const collaboratorMigrations = {
+    collaborators: [],
+    pendingInvitations: [],
+    errors: [],
+  };
+  const operations = options.operations || createOperationLog();
+
+  try {
+    const usernameMappings = loadUsernameMappings(usernameMappingFile);
+    const targetMembers = await targetOctokit.paginate(targetOctokit.orgs.listMembers, { org: targetOrg, per_page: 100 });
+    const targetMemberLogins = new Set(targetMembers.map(member => member.login));
+    const sourceRepos = await fetchSourceRepositories(sourceOctokit, sourceOrg, options);
+
+    for (const repo of sourceRepos) {
+      const target = resolveTargetRepository(options, targetOrg, repo.name);
+      await migrateRepoCollaborators(sourceOctokit, targetOctokit, sourceOrg, target, repo.name, usernameMappings, targetMemberLogins, dryRun, collaboratorMigrations, operations);
+    }
+  } catch (error) {
+    logger.error(`Failed to migrate collaborators: ${error.message}`);
+    collaboratorMigrations.errors.push({ message: error.message });
+    operations.fail('collaborators', 'organization', sourceOrg, error);
+  }
+
+  if (collaboratorMigrations.pendingInvitations.length > 0) {
+    logger.info(`${collaboratorMigrations.pendingInvitations.length} repository invitations are pending until accepted`);
+  }
+  logger.info('Collaborator migration completed');
+  return collaboratorMigrations;
+}
+
+/**
+ * Migrates the direct collaborators and pending invitations of a single repository.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Source repository name
+ * @param {Map} usernameMappings - Map of source usernames to target usernames
+ * @param {Set} targetMemberLogins - Logins of the members of the target organization
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} collaboratorMigrations - Migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateRepoCollaborators(sourceOctokit, targetOctokit, sourceOrg, target, repoName, usernameMappings, targetMemberLogins, dryRun, collaboratorMigrations, operations) {
+  if (!target) {
+    return;
+  }
+
+  try {
+    const source = await fetchCollaborators(sourceOctokit, sourceOrg, repoName);
+    // invited users are carried over with their invitation role unless they are collaborators already
+    const collaborators = new Map();
+    [...source.collaborators, ...source.invitations].forEach(([login, role]) => {
+      const targetLogin = usernameMappings.get(login) || login;
+      if (!collaborators.has(targetLogin)) {
+        collaborators.set(targetLogin, role);
+      }
+    });
+    if (collaborators.size === 0) {
+      return;
+    }
+
+    const current = await fetchCollaborators(targetOctokit, target.owner, target.repo);
+    for (const [login, role] of collaborators) {
+      await migrateCollaborator(targetOctokit, target, repoName, login, role, current, targetMemberLogins.has(login), dryRun, collaboratorMigrations, operations);
+    }
+  } catch (error) {
+    logger.error(`Failed to migrate collaborators for repo ${repoName}: ${error.message}`);
+    collaboratorMigrations.errors.push({ repo: repoName, message: error.message });
+    operations.fail('collaborators', 'repository', repoName, error);
+  }
+}
+
+/**
+ * Fetches the direct collaborators of a repository, which include outside collaborators but not
+ * the users with access through a team or the organization, and its pending invitations.
+ * @param {Object} octokit - Octokit instance for the organization
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Object>} Maps of collaborator and invitee logins to their role name
+ */
+async function fetchCollaborators(octokit, owner, repo) {
+  const collaborators = await octokit.paginate(octokit.repos.listCollaborators, {
+    owner,
+    repo,
+    affiliation: 'direct',
+    per_page: 100,
+  });
+  const invitations = await octokit.paginate(octokit.repos.listInvitations, {
+    owner,
+    repo,
+    per_page: 100,
+  });
+  return {
+    collaborators: new Map(collaborators.map(collaborator => [collaborator.login, collaborator.role_name])),
+    invitations: new Map(invitations.filter(invitation => invitation.invitee).map(invitation => [invitation.invitee.login, invitation.permissions])),
+  };
+}
+
+/**
+ * Gives a user their role on the target repository. Collaborators with another role are updated,
+ * users with a pending invitation are left alone, members of the target organization are added
+ * and everyone else is invited.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Source repository name
+ * @param {string} login - Target username
+ * @param {string} role - Role name, such as read, write or a custom repository role
+ * @param {Object} current - Collaborators and invitations of the target repository
+ * @param {boolean} isMember - Whether the user is a member of the target organization
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} collaboratorMigrations - Migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateCollaborator(targetOctokit, target, repoName, login, role, current, isMember, dryRun, collaboratorMigrations, operations) {
+  const key = `${repoName}/${login}`;
+  const currentRole = current.collaborators.get(login);
+  if (currentRole === role) {
+    operations.record('collaborators', 'collaborator', 'skip', key, { reason: 'up to date' });
+    return;
+  }
+  if (!currentRole && current.invitations.has(login)) {
+    operations.record('collaborators', 'collaborator-invitation', 'skip', key, { reason: 'invitation pending' });
+    collaboratorMigrations.pendingInvitations.push({ repo: repoName, login, role: current.invitations.get(login) });
+    return;
+  }
+
+  const invite = !currentRole && !isMember;
+  const resource = invite ? 'collaborator-invitation' : 'collaborator';
+  if (!operations.record('collaborators', resource, currentRole ? 'update' : 'create', key, { role })) {
+    return;
+  }
+  const verb = currentRole ? 'update' : invite ? 'invite' : 'add';
+  if (dryRun) {
+    logger.info(`[Dry run] Would ${verb} collaborator ${login} of ${target.repo} with role ${role}`);
+    return;
+  }
+
+  try {
+    await targetOctokit.repos.addCollaborator({
+      owner: target.owner,
+      repo: target.repo,
+      username: login,
+      permission: rolePermissions[role] || role,
+    });
+    logger.info(`${pastTense[verb]} collaborator ${login} of ${target.repo} with role ${role}`);
+    if (invite) {
+      collaboratorMigrations.pendingInvitations.push({ repo: repoName, login, role });
+    } else {
+      collaboratorMigrations.collaborators.push({ repo: repoName, login, role });
+    }
+  } catch (error) {
+    logger.error(`Failed to ${verb} collaborator ${login} of ${target.repo}: ${error.message}`);
+    collaboratorMigrations.errors.push({ repo: repoName, collaborator: login, message: error.message });
+    operations.fail('collaborators', resource, key, error);
+  }
+}
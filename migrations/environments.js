@@ -0,0 +1,306 @@
+import {logger, setVerbosity} from '../logger.js';
+import {loadUsernameMappings, resolveTargetTeam} from './teams.js';
+import {fetchSourceRepositories, resolveTargetRepository} from '../repositories.js';
+import {createOperationLog} from '../plan.js';
+
+/**
+ * Migrates deployment environments from source organization to target organization.
+ * Wait timers, required reviewers, prevent-self-review and deployment branch/tag policies are carried over.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} sourceGraphQL - GraphQL client for source (not used)
+ * @param {Object} targetGraphQL - GraphQL client for target (not used)
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} packageType - Package type (not used)
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {boolean} verbose - Whether to enable verbose logging
+ * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings
+ * @param {Object} [options] - Component options shared across the run
+ * @param {Object} [options.operations] - Operation log recording or restricting the planned operations
+ * @param {Map} [options.teamMappings] - Team mappings translating team reviewers, created by loadTeamMappings
+ * @returns {Object} Migration results
+ */
+export async function migrateEnvironments(
+  sourceOctokit,
+  targetOctokit,
+  sourceGraphQL,
+  targetGraphQL,
+  sourceOrg,
+  targetOrg,
+  packageType,
+  dryRun,
+  verbose,
+  usernameMappingFile,
+  options = {}
+) {
+  setVerbosity(verbose);
+  logger.info(`Starting environments migration from ${sourceOrg} to ${targetOrg} (Dry Run: ${dryRun})`);
+
+  const environmentMigrations = {
+    environments: [],
+    unresolvedReviewers: [],
+    errors: [],
+  };
+  const operations = options.operations || createOperationLog();
+
+  try {
+    const usernameMappings = loadUsernameMappings(usernameMappingFile);
+    const reviewerNames = { usernameMappings, teamMappings: options.teamMappings || null };
+    const reviewerIds = new Map();
+    const sourceRepos = await fetchSourceRepositories(sourceOctokit, sourceOrg, options);
+
+    for (const repo of sourceRepos) {
+      const target = resolveTargetRepository(options, targetOrg, repo.name);
+      await migrateRepoEnvironments(sourceOctokit, targetOctokit, sourceOrg, target, repo.name, reviewerNames, reviewerIds, dryRun, environmentMigrations, operations);
+    }
+  } catch (error) {
+    logger.error(`Failed to migrate environments: ${error.message}`);
+    environmentMigrations.errors.push({ message: error.message });
+    operations.fail('environments', 'organization', sourceOrg, error);
+  }
+
+  if (environmentMigrations.unresolvedReviewers.length > 0) {
+    logger.warn(`${environmentMigrations.unresolvedReviewers.length} required reviewers could not be found in the target organization`);
+  }
+  logger.info('Environment migration completed');
+  logger.debug(JSON.stringify(environmentMigrations, null, 2));
+  return environmentMigrations;
+}
+
+/**
+ * Migrates the deployment environments of a single repository.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Repository name
+ * @param {Object} reviewerNames - Username and team mappings translating reviewers
+ * @param {Map} reviewerIds - Cache of resolved target reviewer IDs
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} environmentMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateRepoEnvironments(sourceOctokit, targetOctokit, sourceOrg, target, repoName, reviewerNames, reviewerIds, dryRun, environmentMigrations, operations) {
+  try {
+    const environments = await sourceOctokit.paginate(sourceOctokit.repos.getAllEnvironments, {
+      owner: sourceOrg,
+      repo: repoName,
+      per_page: 100,
+    });
+
+    for (const environment of environments) {
+      await migrateEnvironment(sourceOctokit, targetOctokit, sourceOrg, target, repoName, environment, reviewerNames, reviewerIds, dryRun, environmentMigrations, operations);
+    }
+  } catch (error) {
+    logger.error(`Failed to migrate environments for repo ${repoName}: ${error.message}`);
+    environmentMigrations.errors.push({ repo: repoName, message: error.message });
+    operations.fail('environments', 'repository', repoName, error);
+  }
+}
+
+/**
+ * Re-creates a single environment with its protection rules in the target repository.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Repository name
+ * @param {Object} environment - Source environment
+ * @param {Object} reviewerNames - Username and team mappings translating reviewers
+ * @param {Map} reviewerIds - Cache of resolved target reviewer IDs
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} environmentMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateEnvironment(sourceOctokit, targetOctokit, sourceOrg, target, repoName, environment, reviewerNames, reviewerIds, dryRun, environmentMigrations, operations) {
+  try {
+    const rules = environment.protection_rules || [];
+    const waitTimerRule = rules.find(rule => rule.type === 'wait_timer');
+    const reviewersRule = rules.find(rule => rule.type === 'required_reviewers');
+
+    const reviewers = [];
+    for (const { type, reviewer } of reviewersRule ? reviewersRule.reviewers : []) {
+      const id = await resolveReviewerId(targetOctokit, target.owner, type, reviewer, reviewerNames, reviewerIds);
+      if (id) {
+        reviewers.push({ type, id });
+      } else {
+        environmentMigrations.unresolvedReviewers.push({
+          repo: repoName,
+          environment: environment.name,
+          type,
+          reviewer: type === 'Team' ? reviewer.slug : reviewer.login,
+        });
+      }
+    }
+
+    const branchPolicy = environment.deployment_branch_policy || null;
+    const branchPolicies = branchPolicy && branchPolicy.custom_branch_policies
+      ? await sourceOctokit.paginate(sourceOctokit.repos.listDeploymentBranchPolicies, {
+        owner: sourceOrg,
+        repo: repoName,
+        environment_name: environment.name,
+        per_page: 100,
+      })
+      : [];
+
+    const settings = {
+      wait_timer: waitTimerRule ? waitTimerRule.wait_timer : 0,
+      prevent_self_review: reviewersRule ? Boolean(reviewersRule.prevent_self_review) : false,
+      reviewers,
+      deployment_branch_policy: branchPolicy,
+    };
+
+    // Reviewers are planned by name, as teams created earlier in the same run only get their IDs when applied
+    if (!operations.record('environments', 'environment', 'create', `${repoName}/${environment.name}`, {
+      ...settings,
+      reviewers: (reviewersRule ? reviewersRule.reviewers : []).map(({ type, reviewer }) =>
+        `${type}:${targetReviewerName(type, reviewer, reviewerNames)}`
+      ),
+    })) {
+      return;
+    }
+
+    if (dryRun) {
+      logger.info(`[Dry run] Would create environment ${environment.name} for repo ${repoName} with ${reviewers.length} reviewers and ${branchPolicies.length} branch policies`);
+    } else {
+      await targetOctokit.repos.createOrUpdateEnvironment({
+        owner: target.owner,
+        repo: target.repo,
+        environment_name: environment.name,
+        ...settings,
+      });
+      logger.debug(`Migrated environment ${environment.name} for repo ${repoName}`);
+    }
+    await migrateDeploymentBranchPolicies(targetOctokit, target, repoName, environment.name, branchPolicies, dryRun, operations);
+
+    environmentMigrations.environments.push({
+      repo: repoName,
+      name: environment.name,
+      waitTimer: settings.wait_timer,
+      preventSelfReview: settings.prevent_self_review,
+      reviewers: reviewers.length,
+      branchPolicies: branchPolicies.map(policy => `${policy.type || 'branch'}:${policy.name}`),
+    });
+  } catch (error) {
+    logger.error(`Failed to migrate environment ${environment.name} for repo ${repoName}: ${error.message}`);
+    environmentMigrations.errors.push({ repo: repoName, environment: environment.name, message: error.message });
+    operations.fail('environments', 'environment', `${repoName}/${environment.name}`, error);
+  }
+}
+
+/**
+ * Gets the name of a required reviewer in the target organization.
+ * Users are translated through the username mappings, teams through the team mappings.
+ * @param {string} type - Reviewer type (User or Team)
+ * @param {Object} reviewer - Source reviewer object
+ * @param {Object} reviewerNames - Username and team mappings translating reviewers
+ * @returns {string|null} Target username or team slug, or null if the team is not migrated
+ */
+function targetReviewerName(type, reviewer, { usernameMappings, teamMappings }) {
+  if (type === 'Team') {
+    const team = resolveTargetTeam(teamMappings, reviewer);
+    return team ? team.slug : null;
+  }
+  return usernameMappings.get(reviewer.login) || reviewer.login;
+}
+
+/**
+ * Resolves the target ID of a required reviewer.
+ * Users and teams are translated by targetReviewerName, then teams are looked up by slug.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {string} type - Reviewer type (User or Team)
+ * @param {Object} reviewer - Source reviewer object
+ * @param {Object} reviewerNames - Username and team mappings translating reviewers
+ * @param {Map} reviewerIds - Cache of resolved target reviewer IDs
+ * @returns {number|null} Target reviewer ID, or null if it was not found
+ */
+async function resolveReviewerId(targetOctokit, targetOrg, type, reviewer, reviewerNames, reviewerIds) {
+  const name = targetReviewerName(type, reviewer, reviewerNames);
+  if (!name) {
+    logger.warn(`Reviewer team ${reviewer.slug} is not migrated according to the team mapping file`);
+    return null;
+  }
+  const cacheKey = `${targetOrg}:${type}:${name}`;
+  if (reviewerIds.has(cacheKey)) {
+    return reviewerIds.get(cacheKey);
+  }
+
+  let id = null;
+  try {
+    if (type === 'Team') {
+      const { data: team } = await targetOctokit.teams.getByName({ org: targetOrg, team_slug: name });
+      id = team.id;
+    } else {
+      const { data: user } = await targetOctokit.users.getByUsername({ username: name });
+      id = user.id;
+    }
+  } catch (error) {
+    logger.warn(`Unable to find reviewer ${type === 'Team' ? 'team' : 'user'} ${name} in target: ${error.message}`);
+  }
+
+  reviewerIds.set(cacheKey, id);
+  return id;
+}
+
+/**
+ * Creates the custom deployment branch and tag policies that are missing in the target environment.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Repository name
+ * @param {string} environmentName - Environment name
+ * @param {Array} branchPolicies - Source branch and tag policies
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateDeploymentBranchPolicies(targetOctokit, target, repoName, environmentName, branchPolicies, dryRun, operations) {
+  if (branchPolicies.length === 0) {
+    return;
+  }
+
+  const existingPolicies = await listTargetBranchPolicies(targetOctokit, target, environmentName);
+  const existing = new Set(existingPolicies.map(policy => `${policy.type || 'branch'}:${policy.name}`));
+
+  for (const policy of branchPolicies) {
+    const type = policy.type || 'branch';
+    if (existing.has(`${type}:${policy.name}`)) {
+      continue;
+    }
+    if (!operations.record('environments', 'branch-policy', 'create', `${repoName}/${environmentName}/${type}:${policy.name}`) || dryRun) {
+      continue;
+    }
+    await targetOctokit.repos.createDeploymentBranchPolicy({
+      owner: target.owner,
+      repo: target.repo,
+      environment_name: environmentName,
+      name: policy.name,
+      type,
+    });
+    logger.debug(`Added ${type} policy ${policy.name} to environment ${environmentName} in repo ${repoName}`);
+  }
+}
+
+/**
+ * Lists the deployment branch and tag policies of an environment in the target repository.
+ * An environment that does not exist yet has no policies.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} environmentName - Environment name
+ * @returns {Array} Array of branch and tag policies
+ */
+async function listTargetBranchPolicies(targetOctokit, target, environmentName) {
+  try {
+    return await targetOctokit.paginate(targetOctokit.repos.listDeploymentBranchPolicies, {
+      owner: target.owner,
+      repo: target.repo,
+      environment_name: environmentName,
+      per_page: 100,
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,219 @@
+import {logger, setVerbosity} from '../logger.js';
+import {createOperationLog} from '../plan.js';
+import {loadUsernameMappings} from './teams.js';
+
+// roles of organization invitations by organization role
+const invitationRoles = { admin: 'admin', member: 'direct_member', billing_manager: 'billing_manager' };
+
+/**
+ * Migrates the organization memberships of the source organization, so that team members are
+ * members of the target organization before the teams are migrated.
+ * Source members and admins, the billing managers given in the options and the users with a pending
+ * invitation to the source organization are compared with the target under their mapped usernames.
+ * Users without a membership or invitation are invited with their role, and members who are admins
+ * in the source become admins. Invitations stay pending until the invitee accepts them.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} sourceGraphQL - GraphQL client for source (not used)
+ * @param {Object} targetGraphQL - GraphQL client for target (not used)
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} packageType - Package type (not used)
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {boolean} verbose - Whether to enable verbose logging
+ * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings
+ * @param {Object} [options] - Component options shared across the run
+ * @param {Object} [options.operations] - Operation log recording or restricting the planned operations
+ * @param {Array} [options.billingManagers] - Source usernames of the billing managers, which the API cannot list
+ * @returns {Object} Migration results
+ */
+export async function migrateOrgMembers(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packageType, dryRun, verbose, usernameMappingFile, options = {}) {
+  setVerbosity(verbose);
+  logger.info('Starting organization member migration process...');
+
+  const memberMigrations = {
+    members: [],
+    pendingInvitations: [],
+    errors: [],
+  };
+  const operations = options.operations || createOperationLog();
+
+  try {
+    const usernameMappings = loadUsernameMappings(usernameMappingFile);
+    const memberships = await fetchSourceMemberships(sourceOctokit, sourceOrg, usernameMappings, options.billingManagers || []);
+    const targetMembers = await fetchMembers(targetOctokit, targetOrg);
+    const targetInvitations = new Map((await fetchInvitations(targetOctokit, targetOrg)).map(invitation => [invitation.key, invitation]));
+
+    for (const membership of memberships) {
+      await migrateMembership(targetOctokit, targetOrg, membership, targetMembers, targetInvitations, dryRun, memberMigrations, operations);
+    }
+    if (memberMigrations.pendingInvitations.length > 0) {
+      logger.info(`${memberMigrations.pendingInvitations.length} invitations to ${targetOrg} are pending until accepted: ${memberMigrations.pendingInvitations.map(invitation => invitation.key).join(', ')}`);
+    }
+  } catch (error) {
+    logger.error(`Error migrating organization members: ${error.message}`);
+    memberMigrations.errors.push({ message: error.message });
+    operations.fail('org-members', 'organization', sourceOrg, error);
+  }
+  return memberMigrations;
+}
+
+/**
+ * Fetches the memberships to migrate from the source organization under their target usernames.
+ * Members and admins come first, then the billing managers and the pending invitations, of which
+ * invitations by email keep their email. A user listed more than once keeps the first role.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Map} usernameMappings - Map of source usernames to target usernames
+ * @param {Array} billingManagers - Source usernames of the billing managers
+ * @returns {Promise<Array>} Memberships with their key, target login or email and role
+ */
+async function fetchSourceMemberships(sourceOctokit, sourceOrg, usernameMappings, billingManagers) {
+  const memberships = new Map();
+  const add = (login, email, role) => {
+    const targetLogin = login && (usernameMappings.get(login) || login);
+    const key = targetLogin || email.toLowerCase();
+    if (!memberships.has(key)) {
+      memberships.set(key, { key, login: targetLogin, email: targetLogin ? null : email, role });
+    }
+  };
+
+  (await fetchMembers(sourceOctokit, sourceOrg)).forEach((role, login) => add(login, null, role));
+  billingManagers.forEach(login => add(login, null, 'billing_manager'));
+  (await fetchInvitations(sourceOctokit, sourceOrg)).forEach(invitation => add(invitation.login, invitation.email, invitation.role));
+  logger.info(`Found ${memberships.size} members, billing managers and invited users in organization: ${sourceOrg}`);
+  return [...memberships.values()];
+}
+
+/**
+ * Fetches the members of an organization with their role.
+ * @param {Object} octokit - Octokit instance for the organization
+ * @param {string} org - Organization name
+ * @returns {Promise<Map>} Map of member logins to admin or member
+ */
+async function fetchMembers(octokit, org) {
+  const admins = await octokit.paginate(octokit.orgs.listMembers, { org, role: 'admin', per_page: 100 });
+  const members = await octokit.paginate(octokit.orgs.listMembers, { org, role: 'all', per_page: 100 });
+  const adminLogins = new Set(admins.map(admin => admin.login));
+  return new Map(members.map(member => [member.login, adminLogins.has(member.login) ? 'admin' : 'member']));
+}
+
+/**
+ * Fetches the pending invitations of an organization.
+ * Invitations to reinstate a former member or with another role are taken as member invitations.
+ * @param {Object} octokit - Octokit instance for the organization
+ * @param {string} org - Organization name
+ * @returns {Promise<Array>} Invitations with their key, login or email and organization role
+ */
+async function fetchInvitations(octokit, org) {
+  const invitations = await octokit.paginate(octokit.orgs.listPendingInvitations, { org, per_page: 100 });
+  return invitations.map(invitation => ({
+    key: invitation.login || invitation.email.toLowerCase(),
+    login: invitation.login,
+    email: invitation.email,
+    role: Object.keys(invitationRoles).find(role => invitationRoles[role] === invitation.role) || 'member',
+  }));
+}
+
+/**
+ * Migrates one membership: updates the role of a target member, leaves pending invitations and
+ * up to date memberships alone and invites everyone else.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {Object} membership - Membership created by fetchSourceMemberships
+ * @param {Map} targetMembers - Map of target member logins to their role
+ * @param {Map} targetInvitations - Pending invitations of the target organization by key
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} memberMigrations - Migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateMembership(targetOctokit, targetOrg, membership, targetMembers, targetInvitations, dryRun, memberMigrations, operations) {
+  const { key, login, email, role } = membership;
+  const currentRole = login ? targetMembers.get(login) : null;
+  try {
+    if (currentRole) {
+      await updateMemberRole(targetOctokit, targetOrg, membership, currentRole, dryRun, memberMigrations, operations);
+      return;
+    }
+    if (targetInvitations.has(key)) {
+      operations.record('org-members', 'org-invitation', 'skip', key, { reason: 'invitation pending' });
+      memberMigrations.pendingInvitations.push({ key, role: targetInvitations.get(key).role });
+      return;
+    }
+    if (role === 'billing_manager' && await isBillingManager(targetOctokit, targetOrg, login)) {
+      operations.record('org-members', 'org-member', 'skip', key, { reason: 'up to date' });
+      return;
+    }
+
+    if (!operations.record('org-members', 'org-invitation', 'create', key, { role })) {
+      return;
+    }
+    if (dryRun) {
+      logger.info(`[Dry run] Would invite ${key} to ${targetOrg} as ${role}`);
+      return;
+    }
+    const invitee = login
+      ? { invitee_id: (await targetOctokit.users.getByUsername({ username: login })).data.id }
+      : { email };
+    await targetOctokit.orgs.createInvitation({ org: targetOrg, ...invitee, role: invitationRoles[role] });
+    logger.info(`Invited ${key} to ${targetOrg} as ${role}`);
+    memberMigrations.pendingInvitations.push({ key, role });
+  } catch (error) {
+    logger.error(`Error migrating organization membership of ${key}: ${error.message}`);
+    memberMigrations.errors.push({ member: key, message: error.message });
+    operations.fail('org-members', currentRole ? 'org-member' : 'org-invitation', key, error);
+  }
+}
+
+/**
+ * Makes a member of the target organization an admin if the user is an admin in the source.
+ * Admins of the target are not demoted and billing managers who are already members keep their membership.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {Object} membership - Membership created by fetchSourceMemberships
+ * @param {string} currentRole - Role of the member in the target, admin or member
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} memberMigrations - Migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function updateMemberRole(targetOctokit, targetOrg, membership, currentRole, dryRun, memberMigrations, operations) {
+  const { key, login, role } = membership;
+  if (role === currentRole || role === 'billing_manager') {
+    operations.record('org-members', 'org-member', 'skip', key, { reason: role === currentRole ? 'up to date' : `already ${currentRole}` });
+    return;
+  }
+  // admins of the target, which can include the owner of the token running the migration, are never demoted
+  if (currentRole === 'admin') {
+    operations.record('org-members', 'org-member', 'skip', key, { reason: 'admin in target' });
+    return;
+  }
+  if (!operations.record('org-members', 'org-member', 'update', key, { role })) {
+    return;
+  }
+  if (dryRun) {
+    logger.info(`[Dry run] Would change the role of ${login} in ${targetOrg} from ${currentRole} to ${role}`);
+    return;
+  }
+  await targetOctokit.orgs.setMembershipForUser({ org: targetOrg, username: login, role });
+  logger.info(`Changed the role of ${login} in ${targetOrg} from ${currentRole} to ${role}`);
+  memberMigrations.members.push({ login, role });
+}
+
+/**
+ * Checks whether a user is an active billing manager of an organization.
+ * @param {Object} octokit - Octokit instance for the organization
+ * @param {string} org - Organization name
+ * @param {string} login - Username
+ * @returns {Promise<boolean>} Whether the user is a billing manager
+ */
+async function isBillingManager(octokit, org, login) {
+  try {
+    const { data } = await octokit.orgs.getMembershipForUser({ org, username: login });
+    return data.state === 'active' && data.role === 'billing_manager';
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
@@ -1,29 +1,36 @@
 import fs from 'fs';
 import {logger, setVerbosity} from '../logger.js';
 import {execSync} from 'child_process';
+import {createMigrationState} from '../state.js';
+import {createOperationLog} from '../plan.js';
+import {createVerification, compareItems} from '../verify.js';
+import {isRepositorySelected, resolveTargetRepository} from '../repositories.js';
+import {getToken} from '../auth.js';
+import {getHosts, registryUrl} from '../hosts.js';
+import {createScheduledFetch, runWorkerPool} from '../scheduler.js';
 
 import { ProxyAgent, fetch as undiciFetch } from "undici";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-const SOURCE_TOKEN = process.env.SOURCE_TOKEN;
-const TARGET_TOKEN = process.env.TARGET_TOKEN;
+// Registry requests get a token that is valid for long enough to complete a single transfer
+const TRANSFER_TOKEN_VALIDITY = 15 * 60 * 1000;
 
-// Create a ProxyAgent instance with your proxy settings
-const proxyAgent = new ProxyAgent({
+// Create a ProxyAgent instance with your proxy settings, requests are sent directly without HTTPS_PROXY
+const proxyAgent = process.env.HTTPS_PROXY ? new ProxyAgent({
   uri: process.env.HTTPS_PROXY,  // URL of the proxy server
   keepAliveTimeout: 10,          // Optional, set keep-alive timeout
   keepAliveMaxTimeout: 10        // Optional, set max keep-alive timeout
-});
+}) : undefined;
 
-// Define a custom fetch function that uses the ProxyAgent
-const myFetch = (url, options = {}) => {
+// Define a custom fetch function that uses the ProxyAgent and the shared request scheduler
+const myFetch = createScheduledFetch((url, options = {}) => {
   return undiciFetch(url, {
     ...options,
     dispatcher: proxyAgent,  // Attach the ProxyAgent to the dispatcher option
   });
-};
+});
 
 /**
  * Migrates packages from source organization to target organization.
@@ -34,31 +41,105 @@ const myFetch = (url, options = {}) => {
  * @param {Object} auth - Authentication object containing PATs
  * @param {boolean} dryRun - Whether to perform a dry run
  * @param {boolean} verbose - Whether to enable verbose logging
+ * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings (not used)
+ * @param {Object} [options] - Component options shared across the run
+ * @param {Object} [options.state] - Run state used to skip package versions uploaded by a previous run
+ * @param {boolean} [options.resume] - Whether the run resumes a previous run
+ * @param {Object} [options.operations] - Operation log recording or restricting the planned operations
+ * @returns {Object} Migration results
  */
-export async function migratePackages(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packageType, dryRun, verbose) {
+export async function migratePackages(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packageType, dryRun, verbose, usernameMappingFile, options = {}) {
   setVerbosity(verbose);
   logger.info(`Starting package migration process... (Dry Run: ${dryRun})`);
 
+  const packageMigrations = {
+    packages: [],
+    errors: [],
+  };
+  const state = options.state || createMigrationState();
+  const operations = options.operations || createOperationLog();
+
   try {
     if (!dryRun) {
-      preparePackagesDirectory();
+      preparePackagesDirectory(options.resume);
     }
     const packages = await fetchPackages(sourceOctokit, sourceOrg, packageType);
-    await processPackages(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packages, dryRun);
+    await processPackages(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packages, dryRun, packageMigrations, state, operations, options);
   } catch (error) {
     logger.error('Error migrating packages:', error.message);
+    packageMigrations.errors.push({ message: error.message });
+    operations.fail('packages', 'organization', sourceOrg, error);
   }
+  return packageMigrations;
 }
 
+/**
+ * Verifies that the packages of the source organization exist in the target organization with the same versions.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} sourceGraphQL - GraphQL client for source (not used)
+ * @param {Object} targetGraphQL - GraphQL client for target (not used)
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} packageType - Package type
+ * @param {boolean} dryRun - Whether to perform a dry run (not used)
+ * @param {boolean} verbose - Whether to enable verbose logging
+ * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings (not used)
+ * @param {Object} [options] - Component options shared across the run
+ * @returns {Object} Verification results
+ */
+export async function verifyPackages(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packageType, dryRun, verbose, usernameMappingFile, options = {}) {
+  setVerbosity(verbose);
+  logger.info(`Verifying ${packageType} packages of ${sourceOrg} in ${targetOrg}`);
+  const verification = createVerification('packages');
+
+  try {
+    // Packages are expected in the repository their source repository is mapped to
+    const sourcePackages = [];
+    for (const pkg of await fetchPackages(sourceOctokit, sourceOrg, packageType)) {
+      if (!(await isRepositorySelected(sourceOctokit, sourceOrg, options, pkg.repository.name))) {
+        continue;
+      }
+      const target = resolveTargetRepository(options, targetOrg, pkg.repository.name);
+      if (target && target.owner === targetOrg) {
+        sourcePackages.push({ ...pkg, repository: { ...pkg.repository, name: target.repo } });
+      }
+    }
+    const targetPackages = await fetchPackages(targetOctokit, targetOrg, packageType);
+    const packageRepositories = (packages) => new Map(packages.map(pkg => [packageStateKey(pkg), pkg.repository ? pkg.repository.name : null]));
+    compareItems(verification, 'package', packageRepositories(sourcePackages), packageRepositories(targetPackages));
+
+    const targetKeys = new Set(targetPackages.map(packageStateKey));
+    for (const pkg of sourcePackages.filter(pkg => targetKeys.has(packageStateKey(pkg)))) {
+      try {
+        const versionNames = (versions) => new Map(versions.map(version => [`${packageStateKey(pkg)}@${version.name}`, true]));
+        compareItems(
+          verification,
+          'package-version',
+          versionNames(await fetchPackageVersions(sourceOctokit, sourceOrg, pkg)),
+          versionNames(await fetchPackageVersions(targetOctokit, targetOrg, pkg))
+        );
+      } catch (error) {
+        logger.error(`Error verifying versions of package ${pkg.name}: ${error.message}`);
+        verification.errors.push({ package: pkg.name, message: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error(`Error verifying packages: ${error.message}`);
+    verification.errors.push({ message: error.message });
+  }
+  return verification;
+}
 
 /**
- * Prepares the packages directory.
+ * Prepares the packages directory. Files downloaded by a previous run are kept when resuming.
+ * @param {boolean} [resume] - Whether the run resumes a previous run
  */
-function preparePackagesDirectory() {
-  if (fs.existsSync('packages')) {
+function preparePackagesDirectory(resume) {
+  if (fs.existsSync('packages') && !resume) {
     fs.rmSync('packages', { recursive: true });
   }
-  fs.mkdirSync('packages');
+  fs.mkdirSync('packages', { recursive: true });
 }
 
 /**
@@ -85,13 +166,20 @@ async function fetchPackages(sourceOctokit, sourceOrg, packageType) {
  * @param {Object} auth - Authentication object containing PATs
  * @param {Array} packages - Array of packages to process
  * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} packageMigrations - Object to store migration results
+ * @param {Object} state - Run state recording uploaded package versions
+ * @param {Object} operations - Operation log recording the planned operations
+ * @param {Object} options - Component options shared across the run
  */
-async function processPackages(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packages, dryRun) {
+async function processPackages(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packages, dryRun, packageMigrations, state, operations, options) {
   for (const pkg of packages) {
     try {
-      await processPackage(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, pkg, dryRun);
+      await processPackage(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, pkg, dryRun, packageMigrations, state, operations, options);
+      packageMigrations.packages.push({ name: pkg.name, type: pkg.package_type });
     } catch (error) {
       logger.error(`Error processing package ${pkg.name}:`, error);
+      packageMigrations.errors.push({ package: pkg.name, message: error.message });
+      operations.fail('packages', 'package', packageStateKey(pkg), error);
     }
   }
 }
@@ -105,25 +193,71 @@ async function processPackages(sourceOctokit, targetOctokit, sourceGraphQL, targ
  * @param {Object} auth - Authentication object containing PATs
  * @param {Object} pkg - Package object to process
  * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} packageMigrations - Object to store migration results
+ * @param {Object} state - Run state recording uploaded package versions
+ * @param {Object} operations - Operation log recording the planned operations
+ * @param {Object} options - Component options shared across the run
  */
-async function processPackage(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, pkg, dryRun) {
+async function processPackage(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, pkg, dryRun, packageMigrations, state, operations, options) {
   logger.info(`Processing package: ${pkg.name} (${pkg.package_type})`);
-  if (!(await checkTargetRepository(targetOctokit, targetOrg, pkg.repository.name))) {
+  if (!(await isRepositorySelected(sourceOctokit, sourceOrg, options, pkg.repository.name))) {
+    logger.info(`Repository ${pkg.repository.name} of package ${pkg.name} is not selected. Skipping...`);
+    operations.record('packages', 'package', 'skip', packageStateKey(pkg), { reason: 'repository not selected' });
+    return;
+  }
+  const target = resolveTargetRepository(options, targetOrg, pkg.repository.name);
+  if (!target) {
+    operations.record('packages', 'package', 'skip', packageStateKey(pkg), { reason: 'repository not mapped' });
+    return;
+  }
+  if (!(await checkTargetRepository(targetOctokit, target.owner, target.repo))) {
+    operations.record('packages', 'package', 'skip', packageStateKey(pkg), { reason: 'repository not found' });
     return;
   }
 
-  if (await checkPackageExistsInTarget(targetOctokit, targetOrg, pkg.name, pkg.package_type)) {
+  // A package with versions recorded in the run state was only partially migrated, so it is not skipped
+  const partiallyMigrated = state.completedKeys('packages').some(key => key.startsWith(`${packageStateKey(pkg)}@`));
+  if (!partiallyMigrated && await checkPackageExistsInTarget(targetOctokit, target.owner, pkg.name, pkg.package_type)) {
+    operations.record('packages', 'package', 'skip', packageStateKey(pkg), { reason: 'package exists' });
     return;
   }
 
   const versions = await fetchPackageVersions(sourceOctokit, sourceOrg, pkg);
   
   if (dryRun) {
-    logger.info(`[Dry Run] Would migrate package: ${pkg.name} from ${sourceOrg} to ${targetOrg}`);
+    logger.info(`[Dry Run] Would migrate package: ${pkg.name} from ${sourceOrg} to ${target.owner}/${target.repo}`);
     logger.info(`[Dry Run] Versions to migrate: ${versions.map(v => v.name).join(', ')}`);
+    versions.forEach(version => recordPackageVersion(pkg, version, state, operations));
   } else {
-    await migratePackageVersions(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, pkg, versions, dryRun);
+    await migratePackageVersions(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, target, pkg, versions, dryRun, packageMigrations, state, operations);
+  }
+}
+
+/**
+ * Records the planned operation for a package version.
+ * @param {Object} pkg - Package object
+ * @param {Object} version - Version object
+ * @param {Object} state - Run state recording uploaded package versions
+ * @param {Object} operations - Operation log recording the planned operations
+ * @returns {boolean} Whether the version should be migrated
+ */
+function recordPackageVersion(pkg, version, state, operations) {
+  const unitKey = `${packageStateKey(pkg)}@${version.name}`;
+  if (state.isCompleted('packages', unitKey)) {
+    logger.info(`Skipping version ${version.name} of ${pkg.name}, already migrated`);
+    operations.record('packages', 'package-version', 'skip', unitKey, { reason: 'already migrated' });
+    return false;
   }
+  return operations.record('packages', 'package-version', 'create', unitKey);
+}
+
+/**
+ * Builds the run state key of a package.
+ * @param {Object} pkg - Package object
+ * @returns {string} Package state key
+ */
+function packageStateKey(pkg) {
+  return `${pkg.package_type}/${pkg.name}`;
 }
 
 /**
@@ -194,40 +328,54 @@ async function fetchPackageVersions(sourceOctokit, sourceOrg, pkg) {
  * @param {Object} sourceOctokit - Octokit instance for source organization
  * @param {Object} targetOctokit - Octokit instance for target organization
  * @param {string} sourceOrg - Source organization name
- * @param {string} targetOrg - Target organization name
+ * @param {Object} target - Owner and name of the target repository
  * @param {Object} auth - Authentication object containing PATs
  * @param {Object} pkg - Package object
  * @param {Array} versions - Array of package versions
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} packageMigrations - Object to store migration results
+ * @param {Object} state - Run state recording uploaded package versions
+ * @param {Object} operations - Operation log recording the planned operations
  */
-async function migratePackageVersions(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, pkg, versions, dryRun) {
+async function migratePackageVersions(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, target, pkg, versions, dryRun, packageMigrations, state, operations) {
   for (const version of versions.reverse()) {
+    if (!recordPackageVersion(pkg, version, state, operations)) {
+      continue;
+    }
+
     try {
-      await migratePackageVersion(sourceOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, pkg, version, dryRun);
+      await migratePackageVersion(sourceOctokit, sourceGraphQL, targetGraphQL, sourceOrg, target, pkg, version, dryRun);
+      if (!dryRun) {
+        state.markCompleted('packages', `${packageStateKey(pkg)}@${version.name}`);
+      }
     } catch (versionError) {
       logger.error(`Error migrating version ${version.name} of ${pkg.name}:`, versionError.message);
+      packageMigrations.errors.push({ package: pkg.name, version: version.name, message: versionError.message });
+      operations.fail('packages', 'package-version', `${packageStateKey(pkg)}@${version.name}`, versionError);
     }
   }
 }
 
 /**
  * Migrates a single version of a package.
+ * Fails if the package type is not supported or the version has no files to upload.
  * @param {Object} sourceOctokit - Octokit instance for source organization
  * @param {string} sourceGraphQL - Source GraphQL client
  * @param {string} targetGraphQL - Target GraphQL client
  * @param {string} sourceOrg - Source organization name
- * @param {string} targetOrg - Target organization name
+ * @param {Object} target - Owner and name of the target repository
  * @param {Object} pkg - Package object
  * @param {Object} version - Version object
  * @param {boolean} dryRun - Whether to perform a dry run
  */
-async function migratePackageVersion(sourceOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, pkg, version, dryRun) {
+async function migratePackageVersion(sourceOctokit, sourceGraphQL, targetGraphQL, sourceOrg, target, pkg, version, dryRun) {
   logger.info(`Migrating version ${version.name} of package ${pkg.name}`);
 
   try {
     const packageContent = await getPackageContent(sourceOctokit, sourceOrg, pkg, version.name);
     logger.debug('Package content retrieved successfully');
 
-    const { downloadBaseUrl, downloadPackageUrl, uploadPackageUrl } = getPackageUrls(pkg, packageContent, sourceOrg, targetOrg, version.name);
+    const { downloadBaseUrl, downloadPackageUrl, uploadPackageUrl } = getPackageUrls(pkg, packageContent, sourceOrg, target, version.name);
 
     let filesToDownload = [];
     switch (pkg.package_type) {
@@ -242,13 +390,12 @@ async function migratePackageVersion(sourceOctokit, sourceGraphQL, targetGraphQL
         filesToDownload = await listContainerPackageAssets(pkg.name, sourceOrg, version);
         break;
       default:
-        logger.warn(`Unsupported package type: ${pkg.package_type}`);
-        return;
+        throw new Error(`Unsupported package type: ${pkg.package_type}`);
     }
 
+    // the version is only marked completed once its files are uploaded, so a version without files fails
     if (!filesToDownload.length) {
-      logger.warn(`No files found for package ${pkg.name} version ${version.name}`);
-      return;
+      throw new Error(`No files found for package ${pkg.name} version ${version.name}`);
     }
 
     logger.debug(`Files to download: ${filesToDownload.join(', ')}`);
@@ -268,16 +415,15 @@ async function migratePackageVersion(sourceOctokit, sourceGraphQL, targetGraphQL
             const fileUrl = `${downloadPackageUrl}/${file}`; 
             await downloadPackageFiles(fileUrl, pkg.name, `${pkg.name}-${version.name}.tgz`);
           }
-          await publishNpmPackage(targetOrg, pkg.name, version.name);
+          await publishNpmPackage(target.owner, pkg.name, version.name);
           break;
         case 'container':
-          execSync(`docker login ghcr.io -u ${process.env.SOURCE_ORG} -p ${process.env.SOURCE_TOKEN}`);
           for (const file of filesToDownload) {
             const fileUrl = `${downloadPackageUrl}/${file}`;
+            await dockerLogin('source', sourceOrg);
             await downloadPackageFiles(fileUrl, pkg.name, file);
           }
-          execSync(`docker login ghcr.io -u ${process.env.TARGET_ORG} -p ${process.env.TARGET_TOKEN}`);
-          await pushContainerPackage(downloadPackageUrl, uploadPackageUrl, pkg.name, filesToDownload, version);
+          await pushContainerPackage(target.owner, downloadPackageUrl, uploadPackageUrl, pkg.name, filesToDownload, version);
           break;
       }
     }
@@ -293,94 +439,72 @@ async function migratePackageVersion(sourceOctokit, sourceGraphQL, targetGraphQL
 }
 
 /**
- * Downloads Maven package files in parallel with rate limiting
+ * Downloads Maven package files in parallel, with at most maxConcurrencyPerHost files in memory at a time
  * @param {string} downloadPackageUrl - Base URL for downloading
  * @param {string} packageName - Package name
  * @param {Array} filesToDownload - Array of files to download
  */
 async function downloadMavenFilesParallel(downloadPackageUrl, packageName, filesToDownload) {
-  const concurrency = parseInt(process.env.MAVEN_CONCURRENCY || '5');
   fs.mkdirSync(`packages/${packageName}`, { recursive: true });
-  const chunks = [];
-  
-  // Split files into chunks based on concurrency
-  for (let i = 0; i < filesToDownload.length; i += concurrency) {
-    chunks.push(filesToDownload.slice(i, i + concurrency));
-  }
-
-  logger.info(`Downloading files with concurrency of ${concurrency}`);
+  logger.info(`Downloading ${filesToDownload.length} files`);
 
-  // Process each chunk in parallel
-  for (const chunk of chunks) {
-    await Promise.all(chunk.map(async (file) => {
-      try {
-        const fileUrl = `${downloadPackageUrl}/${file}`;
-        logger.debug(`Downloading ${fileUrl}`);
-        
-        const response = await myFetch(fileUrl, {
-          headers: {
-            Authorization: `token ${SOURCE_TOKEN}`
-          }
-        });
-
-        if (!response.ok) {
-          throw new Error(`Failed to download file ${fileUrl}, status: ${response.status}`);
+  await runWorkerPool(filesToDownload, async (file) => {
+    try {
+      const fileUrl = `${downloadPackageUrl}/${file}`;
+      logger.debug(`Downloading ${fileUrl}`);
+      
+      const response = await myFetch(fileUrl, {
+        headers: {
+          Authorization: `token ${await getToken('source', TRANSFER_TOKEN_VALIDITY)}`
         }
+      });
 
-        const buffer = await response.arrayBuffer();
-        fs.writeFileSync(`packages/${packageName}/${file}`, Buffer.from(buffer));
-        logger.debug(`Successfully downloaded ${file}`);
-      } catch (downloadError) {
-        logger.error(`Error downloading file ${file}:`, downloadError.message);
-        throw downloadError;
+      if (!response.ok) {
+        throw new Error(`Failed to download file ${fileUrl}, status: ${response.status}`);
       }
-    }));
-  }
+
+      const buffer = await response.arrayBuffer();
+      fs.writeFileSync(`packages/${packageName}/${file}`, Buffer.from(buffer));
+      logger.debug(`Successfully downloaded ${file}`);
+    } catch (downloadError) {
+      logger.error(`Error downloading file ${file}:`, downloadError.message);
+      throw downloadError;
+    }
+  });
   
   logger.info(`Successfully downloaded ${filesToDownload.length} files in parallel`);
 }
 
 /**
- * Uploads Maven package files in parallel with rate limiting
+ * Uploads Maven package files in parallel, with at most maxConcurrencyPerHost files in memory at a time
  * @param {string} uploadPackageUrl - URL to upload package files to
  * @param {string} packageName - Package name
  * @param {Array} filesToUpload - Array of files to upload
  */
 async function uploadMavenFilesParallel(uploadPackageUrl, packageName, filesToUpload) {
-  const concurrency = parseInt(process.env.MAVEN_CONCURRENCY || '5');
-  const chunks = [];
-  
-  // Split files into chunks based on concurrency
-  for (let i = 0; i < filesToUpload.length; i += concurrency) {
-    chunks.push(filesToUpload.slice(i, i + concurrency));
-  }
+  logger.info(`Uploading ${filesToUpload.length} files`);
 
-  logger.info(`Uploading files with concurrency of ${concurrency}`);
+  await runWorkerPool(filesToUpload, async (file) => {
+    try {
+      const fileContent = fs.readFileSync(`packages/${packageName}/${file}`);
+      const headers = getUploadHeaders(file, fileContent, await getToken('target', TRANSFER_TOKEN_VALIDITY));
+      
+      logger.debug(`Uploading to ${uploadPackageUrl}/${file}`);
+      const response = await myFetch(`${uploadPackageUrl}/${file}`, {
+        method: 'PUT',
+        headers: headers,
+        body: fileContent
+      });
 
-  // Process each chunk in parallel
-  for (const chunk of chunks) {
-    await Promise.all(chunk.map(async (file) => {
-      try {
-        const fileContent = fs.readFileSync(`packages/${packageName}/${file}`);
-        const headers = getUploadHeaders(file, fileContent);
-        
-        logger.debug(`Uploading to ${uploadPackageUrl}/${file}`);
-        const response = await myFetch(`${uploadPackageUrl}/${file}`, {
-          method: 'PUT',
-          headers: headers,
-          body: fileContent
-        });
-
-        if (!response.ok) {
-          throw new Error(`Failed to upload file ${file}, status: ${response.status}, message: ${response.statusText}`);
-        }
-        logger.debug(`Successfully uploaded ${file}`);
-      } catch (uploadError) {
-        logger.error(`Error uploading file ${file}:`, uploadError.message);
-        throw uploadError;
+      if (!response.ok) {
+        throw new Error(`Failed to upload file ${file}, status: ${response.status}, message: ${response.statusText}`);
       }
-    }));
-  }
+      logger.debug(`Successfully uploaded ${file}`);
+    } catch (uploadError) {
+      logger.error(`Error uploading file ${file}:`, uploadError.message);
+      throw uploadError;
+    }
+  });
   
   logger.info(`Successfully uploaded ${filesToUpload.length} files in parallel`);
 }
@@ -412,7 +536,7 @@ async function getPackageContent(sourceOctokit, sourceOrg, pkg, versionName) {
 async function downloadPackageFiles(fileUrl, packageName, fileName) {
   fs.mkdirSync(`packages/${packageName}`, { recursive: true });
   logger.debug(`Downloading ${fileUrl}`);
-  if (fileUrl.includes('ghcr.io')) {
+  if (fileUrl.startsWith(`${getHosts('source').containerRegistry}/`)) {
     execSync(`docker pull ${fileUrl}`);
     execSync(`docker save ${fileUrl} -o packages/${packageName}/${fileName}`);
   }
@@ -429,7 +553,7 @@ async function uploadPackageFiles(uploadPackageUrl, packageName, filesToUpload)
   for (const file of filesToUpload) {
     try {
       const fileContent = fs.readFileSync(`packages/${packageName}/${file}`);
-      const headers = getUploadHeaders(file, fileContent);
+      const headers = getUploadHeaders(file, fileContent, await getToken('target', TRANSFER_TOKEN_VALIDITY));
       
       logger.debug(`Uploading to ${uploadPackageUrl}/${file}`);
       const response = await myFetch(`${uploadPackageUrl}/${file}`, {
@@ -457,7 +581,8 @@ async function uploadPackageFiles(uploadPackageUrl, packageName, filesToUpload)
  * @throws {Error} If npm publish command fails or if files cannot be accessed
  */
 async function publishNpmPackage(org, package_name, package_version) {
-  const npmrc = `//npm.pkg.github.com/:_authToken=${TARGET_TOKEN}\nregistry=https://npm.pkg.github.com/${org}`;
+  const registry = registryUrl('target', 'npm');
+  const npmrc = `${registry.replace(/^https?:/, '')}/:_authToken=${await getToken('target', TRANSFER_TOKEN_VALIDITY)}\nregistry=${registry}/${org}`;
   fs.writeFileSync(`packages/${package_name}/.npmrc`, npmrc);
   const pwd = `${process.cwd()}/packages/${package_name}`;
 
@@ -472,6 +597,7 @@ async function publishNpmPackage(org, package_name, package_version) {
 }
 
 /**
+ * @param {string} targetOrg - Target organization name, used as the registry username
  * @param {string} downloadPackageUrl - Base URL for downloading container images
  * @param {string} uploadPackageUrl - Base URL for uploading container images
  * @param {string} packageName - Name of the container package
@@ -480,24 +606,39 @@ async function publishNpmPackage(org, package_name, package_version) {
  * @returns {Promise<void>}
  * @throws {Error} If docker commands fail or if authentication fails
  */
-async function pushContainerPackage(downloadPackageUrl, uploadPackageUrl, package_name, filesToUpload, version) {
+async function pushContainerPackage(targetOrg, downloadPackageUrl, uploadPackageUrl, package_name, filesToUpload, version) {
   for (const file of filesToUpload) {
-    logger.info(`retagging ${downloadPackageUrl}/${file} to ghcr.io/${process.env.TARGET_ORG}/${file}`);
+    logger.info(`retagging ${downloadPackageUrl}/${file} to ${uploadPackageUrl}/${file}`);
     execSync(`docker tag ${downloadPackageUrl}/${file} ${uploadPackageUrl}/${file}`);
-    logger.info(`pushing ghcr.io/${process.env.TARGET_ORG}/${file}`);
-    execSync(`docker push ghcr.io/${process.env.TARGET_ORG}/${file}`);
+    await dockerLogin('target', targetOrg);
+    logger.info(`pushing ${uploadPackageUrl}/${file}`);
+    execSync(`docker push ${uploadPackageUrl}/${file}`);
   }
 }
 
+/**
+ * Logs docker in to the container registry of the source or target. The token is passed on
+ * stdin, so it does not show up in the process list or in the error of a failed login.
+ * @param {string} side - source or target
+ * @param {string} username - Registry username
+ * @returns {Promise<void>}
+ */
+async function dockerLogin(side, username) {
+  execSync(`docker login ${getHosts(side).containerRegistry} -u ${username} --password-stdin`, {
+    input: await getToken(side, TRANSFER_TOKEN_VALIDITY),
+  });
+}
+
 /**
  * Gets headers for file upload.
  * @param {string} file - File name
  * @param {Buffer} fileContent - File content
+ * @param {string} token - Token of the target organization
  * @returns {Object} Headers object
  */
-function getUploadHeaders(file, fileContent) {
+function getUploadHeaders(file, fileContent, token) {
   const headers = {
-    Authorization: `token ${TARGET_TOKEN}`,
+    Authorization: `token ${token}`,
     'Content-Length': fileContent.length
   };
 
@@ -522,7 +663,7 @@ async function downloadFile(url, path) {
   logger.info(url)
   const response = await myFetch(url, {
     headers: {
-      Authorization: `token ${SOURCE_TOKEN}`
+      Authorization: `token ${await getToken('source', TRANSFER_TOKEN_VALIDITY)}`
     }
   });
   if (!response.ok) {
@@ -539,11 +680,11 @@ async function downloadFile(url, path) {
  * Constructs package URLs.
  * @param {Object} packageContent - Package content object
  * @param {string} sourceOrg - Source organization name
- * @param {string} targetOrg - Target organization name
+ * @param {Object} target - Owner and name of the target repository
  * @param {string} versionName - Version name
  * @returns {Object} Object containing package URLs
  */
-function getPackageUrls(pkg, packageContent, sourceOrg, targetOrg, versionName) {
+function getPackageUrls(pkg, packageContent, sourceOrg, target, versionName) {
   logger.debug('Package content:', JSON.stringify(packageContent, null, 2));
 
   const groupId = packageContent.name.split('.').slice(0, -1).join('.');
@@ -560,22 +701,22 @@ function getPackageUrls(pkg, packageContent, sourceOrg, targetOrg, versionName)
 
   if (pkg.package_type == 'npm')
   {
-    downloadBaseUrl = `https://${pkg.package_type}.pkg.github.com`;
-    uploadBaseUrl = `https://${pkg.package_type}.pkg.github.com`;
+    downloadBaseUrl = registryUrl('source', pkg.package_type);
+    uploadBaseUrl = registryUrl('target', pkg.package_type);
     downloadPackageUrl = `${downloadBaseUrl}/download/@${sourceOrg}/${pkg.name}/${versionName}`;
-    uploadPackageUrl = `${uploadBaseUrl}/@${targetOrg}/${repository}`;
+    uploadPackageUrl = `${uploadBaseUrl}/@${target.owner}/${target.repo}`;
   }
   else if (pkg.package_type == 'container')
   {
-    downloadBaseUrl = `ghcr.io`;
-    uploadBaseUrl = `ghcr.io`;
+    downloadBaseUrl = getHosts('source').containerRegistry;
+    uploadBaseUrl = getHosts('target').containerRegistry;
     downloadPackageUrl = `${downloadBaseUrl}/${sourceOrg}`;
-    uploadPackageUrl = `${uploadBaseUrl}/${targetOrg}`;
+    uploadPackageUrl = `${uploadBaseUrl}/${target.owner}`;
   }
   else
   {
-    downloadBaseUrl = `https://${pkg.package_type}.pkg.github.com/${sourceOrg}/${repository}`;
-    uploadBaseUrl = `https://${pkg.package_type}.pkg.github.com/${targetOrg}/${repository}`;
+    downloadBaseUrl = `${registryUrl('source', pkg.package_type)}/${sourceOrg}/${repository}`;
+    uploadBaseUrl = `${registryUrl('target', pkg.package_type)}/${target.owner}/${target.repo}`;
     downloadPackageUrl = `${downloadBaseUrl}/${groupId}/${artifactId}/${version}`;
     uploadPackageUrl = `${uploadBaseUrl}/${groupId}/${artifactId}/${version}`;
   }
@@ -589,10 +730,10 @@ function getPackageUrls(pkg, packageContent, sourceOrg, targetOrg, versionName)
 }
 
 async function listNPMPackageAssets(package_name, org, package_version) {
-  const npmUrl = `https://npm.pkg.github.com/@${org}/${package_name}`;
+  const npmUrl = `${registryUrl('source', 'npm')}/@${org}/${package_name}`;
   const response = await myFetch(npmUrl, {
     headers: {
-      Authorization: `token ${SOURCE_TOKEN}`
+      Authorization: `token ${await getToken('source')}`
     }
   });
 
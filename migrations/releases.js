@@ -0,0 +1,304 @@
+import {logger, setVerbosity} from '../logger.js';
+import {fetchSourceRepositories, resolveTargetRepository} from '../repositories.js';
+import {createOperationLog} from '../plan.js';
+import {getToken} from '../auth.js';
+import {createScheduledFetch} from '../scheduler.js';
+
+import { ProxyAgent, fetch as undiciFetch } from "undici";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Assets are streamed with tokens that remain valid for long enough to transfer large files
+const TRANSFER_TOKEN_VALIDITY = 30 * 60 * 1000;
+
+// requests are sent directly without HTTPS_PROXY
+const proxyAgent = process.env.HTTPS_PROXY ? new ProxyAgent({
+  uri: process.env.HTTPS_PROXY,
+  keepAliveTimeout: 10,
+  keepAliveMaxTimeout: 10
+}) : undefined;
+
+const myFetch = createScheduledFetch((url, options = {}) => {
+  return undiciFetch(url, {
+    ...options,
+    dispatcher: proxyAgent,
+  });
+});
+
+/**
+ * Migrates releases and their assets from source organization to target organization.
+ * Releases that already exist in the target are completed with their missing assets,
+ * so the migration can be re-run against a partially migrated repository.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} sourceGraphQL - GraphQL client for source (not used)
+ * @param {Object} targetGraphQL - GraphQL client for target (not used)
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} packageType - Package type (not used)
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {boolean} verbose - Whether to enable verbose logging
+ * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings (not used)
+ * @param {Object} [options] - Component options shared across the run
+ * @param {Object} [options.operations] - Operation log recording or restricting the planned operations
+ * @returns {Object} Migration results
+ */
+export async function migrateReleases(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packageType, dryRun, verbose, usernameMappingFile, options = {}) {
+  setVerbosity(verbose);
+  logger.info(`Starting releases migration from ${sourceOrg} to ${targetOrg} (Dry Run: ${dryRun})`);
+
+  const releaseMigrations = {
+    releases: [],
+    skipped: [],
+    errors: [],
+  };
+  const operations = options.operations || createOperationLog();
+
+  try {
+    const sourceRepos = await fetchSourceRepositories(sourceOctokit, sourceOrg, options);
+
+    for (const repo of sourceRepos) {
+      await migrateRepoReleases(sourceOctokit, targetOctokit, sourceOrg, resolveTargetRepository(options, targetOrg, repo.name), repo.name, dryRun, releaseMigrations, operations);
+    }
+  } catch (error) {
+    logger.error(`Failed to migrate releases: ${error.message}`);
+    releaseMigrations.errors.push({ message: error.message });
+    operations.fail('releases', 'organization', sourceOrg, error);
+  }
+
+  if (releaseMigrations.skipped.length > 0) {
+    logger.warn(`${releaseMigrations.skipped.length} releases were skipped`);
+  }
+  logger.info('Release migration completed');
+  logger.debug(JSON.stringify(releaseMigrations, null, 2));
+  return releaseMigrations;
+}
+
+/**
+ * Migrates all releases of a single repository, oldest first.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Source repository name
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} releaseMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateRepoReleases(sourceOctokit, targetOctokit, sourceOrg, target, repoName, dryRun, releaseMigrations, operations) {
+  try {
+    const releases = await sourceOctokit.paginate(sourceOctokit.repos.listReleases, {
+      owner: sourceOrg,
+      repo: repoName,
+      per_page: 100,
+    });
+    if (releases.length === 0) {
+      return;
+    }
+    logger.info(`Found ${releases.length} releases in repo ${repoName}`);
+
+    if (!(await checkTargetRepository(targetOctokit, target.owner, target.repo))) {
+      releases.forEach(release => {
+        releaseMigrations.skipped.push({ repo: repoName, tag: release.tag_name, reason: 'Repository not found in target' });
+        operations.record('releases', 'release', 'skip', `${repoName}/${release.tag_name}`, { reason: 'repository not found' });
+      });
+      return;
+    }
+
+    const latestReleaseId = await fetchLatestReleaseId(sourceOctokit, sourceOrg, repoName);
+    const targetReleases = await targetOctokit.paginate(targetOctokit.repos.listReleases, {
+      owner: target.owner,
+      repo: target.repo,
+      per_page: 100,
+    });
+    const targetReleasesByTag = new Map(targetReleases.map(release => [release.tag_name, release]));
+
+    for (const release of releases.reverse()) {
+      await migrateRelease(targetOctokit, target, repoName, release, release.id === latestReleaseId, targetReleasesByTag.get(release.tag_name), dryRun, releaseMigrations, operations);
+    }
+  } catch (error) {
+    logger.error(`Failed to migrate releases for repo ${repoName}: ${error.message}`);
+    releaseMigrations.errors.push({ repo: repoName, message: error.message });
+    operations.fail('releases', 'repository', repoName, error);
+  }
+}
+
+/**
+ * Checks if the target repository exists.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {string} repoName - Repository name
+ * @returns {boolean} Whether the repository exists
+ */
+async function checkTargetRepository(targetOctokit, targetOrg, repoName) {
+  try {
+    await targetOctokit.repos.get({
+      owner: targetOrg,
+      repo: repoName
+    });
+    return true;
+  } catch (repoError) {
+    logger.warn(`Repository ${repoName} not found in target organization. Skipping...`);
+    return false;
+  }
+}
+
+/**
+ * Fetches the ID of the release marked as latest in the source repository.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} repoName - Repository name
+ * @returns {number|null} Latest release ID, or null if there is none
+ */
+async function fetchLatestReleaseId(sourceOctokit, sourceOrg, repoName) {
+  try {
+    const { data: latestRelease } = await sourceOctokit.repos.getLatestRelease({
+      owner: sourceOrg,
+      repo: repoName,
+    });
+    return latestRelease.id;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks if a tag exists in the target repository.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {string} repoName - Repository name
+ * @param {string} tagName - Tag name
+ * @returns {boolean} Whether the tag exists
+ */
+async function checkTargetTag(targetOctokit, targetOrg, repoName, tagName) {
+  try {
+    await targetOctokit.git.getRef({
+      owner: targetOrg,
+      repo: repoName,
+      ref: `tags/${tagName}`,
+    });
+    return true;
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Migrates a single release and its assets.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Source repository name
+ * @param {Object} release - Source release
+ * @param {boolean} isLatest - Whether the release is the latest release in the source
+ * @param {Object} [targetRelease] - Release with the same tag that already exists in the target
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} releaseMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateRelease(targetOctokit, target, repoName, release, isLatest, targetRelease, dryRun, releaseMigrations, operations) {
+  const operationKey = `${repoName}/${release.tag_name}`;
+  try {
+    if (!targetRelease && !(await checkTargetTag(targetOctokit, target.owner, target.repo, release.tag_name))) {
+      logger.warn(`Tag ${release.tag_name} not found in target repo ${repoName}. Skipping release...`);
+      releaseMigrations.skipped.push({ repo: repoName, tag: release.tag_name, reason: 'Tag not found in target' });
+      operations.record('releases', 'release', 'skip', operationKey, { reason: 'tag not found' });
+      return;
+    }
+
+    const existingAssets = new Set(targetRelease ? targetRelease.assets.map(asset => asset.name) : []);
+    const assets = release.assets.filter(asset => !existingAssets.has(asset.name));
+    const action = targetRelease ? (assets.length > 0 ? 'updated' : 'existing') : 'created';
+
+    const operationAction = { created: 'create', updated: 'update', existing: 'skip' }[action];
+    if (!operations.record('releases', 'release', operationAction, operationKey, {
+      latest: isLatest,
+      assets: assets.map(asset => `${asset.name}:${asset.size}`),
+    })) {
+      return;
+    }
+
+    if (action === 'existing') {
+      logger.debug(`Release ${release.tag_name} in repo ${repoName} is already migrated`);
+    } else if (dryRun) {
+      logger.info(`[Dry run] Would ${targetRelease ? 'update' : 'create'} release ${release.tag_name} in repo ${repoName} with ${assets.length} assets`);
+    } else {
+      if (!targetRelease) {
+        ({ data: targetRelease } = await targetOctokit.repos.createRelease({
+          owner: target.owner,
+          repo: target.repo,
+          tag_name: release.tag_name,
+          name: release.name,
+          body: release.body,
+          draft: release.draft,
+          prerelease: release.prerelease,
+          make_latest: isLatest ? 'true' : 'false',
+        }));
+        logger.debug(`Created release ${release.tag_name} in repo ${repoName}`);
+      } else {
+        logger.debug(`Release ${release.tag_name} already exists in repo ${repoName}`);
+      }
+
+      for (const asset of assets) {
+        await streamReleaseAsset(asset, targetRelease.upload_url);
+        logger.debug(`Uploaded asset ${asset.name} to release ${release.tag_name} in repo ${repoName}`);
+      }
+    }
+
+    releaseMigrations.releases.push({ repo: repoName, tag: release.tag_name, action, assets: assets.length });
+  } catch (error) {
+    logger.error(`Failed to migrate release ${release.tag_name} for repo ${repoName}: ${error.message}`);
+    releaseMigrations.errors.push({ repo: repoName, tag: release.tag_name, message: error.message });
+    operations.fail('releases', 'release', operationKey, error);
+  }
+}
+
+/**
+ * Streams a release asset from the source release to the target release without buffering it on disk.
+ * An upload that is rate limited or fails with a server error is retried by the scheduler, which
+ * downloads the asset again for every attempt since a streamed body cannot be sent twice.
+ * @param {Object} asset - Source release asset
+ * @param {string} uploadUrl - Upload URL template of the target release
+ */
+async function streamReleaseAsset(asset, uploadUrl) {
+  const url = new URL(uploadUrl.replace(/\{.*\}$/, ''));
+  url.searchParams.set('name', asset.name);
+  if (asset.label) {
+    url.searchParams.set('label', asset.label);
+  }
+
+  const upload = await myFetch(url.toString(), {
+    method: 'POST',
+    headers: {
+      Authorization: `token ${await getToken('target', TRANSFER_TOKEN_VALIDITY)}`,
+      'Content-Type': asset.content_type || 'application/octet-stream',
+      'Content-Length': String(asset.size),
+    },
+    body: () => downloadReleaseAsset(asset),
+    duplex: 'half',
+  });
+  if (!upload.ok) {
+    throw new Error(`Failed to upload asset ${asset.name}, status: ${upload.status}, message: ${upload.statusText}`);
+  }
+}
+
+/**
+ * Starts downloading a release asset of the source release.
+ * @param {Object} asset - Source release asset
+ * @returns {Promise<ReadableStream>} Stream of the asset content
+ */
+async function downloadReleaseAsset(asset) {
+  const download = await myFetch(asset.url, {
+    headers: {
+      Authorization: `token ${await getToken('source', TRANSFER_TOKEN_VALIDITY)}`,
+      Accept: 'application/octet-stream',
+    },
+  });
+  if (!download.ok) {
+    throw new Error(`Failed to download asset ${asset.name}, status: ${download.status}`);
+  }
+  return download.body;
+}
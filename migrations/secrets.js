@@ -0,0 +1,331 @@
+import fs from 'fs';
+import path from 'path';
+import sodium from 'libsodium-wrappers';
+import { parse } from 'csv-parse/sync';
+import {logger, setVerbosity} from '../logger.js';
+import {fetchSourceRepositories, resolveTargetRepository, resolveTargetRepositoryIds} from '../repositories.js';
+import {createOperationLog} from '../plan.js';
+import config from '../config.js';
+
+/**
+ * Secret scopes that can be migrated. Each scope is also the Octokit namespace serving its endpoints.
+ * They are defined in config.js, which validates the scopes of the config file against them.
+ */
+export const SECRET_SCOPES = config.secretScopes;
+
+/**
+ * Reads secret values from a CSV or JSON file.
+ * CSV files need `name` and `value` columns and optional `scope` and `repository` columns;
+ * JSON files hold an array of objects with the same fields. Rows without a
+ * repository are treated as organization secrets, rows without a scope as Actions secrets.
+ * @param {string} valuesPath - Path to the CSV or JSON file
+ * @returns {Map} Map of secret keys to secret values
+ */
+function loadSecretValues(valuesPath) {
+  const values = new Map();
+  if (!valuesPath) {
+    logger.warn('No secret values file provided, no secret values will be migrated');
+    return values;
+  }
+
+  const fileContent = fs.readFileSync(valuesPath, 'utf-8');
+  const records = path.extname(valuesPath).toLowerCase() === '.json'
+    ? JSON.parse(fileContent)
+    : parse(fileContent, {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true
+    });
+
+  if (!Array.isArray(records)) {
+    throw new Error(`Secret values file ${valuesPath} must contain an array of secrets`);
+  }
+
+  records.forEach(record => {
+    if (!record.name || record.value === undefined || record.value === '') {
+      return;
+    }
+    values.set(secretKey(record.scope, record.repository, record.name), String(record.value));
+  });
+
+  logger.info(`Loaded ${values.size} secret values from ${valuesPath}`);
+  return values;
+}
+
+/**
+ * Builds the lookup key for a secret value.
+ * @param {string} [scope] - Secret scope, defaults to `actions`
+ * @param {string} [repoName] - Repository name, empty for organization secrets
+ * @param {string} name - Secret name
+ * @returns {string} Lookup key
+ */
+function secretKey(scope, repoName, name) {
+  return `${scope || 'actions'}:${repoName || ''}/${name}`;
+}
+
+/**
+ * Encrypts a secret value with a repository or organization public key.
+ * @param {string} value - Plaintext secret value
+ * @param {string} publicKey - Base64 encoded public key
+ * @returns {string} Base64 encoded sealed box
+ */
+async function encryptSecret(value, publicKey) {
+  await sodium.ready;
+  const binaryKey = sodium.from_base64(publicKey, sodium.base64_variants.ORIGINAL);
+  const binarySecret = sodium.from_string(value);
+  const encrypted = sodium.crypto_box_seal(binarySecret, binaryKey);
+  return sodium.to_base64(encrypted, sodium.base64_variants.ORIGINAL);
+}
+
+/**
+ * Migrates Actions, Dependabot and Codespaces secrets from source organization to target organization.
+ * Secret values cannot be read from the API, so they are taken from the values file.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} sourceGraphQL - GraphQL client for source (not used)
+ * @param {Object} targetGraphQL - GraphQL client for target (not used)
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} packageType - Package type (not used)
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {boolean} verbose - Whether to enable verbose logging
+ * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings (not used)
+ * @param {Object} [options] - Component options shared across the run
+ * @param {string} [options.secretsFile] - Path to CSV or JSON file containing secret values
+ * @param {Array} [options.secretScopes] - Secret scopes to migrate, defaults to all of SECRET_SCOPES
+ * @param {Object} [options.operations] - Operation log recording or restricting the planned operations
+ * @returns {Object} Migration results
+ */
+export async function migrateSecrets(
+  sourceOctokit,
+  targetOctokit,
+  sourceGraphQL,
+  targetGraphQL,
+  sourceOrg,
+  targetOrg,
+  packageType,
+  dryRun,
+  verbose,
+  usernameMappingFile,
+  options = {}
+) {
+  setVerbosity(verbose);
+  logger.info(`Starting secrets migration from ${sourceOrg} to ${targetOrg} (Dry Run: ${dryRun})`);
+
+  const secretMigrations = {
+    secrets: [],
+    missing: [],
+    errors: [],
+  };
+  const operations = options.operations || createOperationLog();
+
+  try {
+    const scopes = options.secretScopes && options.secretScopes.length ? options.secretScopes : SECRET_SCOPES;
+    const unknownScopes = scopes.filter(scope => !SECRET_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      throw new Error(`Unknown secret scopes: ${unknownScopes.join(', ')}`);
+    }
+
+    const secretValues = loadSecretValues(options.secretsFile);
+    for (const scope of scopes) {
+      await migrateOrgSecrets(sourceOctokit, targetOctokit, sourceOrg, targetOrg, scope, secretValues, dryRun, secretMigrations, operations, options);
+    }
+    const sourceRepos = await fetchSourceRepositories(sourceOctokit, sourceOrg, options);
+    await migrateRepoSecrets(sourceOctokit, targetOctokit, sourceOrg, targetOrg, sourceRepos, scopes, secretValues, dryRun, secretMigrations, operations, options);
+  } catch (error) {
+    logger.error(`Failed to migrate secrets: ${error.message}`);
+    secretMigrations.errors.push({ message: error.message });
+    operations.fail('secrets', 'organization', sourceOrg, error);
+  }
+
+  if (secretMigrations.missing.length > 0) {
+    logger.warn(`${secretMigrations.missing.length} secrets had no value in the values file and were not migrated`);
+  }
+  logger.info('Secret migration completed');
+  logger.debug(JSON.stringify(secretMigrations, null, 2));
+  return secretMigrations;
+}
+
+/**
+ * Migrates organization secrets of one scope, keeping their visibility and selected repositories.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} scope - Secret scope (actions, dependabot or codespaces)
+ * @param {Map} secretValues - Map of secret keys to secret values
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} secretMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ * @param {Object} options - Component options shared across the run
+ */
+async function migrateOrgSecrets(sourceOctokit, targetOctokit, sourceOrg, targetOrg, scope, secretValues, dryRun, secretMigrations, operations, options) {
+  try {
+    const orgSecrets = await sourceOctokit.paginate(sourceOctokit[scope].listOrgSecrets, {
+      org: sourceOrg,
+      per_page: 100,
+    });
+    logger.info(`Found ${orgSecrets.length} ${scope} organization secrets in ${sourceOrg}`);
+
+    let publicKey;
+    for (const secret of orgSecrets) {
+      const value = secretValues.get(secretKey(scope, null, secret.name));
+      if (value === undefined) {
+        logger.warn(`No value provided for ${scope} organization secret ${secret.name}`);
+        secretMigrations.missing.push({ scope, org: sourceOrg, name: secret.name });
+        operations.record('secrets', 'secret', 'skip', `${scope}:org/${secret.name}`, { reason: 'no value' });
+        continue;
+      }
+
+      try {
+        const selectedRepositoryIds = secret.visibility === 'selected'
+          ? await resolveSelectedRepositoryIds(sourceOctokit, targetOctokit, sourceOrg, targetOrg, scope, secret.name, options)
+          : undefined;
+
+        // secret values are left out of the plan, which is handed around for approval
+        if (!operations.record('secrets', 'secret', 'create', `${scope}:org/${secret.name}`, {
+          visibility: secret.visibility,
+          selectedRepositories: selectedRepositoryIds ? selectedRepositoryIds.length : 0,
+        })) {
+          continue;
+        }
+
+        if (dryRun) {
+          logger.info(`[Dry run] Would create ${scope} organization secret ${secret.name} with ${secret.visibility} visibility`);
+        } else {
+          if (!publicKey) {
+            ({ data: publicKey } = await targetOctokit[scope].getOrgPublicKey({ org: targetOrg }));
+          }
+          await targetOctokit[scope].createOrUpdateOrgSecret({
+            org: targetOrg,
+            secret_name: secret.name,
+            encrypted_value: await encryptSecret(value, publicKey.key),
+            key_id: publicKey.key_id,
+            visibility: secret.visibility,
+            selected_repository_ids: selectedRepositoryIds,
+          });
+          logger.debug(`Migrated ${scope} organization secret ${secret.name}`);
+        }
+        secretMigrations.secrets.push({ scope, org: targetOrg, name: secret.name, visibility: secret.visibility });
+      } catch (error) {
+        logger.error(`Failed to migrate ${scope} organization secret ${secret.name}: ${error.message}`);
+        secretMigrations.errors.push({ scope, org: targetOrg, name: secret.name, message: error.message });
+        operations.fail('secrets', 'secret', `${scope}:org/${secret.name}`, error);
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to migrate ${scope} organization secrets: ${error.message}`);
+    secretMigrations.errors.push({ scope, message: error.message });
+    operations.fail('secrets', 'organization', `${scope}:${sourceOrg}`, error);
+  }
+}
+
+/**
+ * Resolves the target repository IDs for an organization secret with selected visibility.
+ * Repositories that are not mapped to, or do not exist in, the target organization are skipped.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} scope - Secret scope (actions, dependabot or codespaces)
+ * @param {string} secretName - Secret name
+ * @param {Object} options - Component options shared across the run
+ * @returns {Array} Array of target repository IDs
+ */
+async function resolveSelectedRepositoryIds(sourceOctokit, targetOctokit, sourceOrg, targetOrg, scope, secretName, options) {
+  const sourceRepos = await sourceOctokit.paginate(sourceOctokit[scope].listSelectedReposForOrgSecret, {
+    org: sourceOrg,
+    secret_name: secretName,
+    per_page: 100,
+  });
+
+  return resolveTargetRepositoryIds(targetOctokit, targetOrg, sourceRepos.map(repo => repo.name), `secret ${secretName}`, options);
+}
+
+/**
+ * Migrates repository secrets of the given scopes for every repository in the source organization.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {Array} sourceRepos - Repositories of the source organization
+ * @param {Array} scopes - Secret scopes to migrate
+ * @param {Map} secretValues - Map of secret keys to secret values
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} secretMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ * @param {Object} options - Component options shared across the run
+ */
+async function migrateRepoSecrets(sourceOctokit, targetOctokit, sourceOrg, targetOrg, sourceRepos, scopes, secretValues, dryRun, secretMigrations, operations, options) {
+  for (const repo of sourceRepos) {
+    const target = resolveTargetRepository(options, targetOrg, repo.name);
+    for (const scope of scopes) {
+      await migrateRepoSecret(sourceOctokit, targetOctokit, sourceOrg, target, repo.name, scope, secretValues, dryRun, secretMigrations, operations);
+    }
+  }
+}
+
+/**
+ * Migrates secrets of one scope for a single repository.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Repository name
+ * @param {string} scope - Secret scope (actions, dependabot or codespaces)
+ * @param {Map} secretValues - Map of secret keys to secret values
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} secretMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateRepoSecret(sourceOctokit, targetOctokit, sourceOrg, target, repoName, scope, secretValues, dryRun, secretMigrations, operations) {
+  try {
+    const secrets = await sourceOctokit.paginate(sourceOctokit[scope].listRepoSecrets, {
+      owner: sourceOrg,
+      repo: repoName,
+      per_page: 100,
+    });
+
+    let publicKey;
+    for (const secret of secrets) {
+      const value = secretValues.get(secretKey(scope, repoName, secret.name));
+      if (value === undefined) {
+        logger.warn(`No value provided for ${scope} secret ${secret.name} in repo ${repoName}`);
+        secretMigrations.missing.push({ scope, repo: repoName, name: secret.name });
+        operations.record('secrets', 'secret', 'skip', `${scope}:${repoName}/${secret.name}`, { reason: 'no value' });
+        continue;
+      }
+      if (!operations.record('secrets', 'secret', 'create', `${scope}:${repoName}/${secret.name}`)) {
+        continue;
+      }
+
+      if (dryRun) {
+        logger.info(`[Dry run] Would create ${scope} secret ${secret.name} for repo ${repoName}`);
+      } else {
+        try {
+          if (!publicKey) {
+            ({ data: publicKey } = await targetOctokit[scope].getRepoPublicKey({ owner: target.owner, repo: target.repo }));
+          }
+          await targetOctokit[scope].createOrUpdateRepoSecret({
+            owner: target.owner,
+            repo: target.repo,
+            secret_name: secret.name,
+            encrypted_value: await encryptSecret(value, publicKey.key),
+            key_id: publicKey.key_id,
+          });
+          logger.debug(`Migrated ${scope} secret ${secret.name} for repo ${repoName}`);
+        } catch (error) {
+          logger.error(`Failed to migrate ${scope} secret ${secret.name} for repo ${repoName}: ${error.message}`);
+          secretMigrations.errors.push({ scope, repo: repoName, name: secret.name, message: error.message });
+          operations.fail('secrets', 'secret', `${scope}:${repoName}/${secret.name}`, error);
+          continue;
+        }
+      }
+      secretMigrations.secrets.push({ scope, repo: repoName, name: secret.name });
+    }
+  } catch (error) {
+    logger.error(`Failed to migrate ${scope} secrets for repo ${repoName}: ${error.message}`);
+    secretMigrations.errors.push({ scope, repo: repoName, message: error.message });
+    operations.fail('secrets', 'repository', `${scope}:${repoName}`, error);
+  }
+}
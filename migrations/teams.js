@@ -1,13 +1,17 @@
 import {logger, setVerbosity} from '../logger.js';
 import fs from 'fs';
 import { parse } from 'csv-parse/sync';
+import {createMigrationState} from '../state.js';
+import {createOperationLog} from '../plan.js';
+import {createVerification, compareItems} from '../verify.js';
+import {fetchSourceRepositories, isRepositorySelected, resolveTargetRepository} from '../repositories.js';
 
 /**
  * Reads and parses the username mapping CSV file.
  * @param {string} csvPath - Path to the CSV file
  * @returns {Map} Map of source usernames to target usernames
  */
-function loadUsernameMappings(csvPath) {
+export function loadUsernameMappings(csvPath) {
   try {
     if (!csvPath) {
       logger.info('No username mapping CSV provided, proceeding with original usernames');
@@ -40,6 +44,71 @@ function loadUsernameMappings(csvPath) {
   }
 }
 
+// team member roles and repository permissions from lowest to highest, merged teams keep the highest
+const memberRoles = ['member', 'maintainer'];
+const repositoryPermissions = ['pull', 'triage', 'push', 'maintain', 'admin'];
+
+// role names the repositories API reports for the built-in roles, mapped to the permissions the teams API accepts
+const builtInRoles = { read: 'pull', triage: 'triage', write: 'push', maintain: 'maintain', admin: 'admin' };
+
+/**
+ * Reads and parses the team mapping CSV file.
+ * The file has the columns sourceTeam, the slug of a source team, and targetTeam, the name of the
+ * team it is migrated to, and optionally targetParent, the name of the parent of the target team.
+ * Source teams mapped to the same target team are merged, source teams with an empty targetTeam
+ * are not migrated, and teams missing from the file keep their name.
+ * @param {string} [csvPath] - Path to the CSV file
+ * @returns {Map|null} Map of source team slugs to target teams, or to null for dropped teams, or null without a file
+ * @throws {Error} If a row has no source team
+ */
+export function loadTeamMappings(csvPath) {
+  if (!csvPath) {
+    return null;
+  }
+
+  const records = parse(fs.readFileSync(csvPath, 'utf-8'), {
+    columns: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true,
+  });
+
+  const mappings = new Map();
+  records.forEach((record, index) => {
+    if (!record.sourceTeam) {
+      throw new Error(`Row ${index + 2} of ${csvPath} must have a sourceTeam`);
+    }
+    mappings.set(record.sourceTeam, record.targetTeam ? { name: record.targetTeam, parent: record.targetParent || null } : null);
+  });
+  logger.info(`Loaded ${mappings.size} team mappings from ${csvPath}`);
+  return mappings;
+}
+
+/**
+ * Resolves the team a source team is migrated to.
+ * Without a mapping for the team it keeps its name and slug.
+ * @param {Map|null} teamMappings - Team mappings created by loadTeamMappings
+ * @param {Object} team - Source team, or a reference to one with its name and slug
+ * @returns {Object|null} Name, slug and explicit parent name of the target team, or null if the team is not migrated
+ */
+export function resolveTargetTeam(teamMappings, team) {
+  if (!teamMappings || !teamMappings.has(team.slug)) {
+    return { name: team.name, slug: team.slug, parent: null };
+  }
+
+  const mapping = teamMappings.get(team.slug);
+  return mapping ? { name: mapping.name, slug: slugify(mapping.name), parent: mapping.parent } : null;
+}
+
+/**
+ * Converts a team name to the slug GitHub derives from it.
+ * @param {string} name - Team name
+ * @returns {string} Team slug
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9_]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
 /**
  * Migrates teams from source organization to target organization.
  * @param {Object} sourceOctokit - Octokit instance for source organization
@@ -52,6 +121,16 @@ function loadUsernameMappings(csvPath) {
  * @param {boolean} dryRun - Whether to perform a dry run
  * @param {boolean} verbose - Whether to enable verbose logging
  * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings
+ * @param {Object} [options] - Component options shared across the run
+ * @param {Object} [options.state] - Run state used to skip teams created by a previous run
+ * @param {Object} [options.operations] - Operation log recording or restricting the planned operations
+ * @param {Map} [options.teamMappings] - Team mappings created by loadTeamMappings
+ * @param {boolean} [options.sync] - Whether to update teams that already exist in the target instead of creating them
+ * @param {boolean} [options.prune] - Whether syncing removes members and repositories the source teams do not have
+ * @param {string} [options.idpGroups] - Links teams to IdP groups instead of copying members, through
+ * external-groups for Enterprise Managed Users or team-sync for team synchronization
+ * @param {Map} [options.idpGroupMappings] - IdP group mappings created by loadIdpGroupMappings
+ * @returns {Object} Migration results
  */
 export async function migrateTeams(
   sourceOctokit, 
@@ -63,64 +142,399 @@ export async function migrateTeams(
   packageType,
   dryRun, 
   verbose,
-  usernameMappingFile
+  usernameMappingFile,
+  options = {}
 ) {
   setVerbosity(verbose);
   logger.info('Starting team migration process...');
 
+  const teamMigrations = {
+    teams: [],
+    customRepositoryRoles: [],
+    securityManagerTeams: [],
+    unmatchedTeams: [],
+    errors: [],
+  };
+  const state = options.state || createMigrationState();
+  const operations = options.operations || createOperationLog();
+
   try {
     const usernameMappings = loadUsernameMappings(usernameMappingFile);
+    // roles come first, so teams can be granted them on their repositories
+    await migrateCustomRepositoryRoles(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, teamMigrations, operations);
     const teams = await fetchSourceTeams(sourceOctokit, sourceOrg);
-    const sortedTeams = sortTeamsByHierarchy(teams);
+    const targetTeams = sortTeamsByHierarchy(mapTargetTeams(teams, options.teamMappings));
     const teamMap = new Map();
+    const groupLinks = options.idpGroups ? {
+      mode: options.idpGroups,
+      mappings: options.idpGroupMappings || null,
+      groups: await fetchIdpGroups(targetOctokit, targetOrg, options.idpGroups),
+    } : null;
 
-    for (const team of sortedTeams) {
-      await processTeam(sourceOctokit, targetOctokit, sourceOrg, targetOrg, team, teamMap, dryRun, usernameMappings);
+    for (const team of targetTeams) {
+      await processTeam(sourceOctokit, targetOctokit, sourceOrg, targetOrg, team, teamMap, dryRun, usernameMappings, teamMigrations, state, operations, options, groupLinks);
+    }
+    if (!dryRun) {
+      await setDeferredParents(targetOctokit, targetOrg, teamMap, teamMigrations, operations);
+    }
+    await migrateSecurityManagerTeams(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, teamMigrations, operations, options);
+    if (teamMigrations.unmatchedTeams.length > 0) {
+      logger.warn(`${teamMigrations.unmatchedTeams.length} teams have no matching IdP group: ${teamMigrations.unmatchedTeams.join(', ')}`);
     }
 
-    const teamHierarchy = displayTeamHierarchy(sortedTeams, teamMap, usernameMappings);
+    const teamHierarchy = displayTeamHierarchy(targetTeams, teamMap, usernameMappings);
+    teamMigrations.teams = teamHierarchy;
     logger.info('Team hierarchy:');
     logger.info(JSON.stringify(teamHierarchy, null, 2));
   } catch (error) {
     logger.error('Error migrating teams:', error.message);
+    teamMigrations.errors.push({ message: error.message });
+    operations.fail('teams', 'organization', sourceOrg, error);
   }
+  return teamMigrations;
 }
 
 /**
- * Fetches teams from the source organization.
+ * Verifies that the teams of the source organization exist in the target organization
+ * with the same parent, members, member roles and repository roles, and that the custom
+ * repository roles exist with the same base role and permissions.
+ * Source teams are compared under the name of their target team, merged teams combined.
  * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} sourceGraphQL - GraphQL client for source (not used)
+ * @param {Object} targetGraphQL - GraphQL client for target (not used)
  * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} packageType - Package type (not used)
+ * @param {boolean} dryRun - Whether to perform a dry run (not used)
+ * @param {boolean} verbose - Whether to enable verbose logging
+ * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings
+ * @param {Object} [options] - Component options shared across the run
+ * @returns {Object} Verification results
+ */
+export async function verifyTeams(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packageType, dryRun, verbose, usernameMappingFile, options = {}) {
+  setVerbosity(verbose);
+  logger.info(`Verifying teams of ${sourceOrg} in ${targetOrg}`);
+  const verification = createVerification('teams');
+
+  try {
+    const usernameMappings = loadUsernameMappings(usernameMappingFile);
+    const roleDefinitions = (roles) => new Map(roles.map(role => [role.name, `${role.base_role}:${[...role.permissions].sort().join(',')}`]));
+    compareItems(
+      verification,
+      'custom-repository-role',
+      roleDefinitions(await fetchCustomRepositoryRoles(sourceOctokit, sourceOrg)),
+      roleDefinitions(await fetchCustomRepositoryRoles(targetOctokit, targetOrg))
+    );
+
+    const sourceTeams = mapTargetTeams(await fetchSourceTeams(sourceOctokit, sourceOrg), options.teamMappings);
+    const targetTeams = await fetchSourceTeams(targetOctokit, targetOrg);
+    const parentSlugs = (teams) => new Map(teams.map(team => [team.slug, team.parent ? team.parent.slug : null]));
+    compareItems(verification, 'team', parentSlugs(sourceTeams), parentSlugs(targetTeams));
+
+    const targetSlugs = new Set(targetTeams.map(team => team.slug));
+    for (const team of sourceTeams.filter(team => targetSlugs.has(team.slug))) {
+      const { members: sourceMembers, repositories: sourceRepos } = await fetchMergedTeam(sourceOctokit, sourceOrg, targetOrg, team, usernameMappings, options);
+      const targetMembers = await fetchTeamMembers(targetOctokit, targetOrg, team);
+      compareItems(
+        verification,
+        'team-member',
+        new Map(sourceMembers.map(member => [`${team.slug}/${usernameMappings.get(member.login) || member.login}`, member.role])),
+        new Map(targetMembers.map(member => [`${team.slug}/${member.login}`, member.role]))
+      );
+
+      const targetRepos = await fetchTeamRepositories(targetOctokit, targetOrg, team);
+      compareItems(
+        verification,
+        'team-repository',
+        new Map(sourceRepos.map(repo => [`${team.slug}/${repo.name}`, repo.permission])),
+        new Map(targetRepos.map(repo => [`${team.slug}/${repo.name}`, repo.permission]))
+      );
+    }
+  } catch (error) {
+    logger.error(`Error verifying teams: ${error.message}`);
+    verification.errors.push({ message: error.message });
+  }
+  return verification;
+}
+
+/**
+ * Fetches the teams of an organization.
+ * @param {Object} sourceOctokit - Octokit instance for the organization
+ * @param {string} sourceOrg - Organization name
  * @returns {Array} Array of teams
  */
 async function fetchSourceTeams(sourceOctokit, sourceOrg) {
-  logger.info(`Fetching teams from source organization: ${sourceOrg}`);
+  logger.info(`Fetching teams from organization: ${sourceOrg}`);
   const teams = await sourceOctokit.paginate(sourceOctokit.teams.list, {
     org: sourceOrg,
     per_page: 100
   });
-  logger.info(`Found ${teams.length} teams in source organization: ${sourceOrg}`);
+  logger.info(`Found ${teams.length} teams in organization: ${sourceOrg}`);
   return teams;
 }
 
 /**
- * Sorts teams based on their hierarchy.
- * @param {Array} teams - Array of teams
+ * Sorts teams level by level so that every team comes after its parent, however deep the nesting.
+ * Teams whose parent is not among the teams, such as an existing team of the target organization,
+ * are at the top level. Team mappings can make parents cyclic, in which case the cycle is broken
+ * by dropping the parent of one of its teams.
+ * @param {Array} teams - Target teams created by mapTargetTeams
  * @returns {Array} Sorted array of teams
  */
 function sortTeamsByHierarchy(teams) {
-  return teams.sort((a, b) => {
-    if (a.parent && a.parent.slug === b.slug) return 1;
-    if (b.parent && b.parent.slug === a.slug) return -1;
-    return 0;
+  const sorted = [];
+  let remaining = teams;
+  while (remaining.length > 0) {
+    const pending = new Map(remaining.map(team => [team.slug, team]));
+    let ready = remaining.filter(team => !team.parent || !pending.has(team.parent.slug));
+    if (ready.length === 0) {
+      // every remaining team is in a cycle or below one, so following the parents ends in a cycle
+      const visited = new Set();
+      let team = remaining[0];
+      while (!visited.has(team.slug)) {
+        visited.add(team.slug);
+        team = pending.get(team.parent.slug);
+      }
+      logger.warn(`Team ${team.name} is part of a parent cycle, creating it without its parent ${team.parent.name}`);
+      team.parent = null;
+      ready = [team];
+    }
+    sorted.push(...ready);
+    remaining = remaining.filter(team => !ready.includes(team));
+  }
+  return sorted;
+}
+
+/**
+ * Sets the parents of the teams that were created or synced without them because their parent
+ * was missing, such as a parent whose creation failed. This second pass runs once every team is
+ * processed, so the nesting matches the source wherever the parent exists by then. Teams whose
+ * parent is still missing are reported as failed.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {Map} teamMap - Map of processed teams
+ * @param {Object} teamMigrations - Migration results to record errors in
+ * @param {Object} operations - Operation log recording the failures
+ */
+async function setDeferredParents(targetOctokit, targetOrg, teamMap, teamMigrations, operations) {
+  for (const [slug, team] of teamMap) {
+    if (!team.deferredParent) {
+      continue;
+    }
+    try {
+      const parentTeam = teamMap.get(team.deferredParent.slug) || await fetchTargetTeam(targetOctokit, targetOrg, team.deferredParent.slug);
+      if (!parentTeam || !parentTeam.id) {
+        throw new Error(`Parent team ${team.deferredParent.name} not found in ${targetOrg}, the team has no parent`);
+      }
+      await targetOctokit.teams.updateInOrg({ org: targetOrg, team_slug: team.slug, parent_team_id: parentTeam.id });
+      logger.info(`Set parent of team ${team.name} to ${team.deferredParent.name}`);
+    } catch (error) {
+      logger.error(`Error setting parent of team ${team.name}: ${error.message}`);
+      teamMigrations.errors.push({ team: slug, message: error.message });
+      operations.fail('teams', 'team', slug, error);
+    }
+  }
+}
+
+/**
+ * Grants the security manager role to the target teams of the security manager teams of the source
+ * organization, once the teams exist. Teams dropped by the team mappings are left out.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} teamMigrations - Migration results to record granted teams and errors in
+ * @param {Object} operations - Operation log recording the planned operations
+ * @param {Object} options - Component options holding the team mappings
+ */
+async function migrateSecurityManagerTeams(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, teamMigrations, operations, options) {
+  const sourceTeams = await fetchSecurityManagerTeams(sourceOctokit, sourceOrg);
+  if (sourceTeams.length === 0) {
+    return;
+  }
+  const targetSlugs = new Set((await fetchSecurityManagerTeams(targetOctokit, targetOrg)).map(team => team.slug));
+
+  for (const team of sourceTeams) {
+    const target = resolveTargetTeam(options.teamMappings, team);
+    if (!target) {
+      logger.info(`Security manager team ${team.name} is not migrated according to the team mapping file. Skipping...`);
+      continue;
+    }
+    if (targetSlugs.has(target.slug)) {
+      operations.record('teams', 'security-manager-team', 'skip', target.slug, { reason: 'up to date' });
+      continue;
+    }
+    // merged source teams share their target team, which is granted the role once
+    targetSlugs.add(target.slug);
+    if (!operations.record('teams', 'security-manager-team', 'create', target.slug)) {
+      continue;
+    }
+    if (dryRun) {
+      logger.info(`[Dry run] Would make team ${target.name} a security manager of ${targetOrg}`);
+      continue;
+    }
+    try {
+      await targetOctokit.orgs.addSecurityManagerTeam({ org: targetOrg, team_slug: target.slug });
+      teamMigrations.securityManagerTeams.push(target.slug);
+      logger.info(`Made team ${target.name} a security manager of ${targetOrg}`);
+    } catch (error) {
+      logger.error(`Error making team ${target.name} a security manager: ${error.message}`);
+      teamMigrations.errors.push({ team: target.slug, message: error.message });
+      operations.fail('teams', 'security-manager-team', target.slug, error);
+    }
+  }
+}
+
+/**
+ * Fetches the teams with the security manager role in an organization.
+ * @param {Object} octokit - Octokit instance for the organization
+ * @param {string} org - Organization name
+ * @returns {Promise<Array>} Array of teams, empty if the organization has no security manager role
+ */
+async function fetchSecurityManagerTeams(octokit, org) {
+  try {
+    const { data } = await octokit.orgs.listSecurityManagerTeams({ org });
+    return data;
+  } catch (error) {
+    if (error.status === 403 || error.status === 404) {
+      logger.info(`Security managers are not available in ${org}: ${error.message}`);
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches the custom repository roles of an organization.
+ * @param {Object} octokit - Octokit instance for the organization
+ * @param {string} org - Organization name
+ * @returns {Promise<Array>} Array of roles with their name, description, base role and permissions,
+ * empty if the organization cannot have custom roles
+ */
+async function fetchCustomRepositoryRoles(octokit, org) {
+  try {
+    const { data } = await octokit.request('GET /orgs/{org}/custom-repository-roles', { org });
+    return data.custom_roles || [];
+  } catch (error) {
+    if (error.status === 403 || error.status === 404) {
+      logger.info(`Custom repository roles are not available in ${org}: ${error.message}`);
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Migrates the custom repository roles of the source organization to the target organization.
+ * Roles missing in the target are created and roles with another description, base role or
+ * permissions are updated, so that teams can be granted the same roles as in the source.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @param {Object} teamMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateCustomRepositoryRoles(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, teamMigrations, operations) {
+  let sourceRoles;
+  let targetRoles;
+  try {
+    sourceRoles = await fetchCustomRepositoryRoles(sourceOctokit, sourceOrg);
+    targetRoles = new Map(sourceRoles.length > 0 ? (await fetchCustomRepositoryRoles(targetOctokit, targetOrg)).map(role => [role.name, role]) : []);
+  } catch (error) {
+    logger.error(`Error fetching custom repository roles: ${error.message}`);
+    teamMigrations.errors.push({ message: error.message });
+    operations.fail('teams', 'organization', sourceOrg, error);
+    return;
+  }
+
+  for (const role of sourceRoles) {
+    const definition = {
+      description: role.description || '',
+      base_role: role.base_role,
+      permissions: [...role.permissions].sort(),
+    };
+    const existing = targetRoles.get(role.name);
+    const upToDate = existing && (existing.description || '') === definition.description && existing.base_role === definition.base_role &&
+      JSON.stringify([...existing.permissions].sort()) === JSON.stringify(definition.permissions);
+    const action = existing ? (upToDate ? 'skip' : 'update') : 'create';
+
+    const recorded = operations.record('teams', 'custom-repository-role', action, role.name, upToDate ? { reason: 'up to date' } : definition);
+    if (!recorded || action === 'skip') {
+      continue;
+    }
+    try {
+      if (dryRun) {
+        logger.info(`[Dry run] Would ${action} custom repository role ${role.name} based on ${role.base_role}`);
+      } else if (existing) {
+        await targetOctokit.request('PATCH /orgs/{org}/custom-repository-roles/{role_id}', { org: targetOrg, role_id: existing.id, name: role.name, ...definition });
+        logger.info(`Updated custom repository role ${role.name}`);
+      } else {
+        await targetOctokit.request('POST /orgs/{org}/custom-repository-roles', { org: targetOrg, name: role.name, ...definition });
+        logger.info(`Created custom repository role ${role.name}`);
+      }
+      teamMigrations.customRepositoryRoles.push({ name: role.name, action });
+    } catch (error) {
+      logger.error(`Error migrating custom repository role ${role.name}: ${error.message}`);
+      teamMigrations.errors.push({ role: role.name, message: error.message });
+      operations.fail('teams', 'custom-repository-role', role.name, error);
+    }
+  }
+}
+
+/**
+ * Maps the source teams to the teams to create in the target organization.
+ * Source teams mapped to the same target team are merged into one team, which keeps the
+ * description and privacy of the first. The parent of a target team is the parent named in the
+ * team mappings, or else the target team of the parent of its first source team.
+ * @param {Array} teams - Source teams
+ * @param {Map|null} teamMappings - Team mappings created by loadTeamMappings
+ * @returns {Array} Target teams shaped like source teams, with their source teams in sources
+ */
+function mapTargetTeams(teams, teamMappings) {
+  const targetTeams = new Map();
+  for (const team of teams) {
+    const target = resolveTargetTeam(teamMappings, team);
+    if (!target) {
+      logger.info(`Team ${team.name} is not migrated according to the team mapping file. Skipping...`);
+      continue;
+    }
+    if (targetTeams.has(target.slug)) {
+      logger.info(`Merging team ${team.name} into ${target.name}`);
+      targetTeams.get(target.slug).sources.push(team);
+      continue;
+    }
+    targetTeams.set(target.slug, { target, sources: [team] });
+  }
+
+  return [...targetTeams.values()].map(({ target, sources }) => {
+    const parentName = sources.map(source => resolveTargetTeam(teamMappings, source).parent).find(Boolean);
+    let parent = parentName ? { name: parentName, slug: slugify(parentName) } : null;
+    if (!parent && sources[0].parent) {
+      const sourceParent = resolveTargetTeam(teamMappings, sources[0].parent);
+      if (!sourceParent) {
+        logger.warn(`Parent team ${sources[0].parent.name} of ${target.name} is not migrated, ${target.name} is created without a parent`);
+      }
+      parent = sourceParent && { name: sourceParent.name, slug: sourceParent.slug };
+    }
+    if (parent && parent.slug === target.slug) {
+      parent = null;
+    }
+    return { ...sources[0], name: target.name, slug: target.slug, parent, sources };
   });
 }
 
 /**
  * Fetches repositories for a team with their permissions.
+ * The permission is the exact role of the team on the repository, which is a built-in role
+ * such as maintain or triage, or the name of a custom repository role.
  * @param {Object} sourceOctokit - Octokit instance for source organization
  * @param {string} sourceOrg - Source organization name
  * @param {Object} team - Team object
- * @returns {Array} Array of repositories with permissions
+ * @returns {Array} Array of repositories with their permission and the built-in permission it is based on
  */
 async function fetchTeamRepositories(sourceOctokit, sourceOrg, team) {
   logger.debug(`Fetching repositories for team: ${team.name}`);
@@ -131,36 +545,140 @@ async function fetchTeamRepositories(sourceOctokit, sourceOrg, team) {
       per_page: 100
     });
 
-    return repos.map(repo => ({
-      name: repo.name,
-      permission: repo.permissions.admin ? 'admin' : (repo.permissions.push ? 'push' : 'pull')
-    }));
+    return repos.map(repo => {
+      const basePermission = [...repositoryPermissions].reverse().find(permission => repo.permissions[permission]) || 'pull';
+      return {
+        name: repo.name,
+        permission: repo.role_name ? builtInRoles[repo.role_name] || repo.role_name : basePermission,
+        basePermission,
+      };
+    });
   } catch (error) {
     logger.error(`Error fetching repositories for team ${team.name}:`, error.message);
     return [];
   }
 }
 
+/**
+ * Renames the repositories of a team to their target repositories.
+ * Repositories that are not selected, not mapped, or mapped to another organization, are left out.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Array} repositories - Array of source repositories with permissions
+ * @param {Object} team - Team object
+ * @param {string} targetOrg - Target organization name
+ * @param {Object} options - Component options shared across the run
+ * @returns {Array} Array of target repositories with permissions
+ */
+async function mapTeamRepositories(sourceOctokit, sourceOrg, repositories, team, targetOrg, options) {
+  const mapped = [];
+  for (const repo of repositories) {
+    if (!(await isRepositorySelected(sourceOctokit, sourceOrg, options, repo.name))) {
+      logger.debug(`Repository ${repo.name} of team ${team.name} is not selected. Skipping...`);
+      continue;
+    }
+    const target = resolveTargetRepository(options, targetOrg, repo.name);
+    if (!target) {
+      continue;
+    }
+    if (target.owner !== targetOrg) {
+      logger.warn(`Repository ${repo.name} of team ${team.name} is mapped to ${target.owner}, not ${targetOrg}. Skipping...`);
+      continue;
+    }
+    mapped.push({ ...repo, name: target.repo });
+  }
+  return mapped;
+}
+
+/**
+ * Fetches the members and repositories of the source teams of a target team.
+ * Members mapped to the same target user keep their highest role, and repositories granted
+ * by several source teams keep the role with the highest permission, custom roles ranking as their base role.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {Object} team - Target team created by mapTargetTeams
+ * @param {Map} usernameMappings - Map of source usernames to target usernames
+ * @param {Object} options - Component options holding the repository mappings
+ * @returns {Object} Members with roles and target repositories with permissions
+ */
+async function fetchMergedTeam(sourceOctokit, sourceOrg, targetOrg, team, usernameMappings, options) {
+  const members = new Map();
+  const repositories = new Map();
+  for (const source of team.sources) {
+    for (const member of await fetchTeamMembers(sourceOctokit, sourceOrg, source)) {
+      const targetUsername = usernameMappings.get(member.login) || member.login;
+      const existing = members.get(targetUsername);
+      if (!existing || memberRoles.indexOf(member.role) > memberRoles.indexOf(existing.role)) {
+        members.set(targetUsername, existing ? { ...existing, role: member.role } : member);
+      }
+    }
+
+    const sourceRepos = await fetchTeamRepositories(sourceOctokit, sourceOrg, source);
+    for (const repo of await mapTeamRepositories(sourceOctokit, sourceOrg, sourceRepos, source, targetOrg, options)) {
+      const existing = repositories.get(repo.name);
+      if (!existing || repositoryPermissions.indexOf(repo.basePermission) > repositoryPermissions.indexOf(existing.basePermission)) {
+        repositories.set(repo.name, repo);
+      }
+    }
+  }
+  return { members: [...members.values()], repositories: [...repositories.values()] };
+}
+
 /**
  * Processes a single team for migration.
  * @param {Object} sourceOctokit - Octokit instance for source organization
  * @param {Object} targetOctokit - Octokit instance for target organization
  * @param {string} sourceOrg - Source organization name
  * @param {string} targetOrg - Target organization name
- * @param {Object} team - Team object to process
+ * @param {Object} team - Target team created by mapTargetTeams
  * @param {Map} teamMap - Map to store processed teams
  * @param {boolean} dryRun - Whether this is a dry run
  * @param {Map} usernameMappings - Map of source usernames to target usernames
+ * @param {Object} teamMigrations - Object to store migration results
+ * @param {Object} state - Run state recording created teams
+ * @param {Object} operations - Operation log recording the planned operations
+ * @param {Object} options - Component options holding the repository mappings
+ * @param {Object|null} groupLinks - IdP groups to link the team to instead of copying its members, or null
  */
-async function processTeam(sourceOctokit, targetOctokit, sourceOrg, targetOrg, team, teamMap, dryRun, usernameMappings) {
+async function processTeam(sourceOctokit, targetOctokit, sourceOrg, targetOrg, team, teamMap, dryRun, usernameMappings, teamMigrations, state, operations, options, groupLinks) {
   logger.debug(`Processing team: ${team.name}`);
 
   try {
-    const membersWithRoles = await fetchTeamMembers(sourceOctokit, sourceOrg, team);
-    const repositories = await fetchTeamRepositories(sourceOctokit, sourceOrg, team);
+    if (state.isCompleted('teams', team.slug)) {
+      logger.info(`Skipping team ${team.name}, already migrated`);
+      const { data: existingTeam } = await targetOctokit.teams.getByName({
+        org: targetOrg,
+        team_slug: state.getCompleted('teams', team.slug),
+      });
+      teamMap.set(team.slug, existingTeam);
+      operations.record('teams', 'team', 'skip', team.slug, { reason: 'already migrated' });
+      return;
+    }
+
+    const { members: sourceMembers, repositories: teamRepositories } = await fetchMergedTeam(sourceOctokit, sourceOrg, targetOrg, team, usernameMappings, options);
+    // members of teams linked to an IdP group are provisioned by the identity provider
+    const members = groupLinks ? [] : sourceMembers;
+    const existingTeam = options.sync ? await fetchTargetTeam(targetOctokit, targetOrg, team.slug) : null;
+    if (existingTeam) {
+      await syncTeam(sourceOctokit, targetOctokit, sourceOrg, targetOrg, team, existingTeam, teamMap, dryRun, members, teamRepositories, usernameMappings, teamMigrations, state, operations, options);
+      if (groupLinks) {
+        await linkIdpGroup(targetOctokit, targetOrg, team, existingTeam.slug, true, groupLinks, dryRun, teamMigrations, operations);
+      }
+      return;
+    }
+
+    const planned = recordTeamOperations(team, members, teamRepositories, usernameMappings, operations);
+    if (!planned) {
+      return;
+    }
+    const { membersWithRoles, repositories } = planned;
 
     if (dryRun) {
       logger.info(`[Dry run] Would create team: ${team.name}${team.parent ? ` (Parent: ${team.parent.name})` : ''}`);
+      if (team.sources.length > 1) {
+        logger.info(`[Dry run] Would merge teams ${team.sources.map(source => source.name).join(', ')} into ${team.name}`);
+      }
       
       // Log repository details
       repositories.forEach(repo => {
@@ -177,11 +695,46 @@ async function processTeam(sourceOctokit, targetOctokit, sourceOrg, targetOrg, t
       
       teamMap.set(team.slug, { ...team, members: membersWithRoles, repositories });
     } else {
-      await createTeamInTargetOrg(targetOctokit, targetOrg, team, teamMap, membersWithRoles, repositories, usernameMappings);
+      await createTeamInTargetOrg(targetOctokit, targetOrg, team, teamMap, membersWithRoles, repositories, usernameMappings, teamMigrations, state, operations);
+    }
+    // the team is in the map unless creating it failed
+    if (groupLinks && teamMap.has(team.slug)) {
+      await linkIdpGroup(targetOctokit, targetOrg, team, teamMap.get(team.slug).slug, false, groupLinks, dryRun, teamMigrations, operations);
     }
   } catch (error) {
     logger.error(`Error processing team ${team.name}: ${error.message}`);
+    teamMigrations.errors.push({ team: team.slug, message: error.message });
+    operations.fail('teams', 'team', team.slug, error);
+  }
+}
+
+/**
+ * Records the planned creation of a team with its members and repositories.
+ * @param {Object} team - Team object to process
+ * @param {Array} membersWithRoles - Array of team members with roles
+ * @param {Array} repositories - Array of repositories with permissions
+ * @param {Map} usernameMappings - Map of source usernames to target usernames
+ * @param {Object} operations - Operation log recording the planned operations
+ * @returns {Object|null} Members and repositories that may be migrated, or null if the team may not be created
+ */
+function recordTeamOperations(team, membersWithRoles, repositories, usernameMappings, operations) {
+  if (!operations.record('teams', 'team', 'create', team.slug, {
+    parent: team.parent ? team.parent.slug : null,
+    privacy: team.privacy,
+    sources: team.sources.map(source => source.slug),
+  })) {
+    return null;
   }
+
+  return {
+    membersWithRoles: membersWithRoles.filter(member => {
+      const targetUsername = usernameMappings.get(member.login) || member.login;
+      return operations.record('teams', 'team-member', 'create', `${team.slug}/${targetUsername}`, { role: member.role });
+    }),
+    repositories: repositories.filter(repo =>
+      operations.record('teams', 'team-repository', 'create', `${team.slug}/${repo.name}`, { permission: repo.permission })
+    ),
+  };
 }
 
 /**
@@ -229,8 +782,11 @@ async function fetchTeamMembers(sourceOctokit, sourceOrg, team) {
  * @param {Array} membersWithRoles - Array of team members with roles
  * @param {Array} repositories - Array of repositories with permissions
  * @param {Map} usernameMappings - Map of source usernames to target usernames
+ * @param {Object} teamMigrations - Object to store migration results
+ * @param {Object} state - Run state recording created teams
+ * @param {Object} operations - Operation log recording the failures
  */
-async function createTeamInTargetOrg(targetOctokit, targetOrg, team, teamMap, membersWithRoles, repositories, usernameMappings) {
+async function createTeamInTargetOrg(targetOctokit, targetOrg, team, teamMap, membersWithRoles, repositories, usernameMappings, teamMigrations, state, operations) {
   try {
     const newTeamData = {
       org: targetOrg,
@@ -240,41 +796,370 @@ async function createTeamInTargetOrg(targetOctokit, targetOrg, team, teamMap, me
       permission: team.permission
     };
 
+    let deferredParent = null;
     if (team.parent) {
-      const parentTeam = teamMap.get(team.parent.slug);
+      const parentTeam = teamMap.get(team.parent.slug) || await fetchTargetTeam(targetOctokit, targetOrg, team.parent.slug);
       if (parentTeam && parentTeam.id) {
         newTeamData.parent_team_id = parentTeam.id;
+      } else {
+        logger.warn(`Parent team ${team.parent.name} of ${team.name} not found in ${targetOrg}, creating the team without a parent for now`);
+        deferredParent = team.parent;
       }
     }
 
     logger.info(`Creating team in target organization: ${team.name}`);
     const { data: newTeam } = await targetOctokit.teams.create(newTeamData);
 
-    teamMap.set(team.slug, { ...newTeam, members: membersWithRoles, repositories });
+    teamMap.set(team.slug, { ...newTeam, members: membersWithRoles, repositories, deferredParent });
 
     logger.info(`Successfully created team: ${newTeam.name}${team.parent ? ` (Parent: ${team.parent.name})` : ''}`);
 
-    await migrateTeamMembers(targetOctokit, targetOrg, newTeam, membersWithRoles, usernameMappings);
-    await migrateTeamRepositories(targetOctokit, targetOrg, newTeam, repositories);
+    await migrateTeamMembers(targetOctokit, targetOrg, team.slug, newTeam, membersWithRoles, usernameMappings, teamMigrations, operations);
+    await migrateTeamRepositories(targetOctokit, targetOrg, team.slug, newTeam, repositories, teamMigrations, operations);
+    state.markCompleted('teams', team.slug, newTeam.slug);
   } catch (error) {
     logger.error(`Error creating team ${team.name} in target organization: ${error.message}`);
+    teamMigrations.errors.push({ team: team.slug, message: error.message });
+    operations.fail('teams', 'team', team.slug, error);
+  }
+}
+
+/**
+ * Fetches a team of the target organization that is not created by this run, such as an
+ * existing team to sync or a parent named in the team mappings.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {string} slug - Team slug
+ * @returns {Object|null} Team, or null if it does not exist
+ */
+async function fetchTargetTeam(targetOctokit, targetOrg, slug) {
+  try {
+    const { data: team } = await targetOctokit.teams.getByName({ org: targetOrg, team_slug: slug });
+    return team;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Updates a team that already exists in the target organization to match its source teams.
+ * Settings, member roles and repository permissions that differ are updated and missing members and
+ * repositories are added. With prune, members and repositories the source teams do not have are removed.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {Object} team - Target team created by mapTargetTeams
+ * @param {Object} existingTeam - Team as it exists in the target organization
+ * @param {Map} teamMap - Map to store processed teams
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @param {Array} membersWithRoles - Array of source team members with roles
+ * @param {Array} repositories - Array of target repositories with permissions
+ * @param {Map} usernameMappings - Map of source usernames to target usernames
+ * @param {Object} teamMigrations - Object to store migration results
+ * @param {Object} state - Run state recording synced teams
+ * @param {Object} operations - Operation log recording the planned operations
+ * @param {Object} options - Component options holding the prune setting and repository selection
+ */
+async function syncTeam(sourceOctokit, targetOctokit, sourceOrg, targetOrg, team, existingTeam, teamMap, dryRun, membersWithRoles, repositories, usernameMappings, teamMigrations, state, operations, options) {
+  logger.info(`Team ${team.name} already exists in ${targetOrg}, syncing it`);
+  const deferredParent = await syncTeamSettings(targetOctokit, targetOrg, team, existingTeam, teamMap, dryRun, operations);
+  teamMap.set(team.slug, { ...existingTeam, members: membersWithRoles, repositories, deferredParent });
+
+  // members of teams linked to an IdP group are left to the identity provider, even when pruning
+  const memberChanges = options.idpGroups ? [] : compareTeamItems(
+    new Map(membersWithRoles.map(member => [usernameMappings.get(member.login) || member.login, member.role])),
+    new Map((await fetchTeamMembers(targetOctokit, targetOrg, existingTeam)).map(member => [member.login, member.role])),
+    options.prune
+  );
+  for (const change of memberChanges) {
+    const key = `${team.slug}/${change.name}`;
+    const recorded = operations.record('teams', 'team-member', change.action, key, change.action === 'skip' ? { reason: 'up to date' } : { role: change.value });
+    if (!recorded || change.action === 'skip') {
+      continue;
+    }
+    if (dryRun) {
+      logger.info(`[Dry run] Would ${change.action} member ${change.name} of team ${team.name}${change.value ? ` with role ${change.value}` : ''}`);
+      continue;
+    }
+    try {
+      if (change.action === 'delete') {
+        await targetOctokit.teams.removeMembershipForUserInOrg({ org: targetOrg, team_slug: existingTeam.slug, username: change.name });
+      } else {
+        await targetOctokit.teams.addOrUpdateMembershipForUserInOrg({ org: targetOrg, team_slug: existingTeam.slug, username: change.name, role: change.value });
+      }
+      logger.debug(`Synced member ${change.name} of team ${team.name}: ${change.action}`);
+    } catch (error) {
+      logger.warn(`Unable to ${change.action} member ${change.name} of team ${team.name}: ${error.message}`);
+      teamMigrations.errors.push({ team: team.slug, member: change.name, message: error.message });
+      operations.fail('teams', 'team-member', key, error);
+    }
+  }
+
+  const targetRepos = await fetchTeamRepositories(targetOctokit, targetOrg, existingTeam);
+  const selectedRepos = options.prune ? await fetchSelectedTargetRepositories(sourceOctokit, sourceOrg, targetOrg, options) : null;
+  const repoChanges = compareTeamItems(
+    new Map(repositories.map(repo => [repo.name, repo.permission])),
+    new Map(targetRepos.filter(repo => !selectedRepos || selectedRepos.has(repo.name)).map(repo => [repo.name, repo.permission])),
+    options.prune
+  );
+  for (const change of repoChanges) {
+    const key = `${team.slug}/${change.name}`;
+    const recorded = operations.record('teams', 'team-repository', change.action, key, change.action === 'skip' ? { reason: 'up to date' } : { permission: change.value });
+    if (!recorded || change.action === 'skip') {
+      continue;
+    }
+    if (dryRun) {
+      logger.info(`[Dry run] Would ${change.action} repository ${change.name} of team ${team.name}${change.value ? ` with ${change.value} permission` : ''}`);
+      continue;
+    }
+    try {
+      if (change.action === 'delete') {
+        await targetOctokit.teams.removeRepoInOrg({ org: targetOrg, team_slug: existingTeam.slug, owner: targetOrg, repo: change.name });
+      } else {
+        await targetOctokit.teams.addOrUpdateRepoPermissionsInOrg({ org: targetOrg, team_slug: existingTeam.slug, owner: targetOrg, repo: change.name, permission: change.value });
+      }
+      logger.debug(`Synced repository ${change.name} of team ${team.name}: ${change.action}`);
+    } catch (error) {
+      logger.warn(`Unable to ${change.action} repository ${change.name} of team ${team.name}: ${error.message}`);
+      teamMigrations.errors.push({ team: team.slug, repo: change.name, message: error.message });
+      operations.fail('teams', 'team-repository', key, error);
+    }
+  }
+
+  if (!dryRun) {
+    state.markCompleted('teams', team.slug, existingTeam.slug);
+  }
+}
+
+/**
+ * Updates the description, privacy and parent of an existing target team where they differ from the source.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {Object} team - Target team created by mapTargetTeams
+ * @param {Object} existingTeam - Team as it exists in the target organization
+ * @param {Map} teamMap - Map of processed teams, used to find the parent
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @param {Object} operations - Operation log recording the planned operations
+ * @returns {Object|null} Parent left to set once every team is processed, or null
+ */
+async function syncTeamSettings(targetOctokit, targetOrg, team, existingTeam, teamMap, dryRun, operations) {
+  const parent = team.parent ? team.parent.slug : null;
+  const changes = [
+    (existingTeam.description || '') !== (team.description || '') && 'description',
+    existingTeam.privacy !== team.privacy && 'privacy',
+    (existingTeam.parent ? existingTeam.parent.slug : null) !== parent && 'parent',
+  ].filter(Boolean);
+
+  if (changes.length === 0) {
+    operations.record('teams', 'team', 'skip', team.slug, { reason: 'up to date' });
+    return null;
+  }
+  if (!operations.record('teams', 'team', 'update', team.slug, {
+    parent,
+    privacy: team.privacy,
+    sources: team.sources.map(source => source.slug),
+    changes,
+  })) {
+    return null;
+  }
+  if (dryRun) {
+    logger.info(`[Dry run] Would update ${changes.join(', ')} of team ${team.name}`);
+    return null;
+  }
+
+  const update = {
+    org: targetOrg,
+    team_slug: existingTeam.slug,
+    description: team.description || '',
+    privacy: team.privacy,
+  };
+  let deferredParent = null;
+  if (changes.includes('parent')) {
+    const parentTeam = parent && (teamMap.get(parent) || await fetchTargetTeam(targetOctokit, targetOrg, parent));
+    if (parent && !parentTeam) {
+      logger.warn(`Parent team ${team.parent.name} of ${team.name} not found in ${targetOrg}, keeping the current parent for now`);
+      deferredParent = team.parent;
+    } else {
+      update.parent_team_id = parentTeam ? parentTeam.id : null;
+    }
+  }
+  await targetOctokit.teams.updateInOrg(update);
+  logger.info(`Updated ${changes.join(', ')} of team ${team.name}`);
+  return deferredParent;
+}
+
+/**
+ * Reads and parses the IdP group mapping CSV file.
+ * The file has the columns team, the slug of the team in the target organization, and group,
+ * the display name or ID of the IdP group to link the team to.
+ * @param {string} [csvPath] - Path to the CSV file
+ * @returns {Map|null} Map of target team slugs to group names or IDs, or null without a file
+ * @throws {Error} If a row has no team or group
+ */
+export function loadIdpGroupMappings(csvPath) {
+  if (!csvPath) {
+    return null;
+  }
+
+  const records = parse(fs.readFileSync(csvPath, 'utf-8'), {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+  });
+
+  const mappings = new Map();
+  records.forEach((record, index) => {
+    if (!record.team || !record.group) {
+      throw new Error(`Row ${index + 2} of ${csvPath} must have a team and a group`);
+    }
+    mappings.set(record.team, record.group);
+  });
+  logger.info(`Loaded ${mappings.size} IdP group mappings from ${csvPath}`);
+  return mappings;
+}
+
+/**
+ * Fetches the IdP groups the teams of the target organization can be linked to.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {string} mode - external-groups for Enterprise Managed Users, team-sync for team synchronization
+ * @returns {Promise<Array>} Array of groups with their ID, name and description
+ */
+async function fetchIdpGroups(targetOctokit, targetOrg, mode) {
+  const route = mode === 'external-groups' ? 'GET /orgs/{org}/external-groups' : 'GET /orgs/{org}/team-sync/groups';
+  const groups = await targetOctokit.paginate(route, { org: targetOrg, per_page: 100 }, response => response.data.groups || []);
+  logger.info(`Found ${groups.length} IdP groups in ${targetOrg}`);
+  return groups.map(group => ({ id: group.group_id, name: group.group_name, description: group.group_description || '' }));
+}
+
+/**
+ * Finds the IdP group of a team: the group named in the IdP group mappings, or else the group
+ * whose display name matches the name or slug of the team, ignoring case.
+ * @param {Object} team - Target team created by mapTargetTeams
+ * @param {Object} groupLinks - IdP groups and mappings
+ * @returns {Object|null} Group, or null if no group matches
+ */
+function findIdpGroup(team, groupLinks) {
+  const mapped = groupLinks.mappings && groupLinks.mappings.get(team.slug);
+  if (mapped) {
+    return groupLinks.groups.find(group => String(group.id) === mapped || group.name.toLowerCase() === mapped.toLowerCase()) || null;
   }
+  return groupLinks.groups.find(group => [team.name, team.slug].some(name => group.name.toLowerCase() === name.toLowerCase())) || null;
+}
+
+/**
+ * Links a target team to its IdP group, so the identity provider manages its members.
+ * Teams without a matching group are reported in unmatchedTeams.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {Object} team - Target team created by mapTargetTeams
+ * @param {string} targetSlug - Slug of the team in the target organization
+ * @param {boolean} existing - Whether the team existed before this run and may already be linked
+ * @param {Object} groupLinks - IdP groups and mappings
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @param {Object} teamMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function linkIdpGroup(targetOctokit, targetOrg, team, targetSlug, existing, groupLinks, dryRun, teamMigrations, operations) {
+  const group = findIdpGroup(team, groupLinks);
+  if (!group) {
+    logger.warn(`No IdP group found for team ${team.name}`);
+    teamMigrations.unmatchedTeams.push(team.slug);
+    operations.record('teams', 'team-group', 'skip', team.slug, { reason: 'no matching IdP group' });
+    return;
+  }
+
+  const route = groupLinks.mode === 'external-groups'
+    ? '/orgs/{org}/teams/{team_slug}/external-groups'
+    : '/orgs/{org}/teams/{team_slug}/team-sync/group-mappings';
+  if (existing) {
+    const { data } = await targetOctokit.request(`GET ${route}`, { org: targetOrg, team_slug: targetSlug });
+    if ((data.groups || []).some(linked => String(linked.group_id) === String(group.id))) {
+      operations.record('teams', 'team-group', 'skip', team.slug, { reason: 'up to date' });
+      return;
+    }
+  }
+
+  if (!operations.record('teams', 'team-group', 'create', team.slug, { group: group.name })) {
+    return;
+  }
+  if (dryRun) {
+    logger.info(`[Dry run] Would link team ${team.name} to IdP group ${group.name}`);
+    return;
+  }
+  try {
+    const link = groupLinks.mode === 'external-groups'
+      ? { group_id: group.id }
+      : { groups: [{ group_id: group.id, group_name: group.name, group_description: group.description }] };
+    await targetOctokit.request(`PATCH ${route}`, { org: targetOrg, team_slug: targetSlug, ...link });
+    logger.info(`Linked team ${team.name} to IdP group ${group.name}`);
+  } catch (error) {
+    logger.warn(`Unable to link team ${team.name} to IdP group ${group.name}: ${error.message}`);
+    teamMigrations.errors.push({ team: team.slug, group: group.name, message: error.message });
+    operations.fail('teams', 'team-group', team.slug, error);
+  }
+}
+
+/**
+ * Compares the members or repositories a team should have with those it has in the target.
+ * @param {Map} desired - Map of names to roles or permissions from the source teams
+ * @param {Map} current - Map of names to roles or permissions in the target team
+ * @param {boolean} prune - Whether names only in the target are deleted
+ * @returns {Array} Changes with the name, the action (create, update, skip or delete) and the desired value
+ */
+function compareTeamItems(desired, current, prune) {
+  const changes = [...desired].map(([name, value]) => {
+    if (!current.has(name)) {
+      return { name, action: 'create', value };
+    }
+    return { name, action: current.get(name) === value ? 'skip' : 'update', value };
+  });
+  if (prune) {
+    [...current.keys()].filter(name => !desired.has(name)).forEach(name => changes.push({ name, action: 'delete', value: null }));
+  }
+  return changes;
+}
+
+/**
+ * Gets the names of the target repositories of the selected source repositories.
+ * Pruning only removes these from teams, so repositories outside the selection keep their team access.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {Object} options - Component options holding the repository filters and mappings
+ * @returns {Promise<Set|null>} Set of target repository names, or null if every repository is selected
+ */
+async function fetchSelectedTargetRepositories(sourceOctokit, sourceOrg, targetOrg, options) {
+  if (!options.repositoryFilters && !options.repositoryMappings) {
+    return null;
+  }
+  const repos = await fetchSourceRepositories(sourceOctokit, sourceOrg, options);
+  return new Set(repos
+    .map(repo => resolveTargetRepository(options, targetOrg, repo.name))
+    .filter(target => target && target.owner === targetOrg)
+    .map(target => target.repo));
 }
 
 /**
  * Migrates team members to the new team.
  * @param {Object} targetOctokit - Octokit instance for target organization
  * @param {string} targetOrg - Target organization name
+ * @param {string} teamSlug - Source team slug the operations are recorded under
  * @param {Object} newTeam - Newly created team object
  * @param {Array} membersWithRoles - Array of team members with roles
  * @param {Map} usernameMappings - Map of source usernames to target usernames
+ * @param {Object} teamMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
  */
-async function migrateTeamMembers(targetOctokit, targetOrg, newTeam, membersWithRoles, usernameMappings) {
+async function migrateTeamMembers(targetOctokit, targetOrg, teamSlug, newTeam, membersWithRoles, usernameMappings, teamMigrations, operations) {
   logger.info(`Migrating members for team: ${newTeam.name}`);
   for (const member of membersWithRoles) {
+    const targetUsername = usernameMappings.get(member.login) || member.login;
     try {
-      const targetUsername = usernameMappings.get(member.login) || member.login;
-      
       if (targetUsername !== member.login) {
         logger.debug(`Mapping user ${member.login} to ${targetUsername}`);
       }
@@ -288,6 +1173,8 @@ async function migrateTeamMembers(targetOctokit, targetOrg, newTeam, membersWith
       logger.debug(`Added ${targetUsername} to team ${newTeam.name} with role ${member.role}`);
     } catch (error) {
       logger.warn(`Unable to add ${member.login} to team ${newTeam.name}: ${error.message}`);
+      teamMigrations.errors.push({ team: teamSlug, member: targetUsername, message: error.message });
+      operations.fail('teams', 'team-member', `${teamSlug}/${targetUsername}`, error);
     }
   }
 }
@@ -296,10 +1183,13 @@ async function migrateTeamMembers(targetOctokit, targetOrg, newTeam, membersWith
  * Migrates team repositories to the new team.
  * @param {Object} targetOctokit - Octokit instance for target organization
  * @param {string} targetOrg - Target organization name
+ * @param {string} teamSlug - Source team slug the operations are recorded under
  * @param {Object} newTeam - Newly created team object
  * @param {Array} repositories - Array of repositories with permissions
+ * @param {Object} teamMigrations - Object to store migration results
+ * @param {Object} operations - Operation log recording the planned operations
  */
-async function migrateTeamRepositories(targetOctokit, targetOrg, newTeam, repositories) {
+async function migrateTeamRepositories(targetOctokit, targetOrg, teamSlug, newTeam, repositories, teamMigrations, operations) {
   logger.info(`Migrating ${repositories.length} repositories for team: ${newTeam.name}`);
   
   for (const repo of repositories) {
@@ -314,6 +1204,8 @@ async function migrateTeamRepositories(targetOctokit, targetOrg, newTeam, reposi
       logger.debug(`Added repository ${repo.name} to team ${newTeam.name} with permission ${repo.permission}`);
     } catch (error) {
       logger.warn(`Unable to set permissions for repository ${repo.name} in team ${newTeam.name}: ${error.message}`);
+      teamMigrations.errors.push({ team: teamSlug, repo: repo.name, message: error.message });
+      operations.fail('teams', 'team-repository', `${teamSlug}/${repo.name}`, error);
     }
   }
 }
@@ -331,9 +1223,11 @@ function displayTeamHierarchy(teams, teamMap, usernameMappings, parentSlug = nul
   const result = [];
 
   teams
-    .filter(team => (parentSlug === null && !team.parent) || (team.parent && team.parent.slug === parentSlug))
+    .filter(team => parentSlug === null
+      ? !team.parent || !teams.some(other => other.slug === team.parent.slug)
+      : team.parent && team.parent.slug === parentSlug)
     .forEach(team => {
-      const teamInfo = teamMap.get(team.slug);
+      const teamInfo = teamMap.get(team.slug) || {};
       const teamData = {
         name: team.name,
         members: teamInfo.members ? teamInfo.members.map(member => {
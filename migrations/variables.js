@@ -1,4 +1,10 @@
 import {logger, setVerbosity} from '../logger.js';
+import {fetchSourceRepositories, resolveTargetRepository, resolveTargetRepositoryIds} from '../repositories.js';
+import {createMigrationState} from '../state.js';
+import {createOperationLog, hashValue} from '../plan.js';
+import {createVerification, compareItems, paginateOrEmpty} from '../verify.js';
+import {redactValues} from '../report.js';
+import {runWorkerPool} from '../scheduler.js';
 
 /**
  * Migrates repository variables.
@@ -8,16 +14,16 @@ import {logger, setVerbosity} from '../logger.js';
  * @param {string} targetOrg - Target organization name
  * @param {boolean} dryRun - Whether to perform a dry run
  * @param {Object} variableMigrations - Object to store migration results
+ * @param {Object} state - Run state recording completed variables
+ * @param {Object} operations - Operation log recording the planned operations
+ * @param {Object} options - Component options shared across the run
  */
-async function migrateRepoVariables(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, variableMigrations) {
-  const sourceRepos = await sourceOctokit.paginate(sourceOctokit.repos.listForOrg, {
-    org: sourceOrg,
-    per_page: 100,
-  });
+async function migrateRepoVariables(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, variableMigrations, state, operations, options) {
+  const sourceRepos = await fetchSourceRepositories(sourceOctokit, sourceOrg, options);
 
-  await Promise.all(sourceRepos.map(repo => 
-    migrateRepoVariable(sourceOctokit, targetOctokit, sourceOrg, targetOrg, repo.name, dryRun, variableMigrations)
-  ));
+  await runWorkerPool(sourceRepos, repo =>
+    migrateRepoVariable(sourceOctokit, targetOctokit, sourceOrg, resolveTargetRepository(options, targetOrg, repo.name), repo.name, dryRun, variableMigrations, state, operations)
+  );
 }
 
 /**
@@ -25,12 +31,14 @@ async function migrateRepoVariables(sourceOctokit, targetOctokit, sourceOrg, tar
  * @param {Object} sourceOctokit - Octokit instance for source organization
  * @param {Object} targetOctokit - Octokit instance for target organization
  * @param {string} sourceOrg - Source organization name
- * @param {string} targetOrg - Target organization name
+ * @param {Object} target - Owner and name of the target repository
  * @param {string} repoName - Repository name
  * @param {boolean} dryRun - Whether to perform a dry run
  * @param {Object} variableMigrations - Object to store migration results
+ * @param {Object} state - Run state recording completed variables
+ * @param {Object} operations - Operation log recording the planned operations
  */
-async function migrateRepoVariable(sourceOctokit, targetOctokit, sourceOrg, targetOrg, repoName, dryRun, variableMigrations) {
+async function migrateRepoVariable(sourceOctokit, targetOctokit, sourceOrg, target, repoName, dryRun, variableMigrations, state, operations) {
   try {
     const variables = await sourceOctokit.paginate(sourceOctokit.actions.listRepoVariables, {
       owner: sourceOrg,
@@ -38,13 +46,154 @@ async function migrateRepoVariable(sourceOctokit, targetOctokit, sourceOrg, targ
       per_page: 100,
     });
 
-    await Promise.all(variables.map(variable => 
-      migrateVariable(targetOctokit, targetOrg, repoName, variable, dryRun, variableMigrations)
-    ));
+    await runWorkerPool(variables, variable =>
+      migrateVariable(targetOctokit, target, repoName, variable, dryRun, variableMigrations, state, operations)
+    );
+
+    await migrateEnvironmentVariables(sourceOctokit, targetOctokit, sourceOrg, target, repoName, dryRun, variableMigrations, state, operations);
   } catch (error) {
     logger.error(`Failed to migrate variables for repo ${repoName}: ${error.message}`);
     variableMigrations.errors.push({ repo: repoName, message: error.message });
+    operations.fail('variables', 'repository', repoName, error);
+  }
+}
+
+/**
+ * Migrates the variables of every deployment environment in a repository.
+ * Environment secret names are recorded so they can be supplied separately.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Repository name
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} variableMigrations - Object to store migration results
+ * @param {Object} state - Run state recording completed variables
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateEnvironmentVariables(sourceOctokit, targetOctokit, sourceOrg, target, repoName, dryRun, variableMigrations, state, operations) {
+  const environments = await sourceOctokit.paginate(sourceOctokit.repos.getAllEnvironments, {
+    owner: sourceOrg,
+    repo: repoName,
+    per_page: 100,
+  });
+
+  for (const environment of environments) {
+    try {
+      const variables = await sourceOctokit.paginate(sourceOctokit.actions.listEnvironmentVariables, {
+        owner: sourceOrg,
+        repo: repoName,
+        environment_name: environment.name,
+        per_page: 100,
+      });
+      const secrets = await sourceOctokit.paginate(sourceOctokit.actions.listEnvironmentSecrets, {
+        owner: sourceOrg,
+        repo: repoName,
+        environment_name: environment.name,
+        per_page: 100,
+      });
+
+      secrets.forEach(secret => {
+        variableMigrations.environmentSecrets.push({ repo: repoName, environment: environment.name, name: secret.name });
+      });
+
+      if (variables.length === 0) {
+        continue;
+      }
+
+      await ensureTargetEnvironment(targetOctokit, target, repoName, environment.name, dryRun, operations);
+      for (const variable of variables) {
+        await migrateEnvironmentVariable(targetOctokit, target, repoName, environment.name, variable, dryRun, variableMigrations, state, operations);
+      }
+    } catch (error) {
+      logger.error(`Failed to migrate variables for environment ${environment.name} in repo ${repoName}: ${error.message}`);
+      variableMigrations.errors.push({ repo: repoName, environment: environment.name, message: error.message });
+      operations.fail('variables', 'environment', `${repoName}/${environment.name}`, error);
+    }
+  }
+}
+
+/**
+ * Creates an environment in the target repository if it does not exist yet.
+ * Existing environments are left untouched so their protection rules are kept.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Repository name
+ * @param {string} environmentName - Environment name
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function ensureTargetEnvironment(targetOctokit, target, repoName, environmentName, dryRun, operations) {
+  try {
+    await targetOctokit.repos.getEnvironment({
+      owner: target.owner,
+      repo: target.repo,
+      environment_name: environmentName,
+    });
+    return;
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+
+  if (!operations.record('variables', 'environment', 'create', `${repoName}/${environmentName}`)) {
+    return;
+  }
+  if (dryRun) {
+    logger.info(`[Dry run] Would create environment ${environmentName} for repo ${repoName}`);
+    return;
+  }
+  await targetOctokit.repos.createOrUpdateEnvironment({
+    owner: target.owner,
+    repo: target.repo,
+    environment_name: environmentName,
+  });
+  logger.debug(`Created environment ${environmentName} for repo ${repoName}`);
+}
+
+/**
+ * Migrates a single environment variable.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Repository name
+ * @param {string} environmentName - Environment name
+ * @param {Object} variable - Variable to migrate
+ * @param {boolean} dryRun - Whether to perform a dry run
+ * @param {Object} variableMigrations - Object to store migration results
+ * @param {Object} state - Run state recording completed variables
+ * @param {Object} operations - Operation log recording the planned operations
+ */
+async function migrateEnvironmentVariable(targetOctokit, target, repoName, environmentName, variable, dryRun, variableMigrations, state, operations) {
+  const unitKey = `${repoName}/${environmentName}/${variable.name}`;
+  if (state.isCompleted('variables', unitKey)) {
+    logger.debug(`Skipping variable ${variable.name} for environment ${environmentName} in repo ${repoName}, already migrated`);
+    operations.record('variables', 'variable', 'skip', unitKey, { reason: 'already migrated' });
+    return;
+  }
+  if (!operations.record('variables', 'variable', 'create', unitKey, { valueHash: hashValue(variable.value) })) {
+    return;
+  }
+
+  if (!dryRun) {
+    try {
+      await targetOctokit.actions.createEnvironmentVariable({
+        owner: target.owner,
+        repo: target.repo,
+        environment_name: environmentName,
+        name: variable.name,
+        value: variable.value,
+      });
+      logger.debug(`Migrated variable ${variable.name} for environment ${environmentName} in repo ${repoName}`);
+      state.markCompleted('variables', unitKey);
+    } catch (error) {
+      logger.error(`Failed to migrate variable ${variable.name} for environment ${environmentName} in repo ${repoName}: ${error.message}`);
+      variableMigrations.errors.push({ repo: repoName, environment: environmentName, name: variable.name, message: error.message });
+      operations.fail('variables', 'variable', unitKey, error);
+      return;
+    }
   }
+  variableMigrations.variables.push({ repo: repoName, environment: environmentName, name: variable.name, value: variable.value });
 }
 
 /**
@@ -55,106 +204,272 @@ async function migrateRepoVariable(sourceOctokit, targetOctokit, sourceOrg, targ
  * @param {string} targetOrg - Target organization name
  * @param {boolean} dryRun - Whether to perform a dry run
  * @param {Object} variableMigrations - Object to store migration results
+ * @param {Object} state - Run state recording completed variables
+ * @param {Object} operations - Operation log recording the planned operations
+ * @param {Object} options - Component options shared across the run
  */
-async function migrateOrgVariables(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, variableMigrations) {
+async function migrateOrgVariables(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, variableMigrations, state, operations, options) {
   try {
     const orgVariables = await sourceOctokit.paginate(sourceOctokit.actions.listOrgVariables, {
       org: sourceOrg,
       per_page: 100,
     });
 
-    await Promise.all(orgVariables.map(variable => 
-      migrateOrgVariable(targetOctokit, targetOrg, variable, dryRun, variableMigrations)
-    ));
+    await runWorkerPool(orgVariables, variable =>
+      migrateOrgVariable(sourceOctokit, targetOctokit, sourceOrg, targetOrg, variable, dryRun, variableMigrations, state, operations, options)
+    );
   } catch (error) {
     logger.error(`Failed to migrate organization variables: ${error.message}`);
     variableMigrations.errors.push({ message: error.message });
+    operations.fail('variables', 'organization', sourceOrg, error);
   }
 }
 
 /**
- * Migrates a single organization variable.
+ * Migrates a single organization variable. Repositories selected for a variable with selected
+ * visibility are resolved by name through the repository mappings.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
  * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
  * @param {string} targetOrg - Target organization name
  * @param {Object} variable - Variable to migrate
  * @param {boolean} dryRun - Whether to perform a dry run
  * @param {Object} variableMigrations - Object to store migration results
+ * @param {Object} state - Run state recording completed variables
+ * @param {Object} operations - Operation log recording the planned operations
+ * @param {Object} options - Component options shared across the run
  */
-async function migrateOrgVariable(targetOctokit, targetOrg, variable, dryRun, variableMigrations) {
-  if (!dryRun) {
-    try {
+async function migrateOrgVariable(sourceOctokit, targetOctokit, sourceOrg, targetOrg, variable, dryRun, variableMigrations, state, operations, options) {
+  const unitKey = `org:${variable.name}`;
+  if (state.isCompleted('variables', unitKey)) {
+    logger.debug(`Skipping organization variable ${variable.name}, already migrated`);
+    operations.record('variables', 'variable', 'skip', unitKey, { reason: 'already migrated' });
+    return;
+  }
+
+  try {
+    const selectedRepositoryIds = variable.visibility === 'selected'
+      ? await resolveSelectedRepositoryIds(sourceOctokit, targetOctokit, sourceOrg, targetOrg, variable.name, options)
+      : undefined;
+
+    if (!operations.record('variables', 'variable', 'create', unitKey, {
+      valueHash: hashValue(variable.value),
+      visibility: variable.visibility,
+      selectedRepositories: selectedRepositoryIds ? selectedRepositoryIds.length : 0,
+    })) {
+      return;
+    }
+
+    if (!dryRun) {
       await targetOctokit.actions.createOrgVariable({
         org: targetOrg,
         name: variable.name,
         value: variable.value,
         visibility: variable.visibility,
-        selected_repository_ids: variable.selected_repository_ids,
+        selected_repository_ids: selectedRepositoryIds,
       });
       logger.debug(`Migrated organization variable ${variable.name}`);
-    } catch (error) {
-      logger.error(`Failed to migrate organization variable ${variable.name}: ${error.message}`);
-      variableMigrations.errors.push({ org: targetOrg, name: variable.name, message: error.message });
-      return;
+      state.markCompleted('variables', unitKey);
     }
+  } catch (error) {
+    logger.error(`Failed to migrate organization variable ${variable.name}: ${error.message}`);
+    variableMigrations.errors.push({ org: targetOrg, name: variable.name, message: error.message });
+    operations.fail('variables', 'variable', unitKey, error);
+    return;
   }
   variableMigrations.variables.push({ org: targetOrg, name: variable.name, value: variable.value });
 }
 
 /**
- * Migrates variables from source organization to target organization.
+ * Resolves the target repository IDs for an organization variable with selected visibility.
  * @param {Object} sourceOctokit - Octokit instance for source organization
  * @param {Object} targetOctokit - Octokit instance for target organization
  * @param {string} sourceOrg - Source organization name
  * @param {string} targetOrg - Target organization name
+ * @param {string} variableName - Variable name
+ * @param {Object} options - Component options shared across the run
+ * @returns {Array} Array of target repository IDs
+ */
+async function resolveSelectedRepositoryIds(sourceOctokit, targetOctokit, sourceOrg, targetOrg, variableName, options) {
+  const sourceRepos = await sourceOctokit.paginate(sourceOctokit.actions.listSelectedReposForOrgVariable, {
+    org: sourceOrg,
+    name: variableName,
+    per_page: 100,
+  });
+
+  return resolveTargetRepositoryIds(targetOctokit, targetOrg, sourceRepos.map(repo => repo.name), `variable ${variableName}`, options);
+}
+
+/**
+ * Migrates organization, repository and environment variables from source organization to target organization.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} sourceGraphQL - GraphQL client for source (not used)
+ * @param {Object} targetGraphQL - GraphQL client for target (not used)
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} packageType - Package type (not used)
  * @param {boolean} dryRun - Whether to perform a dry run
  * @param {boolean} verbose - Whether to enable verbose logging
+ * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings (not used)
+ * @param {Object} [options] - Component options shared across the run
+ * @param {Object} [options.state] - Run state used to skip variables completed by a previous run
+ * @param {Object} [options.operations] - Operation log recording or restricting the planned operations
+ * @param {boolean} [options.showValues] - Whether to print variable values in the debug output instead of redacting them
+ * @returns {Object} Migration results
  */
-export async function migrateVariables(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, verbose) {
+export async function migrateVariables(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packageType, dryRun, verbose, usernameMappingFile, options = {}) {
   setVerbosity(verbose);
   
   const variableMigrations = {
     variables: [],
+    environmentSecrets: [],
     errors: [],
   };
+  const state = options.state || createMigrationState();
+  const operations = options.operations || createOperationLog();
 
   try {
     await Promise.all([
-      migrateRepoVariables(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, variableMigrations),
-      migrateOrgVariables(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, variableMigrations)
+      migrateRepoVariables(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, variableMigrations, state, operations, options),
+      migrateOrgVariables(sourceOctokit, targetOctokit, sourceOrg, targetOrg, dryRun, variableMigrations, state, operations, options)
     ]);
   } catch (error) {
     logger.error(`Failed to migrate variables: ${error.message}`);
     variableMigrations.errors.push({ message: error.message });
+    operations.fail('variables', 'organization', sourceOrg, error);
   }
 
+  if (variableMigrations.environmentSecrets.length > 0) {
+    logger.warn(`${variableMigrations.environmentSecrets.length} environment secrets were found and must be migrated separately: ${variableMigrations.environmentSecrets.map(secret => `${secret.repo}/${secret.environment}/${secret.name}`).join(', ')}`);
+  }
   logger.info('Variable migration completed');
-  console.log(JSON.stringify(variableMigrations, null, 2));
+  logger.debug(JSON.stringify(options.showValues ? variableMigrations : redactValues(variableMigrations), null, 2));
+  return variableMigrations;
 }
 
 /**
  * Migrates a single variable.
  * @param {Object} targetOctokit - Octokit instance for target organization
- * @param {string} targetOrg - Target organization name
+ * @param {Object} target - Owner and name of the target repository
  * @param {string} repoName - Repository name
  * @param {Object} variable - Variable to migrate
  * @param {boolean} dryRun - Whether to perform a dry run
  * @param {Object} variableMigrations - Object to store migration results
+ * @param {Object} state - Run state recording completed variables
+ * @param {Object} operations - Operation log recording the planned operations
  */
-async function migrateVariable(targetOctokit, targetOrg, repoName, variable, dryRun, variableMigrations) {
+async function migrateVariable(targetOctokit, target, repoName, variable, dryRun, variableMigrations, state, operations) {
+  const unitKey = `${repoName}/${variable.name}`;
+  if (state.isCompleted('variables', unitKey)) {
+    logger.debug(`Skipping variable ${variable.name} for repo ${repoName}, already migrated`);
+    operations.record('variables', 'variable', 'skip', unitKey, { reason: 'already migrated' });
+    return;
+  }
+  if (!operations.record('variables', 'variable', 'create', unitKey, { valueHash: hashValue(variable.value) })) {
+    return;
+  }
+
   if (!dryRun) {
     try {
       await targetOctokit.actions.createRepoVariable({
-        owner: targetOrg,
-        repo: repoName,
+        owner: target.owner,
+        repo: target.repo,
         name: variable.name,
         value: variable.value,
       });
       logger.debug(`Migrated variable ${variable.name} for repo ${repoName}`);
+      state.markCompleted('variables', unitKey);
     } catch (error) {
       logger.error(`Failed to migrate variable ${variable.name} for repo ${repoName}: ${error.message}`);
       variableMigrations.errors.push({ repo: repoName, name: variable.name, message: error.message });
+      operations.fail('variables', 'variable', unitKey, error);
       return;
     }
   }
   variableMigrations.variables.push({ repo: repoName, name: variable.name, value: variable.value });
 }
+
+/**
+ * Verifies that the organization, repository and environment variables of the source organization
+ * exist in the target organization with the same values.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {Object} sourceGraphQL - GraphQL client for source (not used)
+ * @param {Object} targetGraphQL - GraphQL client for target (not used)
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {string} packageType - Package type (not used)
+ * @param {boolean} dryRun - Whether to perform a dry run (not used)
+ * @param {boolean} verbose - Whether to enable verbose logging
+ * @param {string} [usernameMappingFile] - Path to CSV file containing username mappings (not used)
+ * @param {Object} [options] - Component options shared across the run
+ * @returns {Object} Verification results
+ */
+export async function verifyVariables(sourceOctokit, targetOctokit, sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, packageType, dryRun, verbose, usernameMappingFile, options = {}) {
+  setVerbosity(verbose);
+  logger.info(`Verifying variables of ${sourceOrg} in ${targetOrg}`);
+  const verification = createVerification('variables');
+
+  try {
+    compareItems(
+      verification,
+      'variable',
+      variableValues(await paginateOrEmpty(sourceOctokit, sourceOctokit.actions.listOrgVariables, { org: sourceOrg }), 'org:'),
+      variableValues(await paginateOrEmpty(targetOctokit, targetOctokit.actions.listOrgVariables, { org: targetOrg }), 'org:')
+    );
+
+    const sourceRepos = await fetchSourceRepositories(sourceOctokit, sourceOrg, options);
+    for (const repo of sourceRepos) {
+      await verifyRepoVariables(sourceOctokit, targetOctokit, sourceOrg, resolveTargetRepository(options, targetOrg, repo.name), repo.name, verification);
+    }
+  } catch (error) {
+    logger.error(`Failed to verify variables: ${error.message}`);
+    verification.errors.push({ message: error.message });
+  }
+  return verification;
+}
+
+/**
+ * Verifies the repository and environment variables of a single repository.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Object} target - Owner and name of the target repository
+ * @param {string} repoName - Repository name
+ * @param {Object} verification - Object to store verification results
+ */
+async function verifyRepoVariables(sourceOctokit, targetOctokit, sourceOrg, target, repoName, verification) {
+  try {
+    compareItems(
+      verification,
+      'variable',
+      variableValues(await paginateOrEmpty(sourceOctokit, sourceOctokit.actions.listRepoVariables, { owner: sourceOrg, repo: repoName }), `${repoName}/`),
+      variableValues(await paginateOrEmpty(targetOctokit, targetOctokit.actions.listRepoVariables, { owner: target.owner, repo: target.repo }), `${repoName}/`)
+    );
+
+    const environments = await paginateOrEmpty(sourceOctokit, sourceOctokit.repos.getAllEnvironments, { owner: sourceOrg, repo: repoName });
+    for (const environment of environments) {
+      const prefix = `${repoName}/${environment.name}/`;
+      compareItems(
+        verification,
+        'environment-variable',
+        variableValues(await paginateOrEmpty(sourceOctokit, sourceOctokit.actions.listEnvironmentVariables, { owner: sourceOrg, repo: repoName, environment_name: environment.name }), prefix),
+        variableValues(await paginateOrEmpty(targetOctokit, targetOctokit.actions.listEnvironmentVariables, { owner: target.owner, repo: target.repo, environment_name: environment.name }), prefix)
+      );
+    }
+  } catch (error) {
+    logger.error(`Failed to verify variables for repo ${repoName}: ${error.message}`);
+    verification.errors.push({ repo: repoName, message: error.message });
+  }
+}
+
+/**
+ * Maps variables to their values, keyed the same way as the run state.
+ * @param {Array} variables - Array of variables
+ * @param {string} prefix - Key prefix identifying the organization, repository or environment
+ * @returns {Map} Map of variable keys to values
+ */
+function variableValues(variables, prefix) {
+  return new Map(variables.map(variable => [`${prefix}${variable.name}`, variable.value]));
+}
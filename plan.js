@@ -0,0 +1,139 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import {logger} from './logger.js';
+
+const planVersion = 1;
+
+/**
+ * Creates the log of operations a run intends to perform.
+ * Components record every create, update or skip before they act on it, and every failure
+ * with the key of the operation it affects. When an approved plan is given, only the
+ * operations it contains are allowed to proceed.
+ * @param {Object} [approvedPlan] - Plan read by readPlan that restricts the operations
+ * @returns {Object} Operation log
+ */
+export function createOperationLog(approvedPlan = null) {
+  const operations = [];
+  const failures = [];
+  const approved = approvedPlan ? new Set(approvedPlan.operations.map(operationId)) : null;
+
+  return {
+    operations,
+    failures,
+
+    /**
+     * Records an operation.
+     * @param {string} component - Component name
+     * @param {string} resource - Resource type, such as variable or team
+     * @param {string} action - Action to perform: create, update, delete or skip
+     * @param {string} key - Identifier of the resource in the target
+     * @param {Object} [details] - Values the operation depends on, compared when checking drift
+     * @returns {boolean} Whether the operation may proceed
+     */
+    record(component, resource, action, key, details = {}) {
+      const operation = { component, resource, action, key, details };
+      if (approved && !approved.has(operationId(operation))) {
+        logger.warn(`Operation not in plan, skipping: ${action} ${resource} ${key}`);
+        return false;
+      }
+      operations.push(operation);
+      return true;
+    },
+
+    /**
+     * Records a failure, either of a recorded operation or of work that precedes the operations.
+     * @param {string} component - Component name
+     * @param {string} resource - Resource type, such as variable or repository
+     * @param {string} key - Identifier of the resource, the key of the operation if one was recorded
+     * @param {Error|string} error - Error that occurred
+     */
+    fail(component, resource, key, error) {
+      failures.push({ component, resource, key, error: error instanceof Error ? error.message : String(error) });
+    },
+  };
+}
+
+/**
+ * Hashes a value so plans can detect changes without storing the value itself.
+ * The hash is unsalted and can be brute-forced for guessable values, so it is not used for secrets.
+ * @param {string} value - Value to hash
+ * @returns {string} Shortened SHA-256 hash
+ */
+export function hashValue(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Builds a stable identifier of an operation.
+ * @param {Object} operation - Operation
+ * @returns {string} Operation identifier
+ */
+function operationId(operation) {
+  return JSON.stringify([operation.component, operation.resource, operation.action, operation.key, operation.details]);
+}
+
+/**
+ * Writes a plan file.
+ * @param {string} filePath - Path of the plan file
+ * @param {Object} settings - Organizations, components and options the plan was computed with
+ * @param {Array} operations - Planned operations
+ */
+export function writePlan(filePath, settings, operations) {
+  const plan = {
+    version: planVersion,
+    createdAt: new Date().toISOString(),
+    ...settings,
+    operations: [...operations].sort((a, b) => (operationId(a) < operationId(b) ? -1 : 1)),
+  };
+  fs.writeFileSync(filePath, JSON.stringify(plan, null, 2));
+  logger.info(`Wrote ${operations.length} operations to ${filePath}`);
+}
+
+/**
+ * Reads a plan file.
+ * @param {string} filePath - Path of the plan file
+ * @returns {Object} Plan
+ * @throws {Error} If the file is not a plan of a supported version
+ */
+export function readPlan(filePath) {
+  const plan = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (plan.version !== planVersion || !Array.isArray(plan.operations)) {
+    throw new Error(`${filePath} is not a migration plan of version ${planVersion}`);
+  }
+  return plan;
+}
+
+/**
+ * Compares the operations of an approved plan with a freshly computed set of operations.
+ * @param {Object} approvedPlan - Approved plan
+ * @param {Array} operations - Freshly computed operations
+ * @returns {Object} Operations that were added and removed since the plan was approved
+ */
+export function diffPlan(approvedPlan, operations) {
+  const approvedIds = new Set(approvedPlan.operations.map(operationId));
+  const currentIds = new Set(operations.map(operationId));
+  return {
+    added: operations.filter(operation => !approvedIds.has(operationId(operation))),
+    removed: approvedPlan.operations.filter(operation => !currentIds.has(operationId(operation))),
+  };
+}
+
+/**
+ * Prints the number of planned operations per component and action.
+ * @param {Array} operations - Planned operations
+ */
+export function printPlanSummary(operations) {
+  const actions = ['create', 'update', 'delete', 'skip'];
+  const counts = new Map();
+  operations.forEach(operation => {
+    const componentCounts = counts.get(operation.component) || Object.fromEntries(actions.map(action => [action, 0]));
+    componentCounts[operation.action] = (componentCounts[operation.action] || 0) + 1;
+    counts.set(operation.component, componentCounts);
+  });
+
+  console.log(`\n  ${'component'.padEnd(14)}${actions.map(action => action.padStart(8)).join('')}`);
+  counts.forEach((componentCounts, component) => {
+    console.log(`  ${component.padEnd(14)}${actions.map(action => String(componentCounts[action]).padStart(8)).join('')}`);
+  });
+  console.log(`  ${'total'.padEnd(14)}${String(operations.length).padStart(8 * actions.length)}`);
+}
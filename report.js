@@ -0,0 +1,170 @@
+import fs from 'fs';
+import path from 'path';
+import { stringify } from 'csv-stringify/sync';
+import {logger} from './logger.js';
+
+const REDACTED = '***';
+
+// columns of report.csv, one row per resource
+const reportColumns = ['component', 'resource', 'key', 'action', 'status', 'reason', 'error'];
+
+// resources that are invitations, which stay pending until the invitee accepts them
+const invitationResources = ['org-invitation', 'collaborator-invitation'];
+
+/**
+ * Creates the report of a run from the operations and failures recorded by its components.
+ * Each entry describes one resource: recorded operations are succeeded, planned in a dry run,
+ * skipped or failed, and failures without an operation, such as a repository that could not
+ * be listed, are entries of their own. Invitations sent by the run or found pending in the target
+ * are listed as pending invitations to follow up on.
+ * @param {Object} context - Migration context with the organizations and dry run setting
+ * @param {Array} summary - Summary entries, one per component
+ * @param {Object} operations - Operation log of the run
+ * @param {Object} requests - Request counters of the scheduler
+ * @returns {Object} Report
+ */
+export function createReport(context, summary, operations, requests) {
+  const failures = new Map();
+  operations.failures.forEach(failure => {
+    failures.set(entryId(failure), [...(failures.get(entryId(failure)) || []), failure]);
+  });
+
+  const entries = operations.operations.map(operation => {
+    const entry = {
+      component: operation.component,
+      resource: operation.resource,
+      key: operation.key,
+      action: operation.action,
+      status: context.dryRun ? 'planned' : 'succeeded',
+      reason: operation.details.reason || null,
+      error: null,
+    };
+    const matches = failures.get(entryId(operation));
+    if (matches) {
+      failures.delete(entryId(operation));
+      return { ...entry, status: 'failed', error: matches.map(failure => failure.error).join('; ') };
+    }
+    return operation.action === 'skip' ? { ...entry, status: 'skipped' } : entry;
+  });
+
+  failures.forEach(matches => {
+    matches.forEach(failure => {
+      entries.push({ ...failure, action: null, status: 'failed', reason: null });
+    });
+  });
+
+  return {
+    sourceOrg: context.sourceOrg,
+    targetOrg: context.targetOrg,
+    dryRun: context.dryRun,
+    createdAt: new Date().toISOString(),
+    components: summary,
+    requests,
+    entries,
+    pendingInvitations: entries
+      .filter(entry => invitationResources.includes(entry.resource) && ['succeeded', 'skipped'].includes(entry.status))
+      .map(({ component, resource, key }) => ({ component, resource, key })),
+  };
+}
+
+/**
+ * Builds the identifier an operation and its failure share.
+ * @param {Object} item - Operation or failure
+ * @returns {string} Identifier
+ */
+function entryId(item) {
+  return JSON.stringify([item.component, item.resource, item.key]);
+}
+
+/**
+ * Writes the report as report.json, report.csv and report.md, and appends the Markdown
+ * to the job summary when running in GitHub Actions.
+ * @param {Object} report - Report created by createReport
+ * @param {string} reportDir - Directory to write the report files to
+ */
+export function writeReport(report, reportDir) {
+  fs.mkdirSync(reportDir, { recursive: true });
+  const markdown = formatMarkdown(report);
+
+  fs.writeFileSync(path.join(reportDir, 'report.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(reportDir, 'report.csv'), stringify(report.entries, { header: true, columns: reportColumns }));
+  fs.writeFileSync(path.join(reportDir, 'report.md'), markdown);
+  logger.info(`Wrote report of ${report.entries.length} resources to ${path.join(reportDir, 'report.{json,csv,md}')}`);
+
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `${markdown}\n`);
+  }
+}
+
+/**
+ * Formats the report as Markdown with the component summary, the number of resources
+ * per status, the request counters, the pending invitations and the failed resources.
+ * @param {Object} report - Report created by createReport
+ * @returns {string} Markdown
+ */
+function formatMarkdown(report) {
+  const statuses = ['succeeded', 'planned', 'skipped', 'failed'];
+  const lines = [
+    `## Migration report: ${report.sourceOrg} -> ${report.targetOrg}`,
+    '',
+    `Dry run: ${report.dryRun ? 'Yes' : 'No'}, created at ${report.createdAt}`,
+    '',
+    `| Component | Status | Errors | Seconds | ${statuses.map(capitalize).join(' | ')} |`,
+    `| --- | --- | ---: | ---: | ${statuses.map(() => '---:').join(' | ')} |`,
+  ];
+  report.components.forEach(entry => {
+    const entries = report.entries.filter(item => item.component === entry.component);
+    const counts = statuses.map(status => entries.filter(item => item.status === status).length);
+    lines.push(`| ${entry.component} | ${entry.status} | ${entry.errors} | ${entry.seconds.toFixed(1)} | ${counts.join(' | ')} |`);
+  });
+
+  const { requests } = report;
+  lines.push(
+    '',
+    `Requests: ${requests.requests}, retries: ${requests.retries}, rate limited: ${requests.rateLimited}, ` +
+    `server errors: ${requests.serverErrors}, failed after retries: ${requests.failed}`
+  );
+
+  if (report.pendingInvitations.length > 0) {
+    lines.push('', '### Pending invitations', '', '| Component | Resource | Key |', '| --- | --- | --- |');
+    report.pendingInvitations.forEach(entry => {
+      lines.push(`| ${[entry.component, entry.resource, entry.key].map(escapeCell).join(' | ')} |`);
+    });
+  }
+
+  const failed = report.entries.filter(entry => entry.status === 'failed');
+  if (failed.length > 0) {
+    lines.push('', '### Failures', '', '| Component | Resource | Key | Action | Error |', '| --- | --- | --- | --- | --- |');
+    failed.forEach(entry => {
+      lines.push(`| ${[entry.component, entry.resource, entry.key, entry.action || '', entry.error].map(escapeCell).join(' | ')} |`);
+    });
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Capitalizes the first letter of a word.
+ * @param {string} word - Word
+ * @returns {string} Capitalized word
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Escapes a value for a Markdown table cell.
+ * @param {string} value - Cell value
+ * @returns {string} Escaped value on a single line
+ */
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Replaces the values in migration results so they can be printed or stored without exposing them.
+ * @param {Object} results - Migration results
+ * @returns {Object} Copy of the results with every value property redacted
+ */
+export function redactValues(results) {
+  return JSON.parse(JSON.stringify(results, (key, value) => (key === 'value' ? REDACTED : value)));
+}
@@ -0,0 +1,259 @@
+import fs from 'fs';
+import { parse } from 'csv-parse/sync';
+import {logger} from './logger.js';
+
+/**
+ * Fetches the repositories of the source organization that are selected for migration.
+ * The list is fetched once and cached on the options object, so every component
+ * that receives the same options (as in `migrate all`) shares one inventory.
+ * Repositories missing from the repository mappings or rejected by the repository filters are left out.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Object} [options] - Component options shared across the run
+ * @param {Map} [options.repositoryMappings] - Repository mappings created by loadRepositoryMappings
+ * @param {Object} [options.repositoryFilters] - Repository filters created by createRepositoryFilters
+ * @returns {Promise<Array>} Array of repositories
+ */
+export async function fetchSourceRepositories(sourceOctokit, sourceOrg, options = {}) {
+  if (!options.repositories) {
+    options.repositories = (async () => {
+      logger.info(`Fetching repositories from ${sourceOrg}`);
+      const repos = await sourceOctokit.paginate(sourceOctokit.repos.listForOrg, {
+        org: sourceOrg,
+        per_page: 100,
+      });
+      logger.info(`Found ${repos.length} repositories in ${sourceOrg}`);
+      const mappedRepos = options.repositoryMappings ? repos.filter(repo => resolveTargetRepository(options, null, repo.name)) : repos;
+      if (!options.repositoryFilters) {
+        return mappedRepos;
+      }
+
+      const selectedRepos = await selectRepositories(sourceOctokit, sourceOrg, mappedRepos, options.repositoryFilters);
+      logger.info(`Selected ${selectedRepos.length} of ${repos.length} repositories in ${sourceOrg}`);
+      return selectedRepos;
+    })();
+  }
+  return options.repositories;
+}
+
+/**
+ * Checks if a repository of the source organization is selected by the repository filters.
+ * Components that reach repositories through other resources, such as team repositories
+ * or packages, use it to stay within the selected repositories.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Object} options - Component options shared across the run
+ * @param {string} repoName - Source repository name
+ * @returns {Promise<boolean>} Whether the repository is selected, always true without filters
+ */
+export async function isRepositorySelected(sourceOctokit, sourceOrg, options, repoName) {
+  if (!options.repositoryFilters) {
+    return true;
+  }
+  const repos = await fetchSourceRepositories(sourceOctokit, sourceOrg, options);
+  return repos.some(repo => repo.name === repoName);
+}
+
+/**
+ * Creates the filters that select the repositories to migrate.
+ * A repository is included if it matches one of the name patterns or is listed in the
+ * repository list file, or if neither is given. It is then excluded if it matches one of the
+ * exclude patterns, or does not have one of the topics, one of the visibilities and all of the
+ * custom property values, or is archived while archived repositories are skipped.
+ * @param {Object} settings - Filter settings
+ * @param {Array} [settings.repos] - Repository name patterns to include, `*` and `?` are wildcards
+ * @param {Array} [settings.excludeRepos] - Repository name patterns to exclude
+ * @param {Array} [settings.topics] - Topics of which a repository needs at least one
+ * @param {Array} [settings.visibilities] - Visibilities of which a repository needs one
+ * @param {boolean} [settings.skipArchived] - Whether to exclude archived repositories
+ * @param {string} [settings.repoListFile] - Path to a file listing one repository name per line
+ * @param {Array} [settings.properties] - Custom property values a repository needs, as `name=value`
+ * @returns {Object|null} Repository filters, or null if no filter is set
+ * @throws {Error} If a custom property value is not of the form name=value
+ */
+export function createRepositoryFilters({ repos = [], excludeRepos = [], topics = [], visibilities = [], skipArchived = false, repoListFile, properties = [] }) {
+  if (repos.length === 0 && excludeRepos.length === 0 && topics.length === 0 && visibilities.length === 0 &&
+      !skipArchived && !repoListFile && properties.length === 0) {
+    return null;
+  }
+
+  const listedRepos = repoListFile ? fs.readFileSync(repoListFile, 'utf-8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(line => line.length > 0) : [];
+  if (repoListFile) {
+    logger.info(`Loaded ${listedRepos.length} repositories from ${repoListFile}`);
+  }
+
+  return {
+    include: [...repos, ...listedRepos].map(globToRegExp),
+    exclude: excludeRepos.map(globToRegExp),
+    topics,
+    visibilities,
+    skipArchived,
+    properties: properties.map(property => {
+      const separator = property.indexOf('=');
+      if (separator < 1) {
+        throw new Error(`Custom property filter ${property} must be of the form name=value`);
+      }
+      return { name: property.slice(0, separator), value: property.slice(separator + 1) };
+    }),
+  };
+}
+
+/**
+ * Converts a repository name pattern to a case-insensitive regular expression.
+ * @param {string} pattern - Repository name pattern, `*` matches any characters and `?` a single one
+ * @returns {RegExp} Regular expression matching the whole repository name
+ */
+function globToRegExp(pattern) {
+  const source = pattern.split('').map(character => {
+    if (character === '*') {
+      return '.*';
+    }
+    if (character === '?') {
+      return '.';
+    }
+    return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Applies the repository filters to the repositories of the source organization.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {string} sourceOrg - Source organization name
+ * @param {Array} repos - Array of repositories
+ * @param {Object} filters - Repository filters created by createRepositoryFilters
+ * @returns {Promise<Array>} Array of selected repositories
+ */
+async function selectRepositories(sourceOctokit, sourceOrg, repos, filters) {
+  const propertyValues = filters.properties.length > 0 ? await fetchCustomPropertyValues(sourceOctokit, sourceOrg) : new Map();
+
+  return repos.filter(repo => {
+    if (filters.include.length > 0 && !filters.include.some(pattern => pattern.test(repo.name))) {
+      return false;
+    }
+    if (filters.exclude.some(pattern => pattern.test(repo.name))) {
+      return false;
+    }
+    if (filters.topics.length > 0 && !(repo.topics || []).some(topic => filters.topics.includes(topic))) {
+      return false;
+    }
+    if (filters.visibilities.length > 0 && !filters.visibilities.includes(repo.visibility)) {
+      return false;
+    }
+    if (filters.skipArchived && repo.archived) {
+      return false;
+    }
+    const values = propertyValues.get(repo.name) || {};
+    return filters.properties.every(({ name, value }) =>
+      Array.isArray(values[name]) ? values[name].includes(value) : values[name] === value
+    );
+  });
+}
+
+/**
+ * Fetches the custom property values of the repositories of an organization.
+ * @param {Object} sourceOctokit - Octokit instance for source organization
+ * @param {string} sourceOrg - Source organization name
+ * @returns {Promise<Map>} Map of repository names to objects of property names and values
+ */
+async function fetchCustomPropertyValues(sourceOctokit, sourceOrg) {
+  logger.info(`Fetching custom property values of repositories in ${sourceOrg}`);
+  const repos = await sourceOctokit.paginate(sourceOctokit.orgs.listCustomPropertiesValuesForRepos, {
+    org: sourceOrg,
+    per_page: 100,
+  });
+  return new Map(repos.map(repo => [
+    repo.repository_name,
+    Object.fromEntries(repo.properties.map(property => [property.property_name, property.value])),
+  ]));
+}
+
+/**
+ * Reads and parses the repository mapping CSV file.
+ * The file has the columns sourceRepo and targetRepo, and optionally targetOrg
+ * to move a repository to another organization than the target organization.
+ * @param {string} [csvPath] - Path to the CSV file
+ * @returns {Map|null} Map of source repository names to target repositories, or null without a file
+ * @throws {Error} If a row has no source or target repository
+ */
+export function loadRepositoryMappings(csvPath) {
+  if (!csvPath) {
+    return null;
+  }
+
+  const records = parse(fs.readFileSync(csvPath, 'utf-8'), {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+  });
+
+  const mappings = new Map();
+  records.forEach((record, index) => {
+    if (!record.sourceRepo || !record.targetRepo) {
+      throw new Error(`Row ${index + 2} of ${csvPath} must have a sourceRepo and a targetRepo`);
+    }
+    mappings.set(record.sourceRepo, { owner: record.targetOrg || null, repo: record.targetRepo });
+  });
+  logger.info(`Loaded ${mappings.size} repository mappings from ${csvPath}`);
+  return mappings;
+}
+
+/**
+ * Resolves the repository a source repository is migrated to.
+ * Without repository mappings the repository keeps its name in the target organization.
+ * With mappings, repositories that are not mapped are skipped.
+ * @param {Object} options - Component options shared across the run
+ * @param {string} targetOrg - Target organization name
+ * @param {string} repoName - Source repository name
+ * @returns {Object|null} Target owner and repository name, or null if the repository is not mapped
+ */
+export function resolveTargetRepository(options, targetOrg, repoName) {
+  if (!options.repositoryMappings) {
+    return { owner: targetOrg, repo: repoName };
+  }
+
+  const mapping = options.repositoryMappings.get(repoName);
+  if (!mapping) {
+    logger.warn(`Repository ${repoName} is not in the repository mapping file. Skipping...`);
+    return null;
+  }
+  return { owner: mapping.owner || targetOrg, repo: mapping.repo };
+}
+
+/**
+ * Resolves the IDs of the target repositories of the source repositories selected for an
+ * organization secret or variable. Repositories that are not mapped to, or do not exist in,
+ * the target organization are skipped.
+ * @param {Object} targetOctokit - Octokit instance for target organization
+ * @param {string} targetOrg - Target organization name
+ * @param {Array} repoNames - Names of the selected source repositories
+ * @param {string} item - Description of the secret or variable, used in warnings
+ * @param {Object} options - Component options shared across the run
+ * @returns {Promise<Array>} Array of target repository IDs
+ */
+export async function resolveTargetRepositoryIds(targetOctokit, targetOrg, repoNames, item, options) {
+  const repositoryIds = [];
+  for (const repoName of repoNames) {
+    const target = resolveTargetRepository(options, targetOrg, repoName);
+    if (!target) {
+      continue;
+    }
+    if (target.owner !== targetOrg) {
+      logger.warn(`Repository ${repoName} selected for ${item} is mapped to ${target.owner}, not ${targetOrg}. Skipping...`);
+      continue;
+    }
+    try {
+      const { data: targetRepo } = await targetOctokit.repos.get({
+        owner: target.owner,
+        repo: target.repo,
+      });
+      repositoryIds.push(targetRepo.id);
+    } catch (error) {
+      logger.warn(`Repository ${repoName} selected for ${item} not found in target organization. Skipping...`);
+    }
+  }
+  return repositoryIds;
+}
@@ -0,0 +1,205 @@
+import config from './config.js';
+import {logger} from './logger.js';
+
+// request scheduler shared by every component, configured once per run by the CLI
+const settings = {
+  maxConcurrency: config.maxConcurrency,
+  maxConcurrencyPerHost: config.maxConcurrencyPerHost,
+  maxRetries: config.maxRetries,
+  retryDelay: config.retryDelay,
+};
+const waiting = [];
+const runningPerHost = new Map();
+const pausedUntil = new Map();
+let running = 0;
+
+const counters = {
+  requests: 0,
+  retries: 0,
+  rateLimited: 0,
+  serverErrors: 0,
+  failed: 0,
+  hosts: {},
+};
+
+/**
+ * Configures the limits and retry policy of the request scheduler.
+ * Settings that are not given keep their defaults from config.js.
+ * @param {Object} [limits] - Scheduler settings
+ * @param {number} [limits.maxConcurrency] - Maximum number of requests in flight across all hosts
+ * @param {number} [limits.maxConcurrencyPerHost] - Maximum number of requests in flight to a single host
+ * @param {number} [limits.maxRetries] - Maximum number of retries of a rate-limited or failed request
+ * @param {number} [limits.retryDelay] - Delay in milliseconds before the first retry, doubled on every further retry
+ */
+export function configureScheduler(limits = {}) {
+  Object.entries(limits)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([key, value]) => {
+      settings[key] = value;
+    });
+}
+
+/**
+ * Runs a task once a slot is free, both across all hosts and for the given host.
+ * @param {string} host - Host the task sends its request to
+ * @param {Function} task - Function returning a promise
+ * @returns {Promise<*>} Result of the task
+ */
+export async function schedule(host, task) {
+  await new Promise(resolve => {
+    waiting.push({ host, resolve });
+    dispatch();
+  });
+  try {
+    return await task();
+  } finally {
+    running--;
+    runningPerHost.set(host, runningPerHost.get(host) - 1);
+    dispatch();
+  }
+}
+
+/**
+ * Starts waiting tasks in order while slots are free, passing over tasks whose host
+ * is at its limit or paused by a rate limit.
+ */
+function dispatch() {
+  let index = 0;
+  while (index < waiting.length && running < settings.maxConcurrency) {
+    const { host, resolve } = waiting[index];
+    if ((runningPerHost.get(host) || 0) >= settings.maxConcurrencyPerHost || (pausedUntil.get(host) || 0) > Date.now()) {
+      index++;
+      continue;
+    }
+    waiting.splice(index, 1);
+    running++;
+    runningPerHost.set(host, (runningPerHost.get(host) || 0) + 1);
+    resolve();
+  }
+}
+
+/**
+ * Stops starting requests to a host until a rate limit has passed.
+ * @param {string} host - Rate-limited host
+ * @param {number} delay - Time in milliseconds until the rate limit has passed
+ */
+function pauseHost(host, delay) {
+  const until = Date.now() + delay;
+  if (until > (pausedUntil.get(host) || 0)) {
+    pausedUntil.set(host, until);
+    setTimeout(dispatch, delay);
+  }
+}
+
+/**
+ * Wraps a fetch function so every request waits for a slot of the scheduler and is retried
+ * with exponential backoff when it is rate limited or fails with a server error.
+ * The slot is released once the response headers arrive, so streaming a response body into
+ * another request does not hold two slots. A stream body cannot be sent again, so requests
+ * with a stream body are not retried; pass a function returning a fresh stream as the body
+ * instead, which is called for every attempt before waiting for a slot.
+ * @param {Function} fetch - Fetch function to wrap
+ * @returns {Function} Scheduled fetch function
+ */
+export function createScheduledFetch(fetch) {
+  return async (url, options = {}) => {
+    const host = new URL(url).host;
+    for (let attempt = 0; ; attempt++) {
+      counters.requests++;
+      counters.hosts[host] = (counters.hosts[host] || 0) + 1;
+      const body = typeof options.body === 'function' ? await options.body() : options.body;
+      const response = await schedule(host, () => fetch(url, { ...options, body }));
+
+      const rateLimited = isRateLimited(response);
+      if (!rateLimited && response.status < 500) {
+        return response;
+      }
+      counters[rateLimited ? 'rateLimited' : 'serverErrors']++;
+      if (attempt >= settings.maxRetries || !isReplayable(options.body)) {
+        counters.failed++;
+        return response;
+      }
+
+      const delay = backoffDelay(response, attempt);
+      logger.warn(`${rateLimited ? 'Rate limited by' : `Server error ${response.status} from`} ${host}, retrying ${options.method || 'GET'} ${url} in ${(delay / 1000).toFixed(1)}s (retry ${attempt + 1} of ${settings.maxRetries})`);
+      if (rateLimited) {
+        pauseHost(host, delay);
+      }
+      await response.body?.cancel();
+      await new Promise(resolve => setTimeout(resolve, delay));
+      counters.retries++;
+    }
+  };
+}
+
+/**
+ * Checks if a response rejected the request because of a primary or secondary rate limit.
+ * Other 403 responses are permission errors and are not retried.
+ * @param {Response} response - Response
+ * @returns {boolean} Whether the request was rate limited
+ */
+function isRateLimited(response) {
+  if (response.status === 429) {
+    return true;
+  }
+  return response.status === 403 && (response.headers.has('retry-after') || response.headers.get('x-ratelimit-remaining') === '0');
+}
+
+/**
+ * Checks if a request body can be sent again.
+ * @param {*} body - Request body
+ * @returns {boolean} Whether the body is absent, a string, a buffer or a function creating the body
+ */
+function isReplayable(body) {
+  return typeof body === 'function' || body === undefined || body === null || typeof body === 'string' || body instanceof ArrayBuffer || ArrayBuffer.isView(body);
+}
+
+/**
+ * Computes how long to wait before retrying a request. The retry-after header takes
+ * precedence, then the reset time of an exhausted rate limit, then exponential backoff.
+ * @param {Response} response - Response of the failed attempt
+ * @param {number} attempt - Number of the failed attempt, starting at 0
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(response, attempt) {
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    const delay = /^\d+$/.test(retryAfter) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+    if (!Number.isNaN(delay)) {
+      return Math.max(delay, 0);
+    }
+  }
+  const reset = response.headers.get('x-ratelimit-reset');
+  if (response.headers.get('x-ratelimit-remaining') === '0' && reset) {
+    return Math.max(Number(reset) * 1000 - Date.now(), 0);
+  }
+  return settings.retryDelay * 2 ** attempt;
+}
+
+/**
+ * Gets the number of requests, retries, rate-limited responses, server errors and requests
+ * that still failed after all retries, with the number of requests per host.
+ * @returns {Object} Copy of the scheduler counters
+ */
+export function getSchedulerCounters() {
+  return { ...counters, hosts: { ...counters.hosts } };
+}
+
+/**
+ * Runs a task for every item with at most maxConcurrencyPerHost tasks in flight. A worker holds
+ * its place until the task has finished, unlike a request slot that is released once the response
+ * headers arrive, so this bounds tasks that keep a request or response body in memory, and keeps
+ * long lists of repositories or items from being started all at once.
+ * @param {Array} items - Items to run the task for
+ * @param {Function} task - Function taking an item and returning a promise
+ * @returns {Promise<void>}
+ */
+export async function runWorkerPool(items, task) {
+  const queue = [...items];
+  const worker = async () => {
+    while (queue.length > 0) {
+      await task(queue.shift());
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(settings.maxConcurrencyPerHost, queue.length) }, worker));
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import {logger} from './logger.js';
+
+const stateDir = '.migration-state';
+
+/**
+ * Creates a run state that records the completed units of work of each component.
+ * Every completed unit is written to the state file straight away, so an interrupted
+ * run can be resumed from the last completed unit.
+ * @param {string|null} [filePath] - Path of the state file, the state is only kept in memory when omitted
+ * @param {Object} [units] - Previously completed units, keyed by component and unit key
+ * @returns {Object} Migration state
+ */
+export function createMigrationState(filePath = null, units = {}) {
+  const save = () => {
+    if (!filePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ updatedAt: new Date().toISOString(), units }, null, 2));
+  };
+
+  return {
+    filePath,
+
+    /**
+     * Checks if a unit of work was completed.
+     * @param {string} component - Component name
+     * @param {string} key - Unit key
+     * @returns {boolean} Whether the unit was completed
+     */
+    isCompleted(component, key) {
+      return Boolean(units[component] && key in units[component]);
+    },
+
+    /**
+     * Gets the value recorded for a completed unit of work.
+     * @param {string} component - Component name
+     * @param {string} key - Unit key
+     * @returns {*} Recorded value, or undefined if the unit was not completed
+     */
+    getCompleted(component, key) {
+      return units[component] ? units[component][key] : undefined;
+    },
+
+    /**
+     * Lists the keys of the completed units of a component.
+     * @param {string} component - Component name
+     * @returns {Array} Array of unit keys
+     */
+    completedKeys(component) {
+      return Object.keys(units[component] || {});
+    },
+
+    /**
+     * Records a completed unit of work and writes the state file.
+     * @param {string} component - Component name
+     * @param {string} key - Unit key
+     * @param {*} [value] - Value to record, defaults to the completion time
+     */
+    markCompleted(component, key, value = new Date().toISOString()) {
+      units[component] = units[component] || {};
+      units[component][key] = value;
+      save();
+    },
+  };
+}
+
+/**
+ * Opens the state of a migration between two organizations.
+ * Without resume the run starts from scratch and overwrites the previous state file
+ * as soon as the first unit of work completes.
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {boolean} resume - Whether to skip the units recorded by a previous run
+ * @returns {Object} Migration state
+ */
+export function loadMigrationState(sourceOrg, targetOrg, resume) {
+  const filePath = path.join(stateDir, `${sourceOrg}-${targetOrg}.json`);
+  if (!resume) {
+    return createMigrationState(filePath);
+  }
+
+  if (!fs.existsSync(filePath)) {
+    logger.warn(`No state file found at ${filePath}, starting from scratch`);
+    return createMigrationState(filePath);
+  }
+
+  const { units } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const count = Object.values(units).reduce((total, componentUnits) => total + Object.keys(componentUnits).length, 0);
+  logger.info(`Resuming from ${filePath} with ${count} completed units`);
+  return createMigrationState(filePath, units);
+}
@@ -0,0 +1,55 @@
+import path from 'path';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, migrate, runCli, readReport, statuses} from './helpers.js';
+
+describe('cli', () => {
+  let server;
+  beforeEach(async () => { server = await startMockServer(); });
+  afterEach(async () => { await server.stop(); });
+
+  it('retries rate-limited requests and counts them in the report', async () => {
+    server.injectFailure({ method: 'GET', path: '/orgs/source-org/actions/variables', status: 429, headers: { 'retry-after': '0' }, times: 2 });
+
+    const { code, report } = await migrate(server, 'variables');
+
+    assert.equal(code, 0);
+    assert.equal(statuses(report, 'variable')['org:ORG_VAR'], 'planned');
+    assert.equal(report.requests.rateLimited, 2);
+    assert.equal(report.requests.retries, 2);
+    assert.equal(report.requests.failed, 0);
+  });
+
+  it('reports requests that still fail after all retries', async () => {
+    server.injectFailure({ method: 'GET', path: '/orgs/source-org/repos', status: 502, times: 10 });
+
+    const { report } = await migrate(server, 'variables', { args: ['--max-retries', '1'] });
+
+    assert.equal(report.requests.serverErrors, 2);
+    assert.equal(report.requests.failed, 1);
+    assert.ok(report.entries.some(entry => entry.status === 'failed'));
+    assert.equal(statuses(report, 'variable')['org:ORG_VAR'], 'planned');
+  });
+
+  it('applies exactly the operations of a plan', async () => {
+    const planned = await runCli(server, ['plan', '--source-org', 'source-org', '--target-org', 'target-org', '--components', 'variables']);
+    assert.equal(planned.code, 0);
+    assert.deepEqual(server.writes(), []);
+
+    const applied = await runCli(server, ['apply', '--plan', path.join(planned.cwd, 'plan.json')], { cwd: planned.cwd });
+
+    assert.equal(applied.code, 0);
+    assert.ok(readReport(applied.cwd).entries.every(entry => entry.status === 'succeeded'));
+    assert.deepEqual(server.state.orgs['target-org'].variables.map(variable => variable.name), ['ORG_VAR']);
+  });
+
+  it('rejects requests with a token of another organization', async () => {
+    const { code, report } = await runCli(server, ['migrate', 'variables', '--source-org', 'source-org', '--target-org', 'target-org'], {
+      env: { SOURCE_TOKEN: 'target-token' },
+    }).then(result => ({ ...result, report: readReport(result.cwd) }));
+
+    assert.equal(code, 1);
+    const failure = report.entries.find(entry => entry.status === 'failed');
+    assert.match(failure.error, /Bad credentials/);
+  });
+});
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, migrate, statuses, createWorkDir} from './helpers.js';
+
+/**
+ * Finds a repository of an organization in the mock server state.
+ * @param {Object} server - Mock server
+ * @param {string} org - Organization name
+ * @param {string} name - Repository name
+ * @returns {Object|undefined} Repository
+ */
+function findRepo(server, org, name) {
+  return server.state.orgs[org].repos.find(repo => repo.name === name);
+}
+
+describe('collaborators', () => {
+  let server;
+  beforeEach(async () => { server = await startMockServer(); });
+  afterEach(async () => { await server.stop(); });
+
+  it('plans collaborators and invitations in a dry run without changing the target', async () => {
+    const { code, report } = await migrate(server, 'collaborators');
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'collaborator'), { 'app/carol': 'planned', 'legacy/alice': 'planned' });
+    assert.deepEqual(statuses(report, 'collaborator-invitation'), {
+      'app/dave': 'planned',
+      'app/frank': 'skipped',
+      'legacy/bob': 'planned',
+    });
+    assert.deepEqual(server.writes(), []);
+  });
+
+  it('grants exact roles, invites outside collaborators and tracks the pending invitations', async () => {
+    const { code, report } = await migrate(server, 'all', { dryRun: false, args: ['--components', 'teams,collaborators'] });
+
+    assert.equal(code, 0);
+    assert.ok(report.entries.every(entry => ['succeeded', 'skipped'].includes(entry.status)));
+    const app = findRepo(server, 'target-org', 'app');
+    const legacy = findRepo(server, 'target-org', 'legacy');
+    assert.deepEqual(app.collaborators, [{ login: 'carol', role_name: 'maintain' }]);
+    assert.deepEqual(app.invitations.map(({ invitee, permissions }) => ({ invitee, permissions })), [
+      { invitee: 'frank', permissions: 'read' },
+      { invitee: 'dave', permissions: 'Deployer' },
+    ]);
+    assert.deepEqual(legacy.collaborators, [{ login: 'alice', role_name: 'admin' }]);
+    assert.deepEqual(legacy.invitations.map(({ invitee, permissions }) => ({ invitee, permissions })), [{ invitee: 'bob', permissions: 'triage' }]);
+    assert.deepEqual(
+      report.pendingInvitations.filter(invitation => invitation.component === 'collaborators').map(invitation => invitation.key),
+      ['app/dave', 'app/frank', 'legacy/bob']
+    );
+  });
+
+  it('migrates collaborators under their mapped usernames', async () => {
+    const mappingFile = path.join(createWorkDir(), 'usernames.csv');
+    fs.writeFileSync(mappingFile, 'sourceUsername,targetUsername\nbob,carol\n');
+
+    const { code, report } = await migrate(server, 'collaborators', { dryRun: false, args: ['--username-mapping', mappingFile, '--repos', 'legacy'] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'collaborator-invitation'), { 'legacy/carol': 'succeeded' });
+    assert.deepEqual(findRepo(server, 'target-org', 'legacy').invitations.map(invitation => invitation.invitee), ['carol']);
+  });
+});
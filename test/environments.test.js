@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, migrate, statuses, createWorkDir} from './helpers.js';
+
+/**
+ * Finds an environment of a target repository.
+ * @param {Object} server - Mock server
+ * @param {string} name - Environment name
+ * @returns {Object|undefined} Environment of target-org/app
+ */
+function targetEnvironment(server, name) {
+  return server.state.orgs['target-org'].repos.find(repo => repo.name === 'app').environments.find(environment => environment.name === name);
+}
+
+describe('environments', () => {
+  let server;
+  beforeEach(async () => { server = await startMockServer(); });
+  afterEach(async () => { await server.stop(); });
+
+  it('plans environments and branch policies in a dry run without changing the target', async () => {
+    const { code, report } = await migrate(server, 'environments');
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'environment'), { 'app/production': 'planned', 'app/staging': 'planned' });
+    assert.deepEqual(statuses(report, 'branch-policy'), {
+      'app/production/branch:main': 'planned',
+      'app/production/tag:v*': 'planned',
+    });
+    assert.deepEqual(server.writes(), []);
+  });
+
+  it('creates environments with their protection rules and branch policies', async () => {
+    const { code, report } = await migrate(server, 'environments', { dryRun: false });
+
+    assert.equal(code, 0);
+    assert.ok(report.entries.every(entry => entry.status === 'succeeded'));
+    const production = targetEnvironment(server, 'production');
+    assert.equal(production.wait_timer, 30);
+    assert.equal(production.prevent_self_review, true);
+    assert.deepEqual(production.deployment_branch_policy, { protected_branches: false, custom_branch_policies: true });
+    assert.deepEqual(production.branch_policies.map(policy => `${policy.type}:${policy.name}`), ['branch:main', 'tag:v*']);
+    // the developers team does not exist in the target yet
+    const alice = server.state.users.find(user => user.login === 'alice');
+    assert.deepEqual(production.reviewers, [{ type: 'User', id: alice.id }]);
+    assert.ok(targetEnvironment(server, 'staging'));
+  });
+
+  it('resolves team reviewers created earlier in the same run', async () => {
+    const { code } = await migrate(server, 'all', { dryRun: false, args: ['--components', 'teams,environments'] });
+
+    assert.equal(code, 0);
+    const developers = server.state.orgs['target-org'].teams.find(team => team.slug === 'developers');
+    assert.deepEqual(
+      targetEnvironment(server, 'production').reviewers.find(reviewer => reviewer.type === 'Team'),
+      { type: 'Team', id: developers.id }
+    );
+  });
+
+  it('resolves team reviewers through the team mapping', async () => {
+    const mappingFile = path.join(createWorkDir(), 'teams.csv');
+    fs.writeFileSync(mappingFile, 'sourceTeam,targetTeam\ndevelopers,Engineering\n');
+
+    const { code } = await migrate(server, 'all', { dryRun: false, args: ['--components', 'teams,environments', '--team-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    const engineering = server.state.orgs['target-org'].teams.find(team => team.slug === 'engineering');
+    assert.deepEqual(
+      targetEnvironment(server, 'production').reviewers.find(reviewer => reviewer.type === 'Team'),
+      { type: 'Team', id: engineering.id }
+    );
+  });
+});
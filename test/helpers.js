@@ -0,0 +1,123 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {spawn} from 'child_process';
+import {fileURLToPath} from 'url';
+import {createMockServer} from './mock-server.js';
+
+const cliPath = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+// Runs of the CLI that take longer are stopped, so a hanging request fails the test instead of blocking the suite
+const CLI_TIMEOUT = 120 * 1000;
+
+// working directories and repositories created by the tests, removed when the test process exits
+const workDirs = [];
+process.on('exit', () => {
+  workDirs.forEach(workDir => fs.rmSync(workDir, { recursive: true, force: true }));
+});
+
+export const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/orgs.json', import.meta.url), 'utf-8'));
+
+/**
+ * Starts a mock server serving the fixture organizations.
+ * @param {Object} [settings] - Server settings passed to createMockServer
+ * @returns {Promise<Object>} Started mock server
+ */
+export async function startMockServer(settings = {}) {
+  const server = await createMockServer(fixtures, settings);
+  await server.start();
+  return server;
+}
+
+/**
+ * Creates an empty working directory for a CLI run, holding its state, logs and report.
+ * @returns {string} Path of the directory
+ */
+export function createWorkDir() {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-test-'));
+  workDirs.push(workDir);
+  return workDir;
+}
+
+/**
+ * Runs the CLI against the mock server, with the fixture tokens and every host pointed at the server.
+ * The environment of the test process is not passed on, so no real token or proxy is used.
+ * @param {Object} server - Started mock server
+ * @param {Array} args - Command line arguments
+ * @param {Object} [settings] - Run settings
+ * @param {string} [settings.cwd] - Working directory, a new one by default
+ * @param {Object} [settings.env] - Additional environment variables
+ * @returns {Promise<Object>} Exit code, output and working directory of the run
+ */
+export function runCli(server, args, { cwd = createWorkDir(), env = {} } = {}) {
+  const hostArgs = ['source', 'target'].flatMap(side => [
+    `--${side}-api-url`, server.url,
+    `--${side}-git-url`, `${server.url}/git`,
+    `--${side}-registry-url`, `${server.url}/registry/{type}`,
+  ]);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [cliPath, ...args, ...hostArgs, '--retry-delay', '10'], {
+      cwd,
+      env: {
+        PATH: process.env.PATH,
+        HOME: cwd,
+        SOURCE_TOKEN: fixtures.orgs['source-org'].token,
+        TARGET_TOKEN: fixtures.orgs['target-org'].token,
+        ...env,
+      },
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+    const timer = setTimeout(() => child.kill(), CLI_TIMEOUT);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr, cwd });
+    });
+  });
+}
+
+/**
+ * Migrates a component from source-org to target-org and reads the run report.
+ * @param {Object} server - Started mock server
+ * @param {string} component - Component to migrate, or all
+ * @param {Object} [settings] - Run settings
+ * @param {boolean} [settings.dryRun] - Whether to perform a dry run
+ * @param {Array} [settings.args] - Additional command line arguments
+ * @param {string} [settings.cwd] - Working directory, a new one by default
+ * @returns {Promise<Object>} Exit code, output, working directory and report of the run
+ */
+export async function migrate(server, component, { dryRun = true, args = [], cwd } = {}) {
+  const result = await runCli(server, [
+    'migrate', component,
+    '--source-org', 'source-org',
+    '--target-org', 'target-org',
+    `--dry-run=${dryRun}`,
+    ...args,
+  ], { cwd });
+  return { ...result, report: readReport(result.cwd) };
+}
+
+/**
+ * Reads the JSON report written by a run.
+ * @param {string} cwd - Working directory of the run
+ * @returns {Object|null} Report, or null if the run wrote none
+ */
+export function readReport(cwd) {
+  const reportPath = path.join(cwd, 'report.json');
+  return fs.existsSync(reportPath) ? JSON.parse(fs.readFileSync(reportPath, 'utf-8')) : null;
+}
+
+/**
+ * Gets the statuses of the report entries of a resource type, keyed by resource key.
+ * @param {Object} report - Run report
+ * @param {string} resource - Resource type, such as variable or team
+ * @returns {Object} Statuses by resource key
+ */
+export function statuses(report, resource) {
+  return Object.fromEntries(report.entries.filter(entry => entry.resource === resource).map(entry => [entry.key, entry.status]));
+}
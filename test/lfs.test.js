@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import {execFileSync} from 'child_process';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, migrate, statuses, createWorkDir, fixtures} from './helpers.js';
+
+// pushing LFS objects needs the git-lfs extension, which is not installed everywhere
+const hasGitLFS = (() => {
+  try {
+    execFileSync('git', ['lfs', 'version'], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+/**
+ * Creates a bare repository holding the fixture files of a repository in a single commit.
+ * @param {string} gitRoot - Directory served by the mock server
+ * @param {string} owner - Repository owner
+ * @param {Object} repo - Repository fixture with its contents
+ */
+function createBareRepository(gitRoot, owner, repo) {
+  const workDir = createWorkDir();
+  Object.entries(repo.contents).forEach(([filePath, content]) => {
+    fs.mkdirSync(path.dirname(path.join(workDir, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(workDir, filePath), content);
+  });
+  const env = { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+  execFileSync('git', ['init', '-q', '-b', 'main'], { cwd: workDir, env });
+  execFileSync('git', ['add', '-A'], { cwd: workDir, env });
+  execFileSync('git', ['commit', '-q', '-m', 'Initial commit'], { cwd: workDir, env });
+  execFileSync('git', ['clone', '-q', '--bare', workDir, path.join(gitRoot, owner, `${repo.name}.git`)]);
+}
+
+describe('lfs', () => {
+  let server;
+  beforeEach(async () => {
+    const gitRoot = createWorkDir();
+    Object.entries(fixtures.orgs).forEach(([owner, org]) => {
+      org.repos.filter(repo => repo.contents).forEach(repo => createBareRepository(gitRoot, owner, repo));
+    });
+    server = await startMockServer({ gitRoot });
+  });
+  afterEach(async () => { await server.stop(); });
+
+  it('plans the repositories using LFS in a dry run without changing the target', async () => {
+    const { code, report } = await migrate(server, 'lfs');
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'lfs-objects'), { app: 'planned' });
+    assert.deepEqual(server.writes(), []);
+  });
+
+  it('reports repositories whose LFS usage cannot be checked', async () => {
+    server.injectFailure({ method: 'GET', path: '/repos/source-org/legacy/contents', status: 500, times: 10 });
+
+    const { code, report } = await migrate(server, 'lfs');
+
+    assert.equal(code, 1);
+    assert.deepEqual(statuses(report, 'repository'), { legacy: 'failed' });
+    assert.deepEqual(statuses(report, 'lfs-objects'), { app: 'planned' });
+  });
+
+  it('pushes the LFS objects of the source repository to the target repository', { skip: !hasGitLFS && 'git-lfs is not installed' }, async () => {
+    const { code, report } = await migrate(server, 'lfs', { dryRun: false });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'lfs-objects'), { app: 'succeeded' });
+    assert.deepEqual(
+      server.state.orgs['target-org'].repos.find(repo => repo.name === 'app').lfs,
+      server.state.orgs['source-org'].repos.find(repo => repo.name === 'app').lfs
+    );
+  });
+});
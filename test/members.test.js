@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, migrate, statuses, createWorkDir} from './helpers.js';
+
+describe('org-members', () => {
+  let server;
+  beforeEach(async () => { server = await startMockServer(); });
+  afterEach(async () => { await server.stop(); });
+
+  it('plans invitations and role changes in a dry run without changing the target', async () => {
+    const { code, report } = await migrate(server, 'org-members');
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'org-member'), { alice: 'planned' });
+    assert.deepEqual(statuses(report, 'org-invitation'), {
+      bob: 'planned',
+      carol: 'skipped',
+      dave: 'planned',
+      'erin@example.com': 'planned',
+    });
+    assert.deepEqual(report.pendingInvitations.map(invitation => invitation.key), ['carol']);
+    assert.deepEqual(server.writes(), []);
+  });
+
+  it('invites users with their role and tracks the pending invitations in the report', async () => {
+    const { code, report } = await migrate(server, 'org-members', { dryRun: false });
+
+    assert.equal(code, 0);
+    assert.ok(report.entries.every(entry => ['succeeded', 'skipped'].includes(entry.status)));
+    const target = server.state.orgs['target-org'];
+    assert.deepEqual(target.members.find(member => member.login === 'alice'), { login: 'alice', role: 'admin' });
+    assert.deepEqual(target.invitations.map(({ login, email, role }) => ({ login, email, role })), [
+      { login: 'carol', email: null, role: 'direct_member' },
+      { login: 'bob', email: null, role: 'direct_member' },
+      { login: 'dave', email: null, role: 'direct_member' },
+      { login: null, email: 'Erin@example.com', role: 'billing_manager' },
+    ]);
+    assert.deepEqual(report.pendingInvitations.map(invitation => invitation.key), ['bob', 'carol', 'dave', 'erin@example.com']);
+  });
+
+  it('never demotes admins of the target who are members in the source', async () => {
+    server.state.orgs['target-org'].members.push({ login: 'bob', role: 'admin' });
+
+    const { code, report } = await migrate(server, 'org-members', { dryRun: false });
+
+    assert.equal(code, 0);
+    assert.deepEqual(report.entries.find(entry => entry.key === 'bob'), {
+      component: 'org-members', resource: 'org-member', key: 'bob', action: 'skip', status: 'skipped', reason: 'admin in target', error: null,
+    });
+    assert.deepEqual(server.state.orgs['target-org'].members.find(member => member.login === 'bob'), { login: 'bob', role: 'admin' });
+  });
+
+  it('invites billing managers that are not billing managers of the target yet', async () => {
+    const { code, cwd, report } = await migrate(server, 'org-members', { dryRun: false, args: ['--billing-managers', 'dave,frank'] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(report.entries.find(entry => entry.key === 'frank'), {
+      component: 'org-members', resource: 'org-member', key: 'frank', action: 'skip', status: 'skipped', reason: 'up to date', error: null,
+    });
+    assert.equal(server.state.orgs['target-org'].invitations.find(invitation => invitation.login === 'dave').role, 'billing_manager');
+    assert.match(fs.readFileSync(path.join(cwd, 'report.md'), 'utf-8'), /### Pending invitations[\s\S]*\| org-members \| org-invitation \| dave \|/);
+  });
+
+  it('invites source members under their mapped usernames', async () => {
+    const mappingFile = path.join(createWorkDir(), 'usernames.csv');
+    fs.writeFileSync(mappingFile, 'sourceUsername,targetUsername\nbob,frank\n');
+
+    const { code, report } = await migrate(server, 'org-members', { dryRun: false, args: ['--username-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    assert.equal(statuses(report, 'org-invitation').frank, 'succeeded');
+    const invitations = server.state.orgs['target-org'].invitations;
+    assert.equal(invitations.find(invitation => invitation.login === 'frank').role, 'direct_member');
+    assert.ok(!invitations.some(invitation => invitation.login === 'bob'));
+  });
+});
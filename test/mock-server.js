@@ -0,0 +1,1345 @@
+import http from 'http';
+import crypto from 'crypto';
+import {spawn} from 'child_process';
+import sodium from 'libsodium-wrappers';
+
+// Secret scopes served by the secrets endpoints, as in migrations/secrets.js
+const SECRET_SCOPES = ['actions', 'dependabot', 'codespaces'];
+
+// Repository permissions granted by each team role, as returned by the teams API
+const ROLE_PERMISSIONS = {
+  pull: ['pull'],
+  triage: ['pull', 'triage'],
+  push: ['pull', 'triage', 'push'],
+  maintain: ['pull', 'triage', 'push', 'maintain'],
+  admin: ['pull', 'triage', 'push', 'maintain', 'admin'],
+};
+const ROLE_NAMES = { pull: 'read', triage: 'triage', push: 'write', maintain: 'maintain', admin: 'admin' };
+
+/**
+ * Creates an offline stand-in for the GitHub REST and GraphQL APIs, the Maven and npm registries,
+ * git over HTTP and the LFS batch API, serving the organizations described by JSON fixtures.
+ * Writes change the in-memory state, so tests can check what a migration did to the target.
+ * File contents, release assets, package files and LFS objects are stored as UTF-8 text.
+ * @param {Object} fixtures - Users and organizations, see test/fixtures/orgs.json
+ * @param {Object} [settings] - Server settings
+ * @param {string} [settings.gitRoot] - Directory holding bare repositories as OWNER/REPO.git, served to git clients
+ * @returns {Promise<Object>} Mock server, call start() to listen on a free port
+ */
+export async function createMockServer(fixtures, { gitRoot } = {}) {
+  await sodium.ready;
+  const keyPair = sodium.crypto_box_keypair();
+  const publicKey = { key_id: 'mock-key', key: sodium.to_base64(keyPair.publicKey, sodium.base64_variants.ORIGINAL) };
+
+  const state = createState(fixtures);
+  const requests = [];
+  const failures = [];
+  const routes = createRoutes(state, publicKey);
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, { state, routes, requests, failures, gitRoot }).catch((error) => {
+      send(res, error.status || 500, { message: error.message }, error.headers);
+    });
+  });
+
+  return {
+    url: null,
+    state,
+    requests,
+
+    /**
+     * Starts listening on a free port of the loopback interface.
+     * @returns {Promise<string>} Base URL of the server
+     */
+    async start() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      this.url = `http://127.0.0.1:${server.address().port}`;
+      return this.url;
+    },
+
+    /**
+     * Stops the server and closes open connections.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    },
+
+    /**
+     * Answers the next requests matching a method and path with an error instead of routing them.
+     * @param {Object} failure - Failure to inject
+     * @param {string} [failure.method] - Request method, any method when omitted
+     * @param {string|RegExp} failure.path - Request path, without the query
+     * @param {number} failure.status - Response status
+     * @param {Object} [failure.headers] - Response headers, such as retry-after
+     * @param {number} [failure.times] - Number of requests to fail
+     */
+    injectFailure({ method, path, status, headers = {}, times = 1 }) {
+      failures.push({ method, path, status, headers, times });
+    },
+
+    /**
+     * Gets the requests that changed the state, leaving out reads and GraphQL queries.
+     * @returns {Array} Requests with method and path
+     */
+    writes() {
+      return requests.filter(request => !['GET', 'HEAD'].includes(request.method) && request.path !== '/graphql' && !request.path.endsWith('/objects/batch'));
+    },
+
+    /**
+     * Decrypts a secret value sealed with the public key of the server.
+     * @param {string} encryptedValue - Base64 encoded sealed box
+     * @returns {string} Secret value
+     */
+    decryptSecret(encryptedValue) {
+      const sealed = sodium.from_base64(encryptedValue, sodium.base64_variants.ORIGINAL);
+      return sodium.to_string(sodium.crypto_box_seal_open(sealed, keyPair.publicKey, keyPair.privateKey));
+    },
+  };
+}
+
+/**
+ * Creates the server state from the fixtures, assigning IDs and filling in defaults.
+ * @param {Object} fixtures - Users and organizations
+ * @returns {Object} State with users and organizations by login
+ */
+function createState(fixtures) {
+  let lastId = 1000;
+  const nextId = () => ++lastId;
+  const state = structuredClone(fixtures);
+
+  state.users = (state.users || []).map(user => ({ id: nextId(), type: 'User', ...user }));
+  state.enterprises = state.enterprises || {};
+  Object.entries(state.orgs).forEach(([login, org]) => {
+    org.login = login;
+    org.variables = org.variables || [];
+    org.externalGroups = org.externalGroups || [];
+    org.teamSyncGroups = org.teamSyncGroups || [];
+    org.members = org.members || [];
+    org.identities = org.identities || [];
+    org.verifiedEmails = org.verifiedEmails || {};
+    org.invitations = (org.invitations || []).map(invitation => ({ id: nextId(), login: null, email: null, ...invitation }));
+    org.securityManagers = org.securityManagers || [];
+    org.secrets = { ...Object.fromEntries(SECRET_SCOPES.map(scope => [scope, []])), ...org.secrets };
+    org.teams = (org.teams || []).map(team => ({
+      id: nextId(),
+      slug: slugify(team.name),
+      description: '',
+      privacy: 'closed',
+      permission: 'pull',
+      parent: null,
+      members: [],
+      groups: [],
+      ...team,
+      repositories: (team.repositories || []).map(repo => ({ owner: login, ...repo })),
+    }));
+    org.customRepositoryRoles = (org.customRepositoryRoles || []).map(role => ({ id: nextId(), description: '', permissions: [], ...role }));
+    org.packages = (org.packages || []).map(pkg => ({
+      id: nextId(),
+      visibility: 'private',
+      repository: null,
+      ...pkg,
+      versions: (pkg.versions || []).map(version => ({ id: nextId(), files: {}, ...version })),
+    }));
+    org.repos = (org.repos || []).map(repo => ({
+      id: nextId(),
+      visibility: 'private',
+      archived: false,
+      topics: [],
+      properties: {},
+      variables: [],
+      tags: [],
+      contents: {},
+      lfs: {},
+      collaborators: [],
+      ...repo,
+      invitations: (repo.invitations || []).map(invitation => ({ id: nextId(), ...invitation })),
+      secrets: { ...Object.fromEntries(SECRET_SCOPES.map(scope => [scope, []])), ...repo.secrets },
+      releases: (repo.releases || []).map(release => ({
+        id: nextId(),
+        name: release.tag_name,
+        body: '',
+        draft: false,
+        prerelease: false,
+        latest: false,
+        ...release,
+        assets: (release.assets || []).map(asset => ({ id: nextId(), label: null, content_type: 'application/octet-stream', ...asset })),
+      })),
+    }));
+  });
+
+  // reviewers refer to users and teams by ID, as the environments API does
+  Object.values(state.orgs).forEach(org => {
+    org.repos.forEach(repo => {
+      repo.environments = (repo.environments || []).map(environment => ({
+        id: nextId(),
+        wait_timer: 0,
+        prevent_self_review: false,
+        deployment_branch_policy: null,
+        variables: [],
+        secrets: [],
+        ...environment,
+        reviewers: (environment.reviewers || []).map(({ type, login, slug }) => ({
+          type,
+          id: type === 'Team'
+            ? org.teams.find(team => team.slug === slug).id
+            : state.users.find(user => user.login === login).id,
+        })),
+        branch_policies: (environment.branch_policies || []).map(policy => ({ id: nextId(), type: 'branch', ...policy })),
+      }));
+    });
+  });
+
+  Object.defineProperty(state, 'nextId', { value: nextId });
+  return state;
+}
+
+/**
+ * Handles a request: injected failures first, then git and the API routes.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} server - State, routes, request log, injected failures and git root of the server
+ */
+async function handleRequest(req, res, { state, routes, requests, failures, gitRoot }) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  requests.push({ method: req.method, path: url.pathname });
+
+  const failure = failures.find(item =>
+    item.times > 0 &&
+    (!item.method || item.method === req.method) &&
+    (item.path instanceof RegExp ? item.path.test(url.pathname) : item.path === url.pathname)
+  );
+  if (failure) {
+    failure.times--;
+    req.resume();
+    send(res, failure.status, { message: 'Injected failure' }, failure.headers);
+    return;
+  }
+
+  const git = url.pathname.match(/^\/git\/([^/]+)\/([^/]+\.git)(\/.*)$/);
+  if (git && !git[3].startsWith('/info/lfs/')) {
+    const org = authorize(req, state, decodeURIComponent(git[1]));
+    serveGit(req, res, url, gitRoot, `/${git[1]}/${git[2]}${git[3]}`, org.login);
+    return;
+  }
+
+  for (const route of routes) {
+    const match = route.method === req.method && url.pathname.match(route.pattern);
+    if (!match) {
+      continue;
+    }
+    const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+    const orgName = params.org || params.owner;
+    const org = orgName ? authorize(req, state, orgName.replace(/^@/, '')) : authorize(req, state);
+    const body = await readBody(req);
+    const result = await route.handler({
+      params,
+      query: url.searchParams,
+      headers: req.headers,
+      body,
+      json: body.length > 0 && /json/.test(req.headers['content-type'] || '') ? JSON.parse(body.toString('utf-8')) : {},
+      baseUrl: `http://${req.headers.host}`,
+      org,
+    });
+    send(res, result.status || 200, result.body, result.headers);
+    return;
+  }
+
+  req.resume();
+  send(res, 404, { message: 'Not Found' });
+}
+
+/**
+ * Checks the token of a request against the token of an organization, or of any organization
+ * for endpoints that do not belong to one. Tokens are accepted in the token, Bearer and Basic schemes.
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} state - Server state
+ * @param {string} [orgName] - Organization the request belongs to
+ * @returns {Object|null} Organization, or null for endpoints that do not belong to one
+ * @throws {Error} If the organization does not exist or the token does not match
+ */
+function authorize(req, state, orgName) {
+  const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+  const token = /^basic$/i.test(scheme)
+    ? Buffer.from(credentials || '', 'base64').toString('utf-8').split(':').slice(1).join(':')
+    : credentials;
+
+  const orgs = orgName ? [state.orgs[orgName]] : Object.values(state.orgs);
+  if (!orgs[0]) {
+    throw httpError(404, `Organization ${orgName} not found`);
+  }
+  if (!token || !orgs.some(org => org.token === token)) {
+    throw httpError(401, 'Bad credentials', { 'WWW-Authenticate': 'Basic realm="mock"', 'LFS-Authenticate': 'Basic realm="mock"' });
+  }
+  return orgName ? orgs[0] : null;
+}
+
+/**
+ * Serves a git request by running git http-backend as a CGI script.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Request URL
+ * @param {string} gitRoot - Directory holding the bare repositories
+ * @param {string} pathInfo - Path of the request below the git root
+ * @param {string} remoteUser - Authenticated organization, which enables pushes
+ */
+function serveGit(req, res, url, gitRoot, pathInfo, remoteUser) {
+  if (!gitRoot) {
+    req.resume();
+    send(res, 404, { message: 'No git repositories are served' });
+    return;
+  }
+
+  const child = spawn('git', ['http-backend'], {
+    env: {
+      PATH: process.env.PATH,
+      GIT_PROJECT_ROOT: gitRoot,
+      GIT_HTTP_EXPORT_ALL: '1',
+      PATH_INFO: pathInfo,
+      REQUEST_METHOD: req.method,
+      QUERY_STRING: url.search.slice(1),
+      CONTENT_TYPE: req.headers['content-type'] || '',
+      ...(req.headers['content-length'] ? { CONTENT_LENGTH: req.headers['content-length'] } : {}),
+      HTTP_CONTENT_ENCODING: req.headers['content-encoding'] || '',
+      GIT_PROTOCOL: req.headers['git-protocol'] || '',
+      REMOTE_USER: remoteUser,
+      REMOTE_ADDR: '127.0.0.1',
+    },
+  });
+  req.pipe(child.stdin);
+
+  // the CGI output starts with headers, separated from the body by an empty line
+  let head = Buffer.alloc(0);
+  child.stdout.on('data', (chunk) => {
+    if (res.headersSent) {
+      res.write(chunk);
+      return;
+    }
+    head = Buffer.concat([head, chunk]);
+    const end = head.indexOf('\r\n\r\n');
+    if (end === -1) {
+      return;
+    }
+    const headers = {};
+    let status = 200;
+    head.subarray(0, end).toString('utf-8').split('\r\n').forEach(line => {
+      const [name, ...value] = line.split(':');
+      if (name.toLowerCase() === 'status') {
+        status = parseInt(value.join(':'), 10);
+      } else {
+        headers[name] = value.join(':').trim();
+      }
+    });
+    res.writeHead(status, headers);
+    res.write(head.subarray(end + 4));
+  });
+  child.on('close', () => {
+    if (!res.headersSent) {
+      send(res, 500, { message: 'git http-backend failed' });
+      return;
+    }
+    res.end();
+  });
+}
+
+/**
+ * Reads the body of a request.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Body
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Sends a response. Objects are sent as JSON, strings and buffers as they are.
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {*} [body] - Response body
+ * @param {Object} [headers] - Response headers
+ */
+function send(res, status, body, headers = {}) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  if (body === undefined || body === null) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+  const raw = typeof body === 'string' || Buffer.isBuffer(body);
+  const content = raw ? body : JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': raw ? 'application/octet-stream' : 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(content),
+    ...headers,
+  });
+  res.end(content);
+}
+
+/**
+ * Creates an error answered with an HTTP status.
+ * @param {number} status - Status code
+ * @param {string} message - Error message
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} Error with status
+ */
+function httpError(status, message, headers = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Builds the slug of a team from its name.
+ * @param {string} name - Team name
+ * @returns {string} Slug
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Finds a repository of an organization.
+ * @param {Object} org - Organization
+ * @param {string} name - Repository name
+ * @returns {Object} Repository
+ * @throws {Error} If the repository does not exist
+ */
+function findRepo(org, name) {
+  const repo = org.repos.find(item => item.name === name);
+  if (!repo) {
+    throw httpError(404, `Repository ${org.login}/${name} not found`);
+  }
+  return repo;
+}
+
+/**
+ * Finds an item by name in a list.
+ * @param {Array} items - Items with a name
+ * @param {string} name - Name
+ * @param {string} kind - Kind of item, used in the error message
+ * @returns {Object} Item
+ * @throws {Error} If the item does not exist
+ */
+function findNamed(items, name, kind) {
+  const item = items.find(candidate => candidate.name === name);
+  if (!item) {
+    throw httpError(404, `${kind} ${name} not found`);
+  }
+  return item;
+}
+
+/**
+ * Gets the built-in permission a team role grants, resolving custom repository roles to their base role.
+ * @param {Object} org - Organization owning the repository
+ * @param {string} permission - Built-in permission or custom role name
+ * @returns {string|null} Built-in permission, or null if the organization has no such role
+ */
+function basePermission(org, permission) {
+  if (ROLE_PERMISSIONS[permission]) {
+    return permission;
+  }
+  const role = org.customRepositoryRoles.find(item => item.name === permission);
+  return role ? Object.keys(ROLE_NAMES).find(key => ROLE_NAMES[key] === role.base_role) : null;
+}
+
+/**
+ * Answers the GraphQL queries for organization members, with their emails, and the external
+ * identities of an organization or enterprise, all on a single page.
+ * @param {Object} state - Server state
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Object} Query data
+ */
+function resolveIdentityQuery(state, query, variables) {
+  const page = (nodes) => ({ pageInfo: { hasNextPage: false, endCursor: null }, nodes });
+  const externalIdentities = (identities) => page(identities.map(({ login, nameId, scimUsername, emails = [] }) => ({
+    user: login ? { login } : null,
+    samlIdentity: nameId ? { nameId, emails: emails.map(value => ({ value })) } : null,
+    scimIdentity: scimUsername ? { username: scimUsername, emails: emails.map(value => ({ value })) } : null,
+  })));
+
+  if (/listEnterpriseIdentities/.test(query)) {
+    const enterprise = state.enterprises[variables.enterprise];
+    return { enterprise: enterprise ? { ownerInfo: { samlIdentityProvider: { externalIdentities: externalIdentities(enterprise.identities) } } } : null };
+  }
+  const org = state.orgs[variables.org];
+  if (!org) {
+    return { organization: null };
+  }
+  if (/listOrganizationIdentities/.test(query)) {
+    return { organization: { samlIdentityProvider: org.identities.length > 0 ? { externalIdentities: externalIdentities(org.identities) } : null } };
+  }
+  return {
+    organization: {
+      membersWithRole: page(org.members.filter(member => member.role !== 'billing_manager').map(({ login }) => ({
+        login,
+        email: (state.users.find(user => user.login === login) || {}).email || '',
+        organizationVerifiedDomainEmails: org.verifiedEmails[login] || [],
+      }))),
+    },
+  };
+}
+
+/**
+ * Finds a team of an organization by slug.
+ * @param {Object} org - Organization
+ * @param {string} slug - Team slug
+ * @returns {Object} Team
+ * @throws {Error} If the team does not exist
+ */
+function findTeam(org, slug) {
+  const team = org.teams.find(item => item.slug === slug);
+  if (!team) {
+    throw httpError(404, `Team ${slug} not found`);
+  }
+  return team;
+}
+
+/**
+ * Gets the secrets of a scope, rejecting unknown scopes.
+ * @param {Object} owner - Organization or repository
+ * @param {string} scope - Secret scope
+ * @returns {Array} Secrets
+ * @throws {Error} If the scope is not known
+ */
+function scopeSecrets(owner, scope) {
+  if (!SECRET_SCOPES.includes(scope)) {
+    throw httpError(404, 'Not Found');
+  }
+  return owner.secrets[scope];
+}
+
+/**
+ * Adds a named item to a list, rejecting duplicates as the variables API does.
+ * @param {Array} items - Items with a name
+ * @param {Object} item - Item to add
+ * @returns {Object} Created response
+ * @throws {Error} If an item with the same name exists
+ */
+function createNamed(items, item) {
+  if (items.some(existing => existing.name === item.name)) {
+    throw httpError(409, `${item.name} already exists`);
+  }
+  items.push(item);
+  return { status: 201, body: {} };
+}
+
+/**
+ * Stores a secret sealed with the public key of the server.
+ * @param {Array} secrets - Secrets of the scope
+ * @param {string} name - Secret name
+ * @param {Object} json - Request body
+ * @param {Object} publicKey - Public key of the server
+ * @returns {Object} Created or updated response
+ * @throws {Error} If the secret was not sealed with the public key of the server
+ */
+function storeSecret(secrets, name, json, publicKey) {
+  if (json.key_id !== publicKey.key_id || !json.encrypted_value) {
+    throw httpError(422, 'Secret must be encrypted with the public key');
+  }
+  const existing = secrets.find(secret => secret.name === name);
+  const secret = { name, visibility: json.visibility, selected_repository_ids: json.selected_repository_ids, encrypted_value: json.encrypted_value };
+  if (existing) {
+    Object.assign(existing, secret);
+    return { status: 204 };
+  }
+  secrets.push(secret);
+  return { status: 201, body: {} };
+}
+
+/**
+ * Renders a repository as the repositories API returns it.
+ * @param {Object} org - Owner organization
+ * @param {Object} repo - Repository
+ * @returns {Object} Repository
+ */
+function renderRepo(org, repo) {
+  return {
+    id: repo.id,
+    name: repo.name,
+    full_name: `${org.login}/${repo.name}`,
+    owner: { login: org.login, type: 'Organization' },
+    private: repo.visibility !== 'public',
+    visibility: repo.visibility,
+    archived: repo.archived,
+    topics: repo.topics,
+    default_branch: 'main',
+  };
+}
+
+/**
+ * Renders a team as the teams API returns it.
+ * @param {Object} org - Organization
+ * @param {Object} team - Team
+ * @returns {Object} Team
+ */
+function renderTeam(org, team) {
+  const parent = team.parent ? org.teams.find(item => item.slug === team.parent) : null;
+  return {
+    id: team.id,
+    name: team.name,
+    slug: team.slug,
+    description: team.description,
+    privacy: team.privacy,
+    permission: team.permission,
+    parent: parent ? { id: parent.id, name: parent.name, slug: parent.slug } : null,
+  };
+}
+
+/**
+ * Renders an environment with its protection rules as the environments API returns it.
+ * @param {Object} state - Server state
+ * @param {Object} org - Owner organization
+ * @param {Object} environment - Environment
+ * @returns {Object} Environment
+ */
+function renderEnvironment(state, org, environment) {
+  const rules = [];
+  if (environment.wait_timer > 0) {
+    rules.push({ id: environment.id + 1, type: 'wait_timer', wait_timer: environment.wait_timer });
+  }
+  if (environment.reviewers.length > 0) {
+    rules.push({
+      id: environment.id + 2,
+      type: 'required_reviewers',
+      prevent_self_review: environment.prevent_self_review,
+      reviewers: environment.reviewers.map(({ type, id }) => {
+        if (type === 'Team') {
+          const team = org.teams.find(item => item.id === id);
+          return { type, reviewer: { id, name: team.name, slug: team.slug } };
+        }
+        return { type, reviewer: { id, login: state.users.find(user => user.id === id).login } };
+      }),
+    });
+  }
+  return {
+    id: environment.id,
+    name: environment.name,
+    protection_rules: rules,
+    deployment_branch_policy: environment.deployment_branch_policy,
+  };
+}
+
+/**
+ * Renders a release with its assets as the releases API returns it.
+ * @param {string} baseUrl - Base URL of the server
+ * @param {Object} org - Owner organization
+ * @param {Object} repo - Repository
+ * @param {Object} release - Release
+ * @returns {Object} Release
+ */
+function renderRelease(baseUrl, org, repo, release) {
+  return {
+    id: release.id,
+    tag_name: release.tag_name,
+    name: release.name,
+    body: release.body,
+    draft: release.draft,
+    prerelease: release.prerelease,
+    upload_url: `${baseUrl}/uploads/repos/${org.login}/${repo.name}/releases/${release.id}/assets{?name,label}`,
+    assets: release.assets.map(asset => renderAsset(baseUrl, org, repo, asset)),
+  };
+}
+
+/**
+ * Renders a release asset as the releases API returns it.
+ * @param {string} baseUrl - Base URL of the server
+ * @param {Object} org - Owner organization
+ * @param {Object} repo - Repository
+ * @param {Object} asset - Release asset
+ * @returns {Object} Release asset
+ */
+function renderAsset(baseUrl, org, repo, asset) {
+  return {
+    id: asset.id,
+    name: asset.name,
+    label: asset.label,
+    content_type: asset.content_type,
+    size: Buffer.byteLength(asset.content),
+    url: `${baseUrl}/repos/${org.login}/${repo.name}/releases/assets/${asset.id}`,
+  };
+}
+
+/**
+ * Renders a package as the packages API returns it.
+ * @param {Object} org - Owner organization
+ * @param {Object} pkg - Package
+ * @returns {Object} Package
+ */
+function renderPackage(org, pkg) {
+  const repo = pkg.repository ? org.repos.find(item => item.name === pkg.repository) : null;
+  return {
+    id: pkg.id,
+    name: pkg.name,
+    package_type: pkg.package_type,
+    visibility: pkg.visibility,
+    version_count: pkg.versions.length,
+    repository: repo ? renderRepo(org, repo) : null,
+  };
+}
+
+/**
+ * Finds a package of an organization, optionally creating it for uploads.
+ * @param {Object} state - Server state
+ * @param {Object} org - Organization
+ * @param {string} type - Package type
+ * @param {string} name - Package name
+ * @param {string|null} [repository] - Repository of a package created by an upload
+ * @returns {Object} Package
+ * @throws {Error} If the package does not exist and no repository is given
+ */
+function findPackage(state, org, type, name, repository) {
+  let pkg = org.packages.find(item => item.package_type === type && item.name === name);
+  if (!pkg && repository !== undefined) {
+    pkg = { id: state.nextId(), name, package_type: type, visibility: 'private', repository, versions: [] };
+    org.packages.push(pkg);
+  }
+  if (!pkg) {
+    throw httpError(404, `Package ${name} not found`);
+  }
+  return pkg;
+}
+
+/**
+ * Finds a version of a package, optionally creating it for uploads.
+ * @param {Object} state - Server state
+ * @param {Object} pkg - Package
+ * @param {string} name - Version name
+ * @param {boolean} [create] - Whether to create a missing version
+ * @returns {Object} Package version
+ * @throws {Error} If the version does not exist
+ */
+function findVersion(state, pkg, name, create = false) {
+  let version = pkg.versions.find(item => item.name === name);
+  if (!version && create) {
+    version = { id: state.nextId(), name, files: {} };
+    pkg.versions.push(version);
+  }
+  if (!version) {
+    throw httpError(404, `Version ${name} of ${pkg.name} not found`);
+  }
+  return version;
+}
+
+/**
+ * Splits a Maven registry path into the package name, version and file name.
+ * The group may be given with dots or with slashes.
+ * @param {string} filePath - Path below OWNER/REPO
+ * @returns {Object} Package name, version and file
+ */
+function parseMavenPath(filePath) {
+  const segments = filePath.split('/').filter(Boolean);
+  const [artifact, version, file] = segments.slice(-3);
+  return { name: `${segments.slice(0, -3).join('.')}.${artifact}`, version, file };
+}
+
+/**
+ * Creates the route table of the server.
+ * @param {Object} state - Server state
+ * @param {Object} publicKey - Public key secrets are sealed with
+ * @returns {Array} Routes with method, pattern, parameter names and handler
+ */
+function createRoutes(state, publicKey) {
+  const routes = [];
+  const route = (method, path, handler) => {
+    const names = [];
+    const pattern = path.replace(/[:*](\w+)/g, (token, name) => {
+      names.push(name);
+      return token.startsWith('*') ? '(.*)' : '([^/]+)';
+    });
+    routes.push({ method, pattern: new RegExp(`^${pattern}$`), names, handler });
+  };
+
+  // Repositories
+  route('GET', '/orgs/:org/repos', ({ org }) => ({ body: org.repos.map(repo => renderRepo(org, repo)) }));
+  route('GET', '/orgs/:org/properties/values', ({ org }) => ({
+    body: org.repos.map(repo => ({
+      repository_id: repo.id,
+      repository_name: repo.name,
+      repository_full_name: `${org.login}/${repo.name}`,
+      properties: Object.entries(repo.properties).map(([property_name, value]) => ({ property_name, value })),
+    })),
+  }));
+  route('GET', '/repos/:owner/:repo', ({ org, params }) => ({ body: renderRepo(org, findRepo(org, params.repo)) }));
+
+  // Direct collaborators and repository invitations, organization members are added without an invitation
+  route('GET', '/repos/:owner/:repo/collaborators', ({ org, params }) => ({
+    body: findRepo(org, params.repo).collaborators.map(({ login, role_name }) => ({ ...state.users.find(user => user.login === login), role_name })),
+  }));
+  route('GET', '/repos/:owner/:repo/invitations', ({ org, params }) => ({
+    body: findRepo(org, params.repo).invitations.map(({ id, invitee, permissions }) => ({
+      id,
+      invitee: state.users.find(user => user.login === invitee),
+      permissions,
+    })),
+  }));
+  route('PUT', '/repos/:owner/:repo/collaborators/:username', ({ org, params, json }) => {
+    const repo = findRepo(org, params.repo);
+    const permission = json.permission || 'push';
+    if (!basePermission(org, permission)) {
+      throw httpError(422, `Role ${permission} does not exist`);
+    }
+    if (!state.users.some(user => user.login === params.username)) {
+      throw httpError(404, `User ${params.username} not found`);
+    }
+    const roleName = ROLE_NAMES[permission] || permission;
+    const collaborator = repo.collaborators.find(item => item.login === params.username);
+    if (collaborator) {
+      collaborator.role_name = roleName;
+      return { status: 204 };
+    }
+    if (org.members.some(member => member.login === params.username && member.role !== 'billing_manager')) {
+      repo.collaborators.push({ login: params.username, role_name: roleName });
+      return { status: 204 };
+    }
+    const invitation = { id: state.nextId(), invitee: params.username, permissions: roleName };
+    repo.invitations.push(invitation);
+    return { status: 201, body: invitation };
+  });
+  // the root directory is requested without a trailing slash
+  route('GET', '/repos/:owner/:repo/contents*path', ({ org, params, headers }) => {
+    const repo = findRepo(org, params.repo);
+    const paths = Object.keys(repo.contents);
+    if (paths.length === 0) {
+      throw httpError(404, 'This repository is empty.');
+    }
+    const path = params.path.replace(/^\/|\/$/g, '');
+    if (path in repo.contents) {
+      const content = repo.contents[path];
+      if (/raw/.test(headers.accept || '')) {
+        return { body: content, headers: { 'Content-Type': 'text/plain; charset=utf-8' } };
+      }
+      return { body: { type: 'file', name: path.split('/').pop(), path, encoding: 'base64', content: Buffer.from(content).toString('base64') } };
+    }
+    const prefix = path ? `${path}/` : '';
+    const children = new Map();
+    paths.filter(item => item.startsWith(prefix)).forEach(item => {
+      const [name, ...rest] = item.slice(prefix.length).split('/');
+      children.set(name, { type: rest.length > 0 ? 'dir' : 'file', name, path: `${prefix}${name}` });
+    });
+    if (children.size === 0) {
+      throw httpError(404, 'Not Found');
+    }
+    return { body: [...children.values()] };
+  });
+
+  // Variables
+  route('GET', '/orgs/:org/actions/variables', ({ org }) => ({ body: { total_count: org.variables.length, variables: org.variables } }));
+  route('POST', '/orgs/:org/actions/variables', ({ org, json }) =>
+    createNamed(org.variables, {
+      name: json.name,
+      value: json.value,
+      visibility: json.visibility,
+      ...(json.selected_repository_ids ? { selected_repository_ids: json.selected_repository_ids } : {}),
+    })
+  );
+  route('GET', '/orgs/:org/actions/variables/:name/repositories', ({ org, params }) => {
+    const variable = findNamed(org.variables, params.name, 'Variable');
+    const repos = org.repos.filter(repo =>
+      (variable.repositories || []).includes(repo.name) || (variable.selected_repository_ids || []).includes(repo.id)
+    );
+    return { body: { total_count: repos.length, repositories: repos.map(repo => renderRepo(org, repo)) } };
+  });
+  route('GET', '/repos/:owner/:repo/actions/variables', ({ org, params }) => {
+    const { variables } = findRepo(org, params.repo);
+    return { body: { total_count: variables.length, variables } };
+  });
+  route('POST', '/repos/:owner/:repo/actions/variables', ({ org, params, json }) =>
+    createNamed(findRepo(org, params.repo).variables, { name: json.name, value: json.value })
+  );
+  route('GET', '/repos/:owner/:repo/environments/:environment/variables', ({ org, params }) => {
+    const { variables } = findNamed(findRepo(org, params.repo).environments, params.environment, 'Environment');
+    return { body: { total_count: variables.length, variables } };
+  });
+  route('POST', '/repos/:owner/:repo/environments/:environment/variables', ({ org, params, json }) =>
+    createNamed(findNamed(findRepo(org, params.repo).environments, params.environment, 'Environment').variables, { name: json.name, value: json.value })
+  );
+  route('GET', '/repos/:owner/:repo/environments/:environment/secrets', ({ org, params }) => {
+    const { secrets } = findNamed(findRepo(org, params.repo).environments, params.environment, 'Environment');
+    return { body: { total_count: secrets.length, secrets: secrets.map(({ name }) => ({ name })) } };
+  });
+
+  // Environments
+  route('GET', '/repos/:owner/:repo/environments', ({ org, params }) => {
+    const { environments } = findRepo(org, params.repo);
+    return { body: { total_count: environments.length, environments: environments.map(environment => renderEnvironment(state, org, environment)) } };
+  });
+  route('GET', '/repos/:owner/:repo/environments/:environment', ({ org, params }) => ({
+    body: renderEnvironment(state, org, findNamed(findRepo(org, params.repo).environments, params.environment, 'Environment')),
+  }));
+  route('PUT', '/repos/:owner/:repo/environments/:environment', ({ org, params, json }) => {
+    const repo = findRepo(org, params.repo);
+    (json.reviewers || []).forEach(({ type, id }) => {
+      const exists = type === 'Team' ? org.teams.some(team => team.id === id) : state.users.some(user => user.id === id);
+      if (!exists) {
+        throw httpError(422, `Reviewer ${type} ${id} not found`);
+      }
+    });
+    let environment = repo.environments.find(item => item.name === params.environment);
+    if (!environment) {
+      environment = { id: state.nextId(), name: params.environment, wait_timer: 0, prevent_self_review: false, reviewers: [], deployment_branch_policy: null, branch_policies: [], variables: [], secrets: [] };
+      repo.environments.push(environment);
+    }
+    ['wait_timer', 'prevent_self_review', 'reviewers', 'deployment_branch_policy']
+      .filter(key => json[key] !== undefined)
+      .forEach(key => {
+        environment[key] = json[key];
+      });
+    return { body: renderEnvironment(state, org, environment) };
+  });
+  route('GET', '/repos/:owner/:repo/environments/:environment/deployment-branch-policies', ({ org, params }) => {
+    const environment = findNamed(findRepo(org, params.repo).environments, params.environment, 'Environment');
+    return { body: { total_count: environment.branch_policies.length, branch_policies: environment.branch_policies } };
+  });
+  route('POST', '/repos/:owner/:repo/environments/:environment/deployment-branch-policies', ({ org, params, json }) => {
+    const environment = findNamed(findRepo(org, params.repo).environments, params.environment, 'Environment');
+    const policy = { id: state.nextId(), name: json.name, type: json.type || 'branch' };
+    environment.branch_policies.push(policy);
+    return { body: policy };
+  });
+
+  // Secrets
+  route('GET', '/orgs/:org/:scope/secrets', ({ org, params }) => {
+    const secrets = scopeSecrets(org, params.scope);
+    return { body: { total_count: secrets.length, secrets: secrets.map(({ name, visibility }) => ({ name, visibility })) } };
+  });
+  route('GET', '/orgs/:org/:scope/secrets/public-key', ({ org, params }) => {
+    scopeSecrets(org, params.scope);
+    return { body: publicKey };
+  });
+  route('GET', '/orgs/:org/:scope/secrets/:name/repositories', ({ org, params }) => {
+    const secret = findNamed(scopeSecrets(org, params.scope), params.name, 'Secret');
+    const repos = org.repos.filter(repo =>
+      (secret.repositories || []).includes(repo.name) || (secret.selected_repository_ids || []).includes(repo.id)
+    );
+    return { body: { total_count: repos.length, repositories: repos.map(repo => renderRepo(org, repo)) } };
+  });
+  route('PUT', '/orgs/:org/:scope/secrets/:name', ({ org, params, json }) =>
+    storeSecret(scopeSecrets(org, params.scope), params.name, json, publicKey)
+  );
+  route('GET', '/repos/:owner/:repo/:scope/secrets', ({ org, params }) => {
+    const secrets = scopeSecrets(findRepo(org, params.repo), params.scope);
+    return { body: { total_count: secrets.length, secrets: secrets.map(({ name }) => ({ name })) } };
+  });
+  route('GET', '/repos/:owner/:repo/:scope/secrets/public-key', ({ org, params }) => {
+    scopeSecrets(findRepo(org, params.repo), params.scope);
+    return { body: publicKey };
+  });
+  route('PUT', '/repos/:owner/:repo/:scope/secrets/:name', ({ org, params, json }) =>
+    storeSecret(scopeSecrets(findRepo(org, params.repo), params.scope), params.name, json, publicKey)
+  );
+
+  // Releases
+  route('GET', '/repos/:owner/:repo/releases', ({ org, params, baseUrl }) => {
+    const repo = findRepo(org, params.repo);
+    return { body: [...repo.releases].reverse().map(release => renderRelease(baseUrl, org, repo, release)) };
+  });
+  route('GET', '/repos/:owner/:repo/releases/latest', ({ org, params, baseUrl }) => {
+    const repo = findRepo(org, params.repo);
+    const published = repo.releases.filter(release => !release.draft && !release.prerelease);
+    const latest = repo.releases.find(release => release.latest) || published[published.length - 1];
+    if (!latest) {
+      throw httpError(404, 'Not Found');
+    }
+    return { body: renderRelease(baseUrl, org, repo, latest) };
+  });
+  route('POST', '/repos/:owner/:repo/releases', ({ org, params, json, baseUrl }) => {
+    const repo = findRepo(org, params.repo);
+    if (repo.releases.some(release => release.tag_name === json.tag_name)) {
+      throw httpError(422, `Release ${json.tag_name} already exists`);
+    }
+    if (!repo.tags.includes(json.tag_name)) {
+      repo.tags.push(json.tag_name);
+    }
+    if (json.make_latest === 'true') {
+      repo.releases.forEach(release => {
+        release.latest = false;
+      });
+    }
+    const release = {
+      id: state.nextId(),
+      tag_name: json.tag_name,
+      name: json.name,
+      body: json.body,
+      draft: Boolean(json.draft),
+      prerelease: Boolean(json.prerelease),
+      latest: json.make_latest === 'true',
+      assets: [],
+    };
+    repo.releases.push(release);
+    return { status: 201, body: renderRelease(baseUrl, org, repo, release) };
+  });
+  route('GET', '/repos/:owner/:repo/releases/assets/:id', ({ org, params, headers, baseUrl }) => {
+    const repo = findRepo(org, params.repo);
+    const asset = repo.releases.flatMap(release => release.assets).find(item => item.id === Number(params.id));
+    if (!asset) {
+      throw httpError(404, 'Not Found');
+    }
+    if (headers.accept === 'application/octet-stream') {
+      return { body: asset.content, headers: { 'Content-Type': 'application/octet-stream' } };
+    }
+    return { body: renderAsset(baseUrl, org, repo, asset) };
+  });
+  route('POST', '/uploads/repos/:owner/:repo/releases/:id/assets', ({ org, params, query, headers, body, baseUrl }) => {
+    const repo = findRepo(org, params.repo);
+    const release = repo.releases.find(item => item.id === Number(params.id));
+    if (!release) {
+      throw httpError(404, 'Not Found');
+    }
+    if (release.assets.some(asset => asset.name === query.get('name'))) {
+      throw httpError(422, `Asset ${query.get('name')} already exists`);
+    }
+    const asset = {
+      id: state.nextId(),
+      name: query.get('name'),
+      label: query.get('label'),
+      content_type: headers['content-type'],
+      content: body.toString('utf-8'),
+    };
+    release.assets.push(asset);
+    return { status: 201, body: renderAsset(baseUrl, org, repo, asset) };
+  });
+  route('GET', '/repos/:owner/:repo/git/ref/*ref', ({ org, params }) => {
+    const repo = findRepo(org, params.repo);
+    const tag = params.ref.replace(/^tags\//, '');
+    if (!params.ref.startsWith('tags/') || !repo.tags.includes(tag)) {
+      throw httpError(404, 'Not Found');
+    }
+    return { body: { ref: `refs/${params.ref}`, object: { type: 'commit', sha: crypto.createHash('sha1').update(tag).digest('hex') } } };
+  });
+
+  // Users
+  route('GET', '/users/:username', ({ params }) => {
+    const user = state.users.find(item => item.login === params.username);
+    if (!user) {
+      throw httpError(404, 'Not Found');
+    }
+    return { body: user };
+  });
+
+  // Organization members and invitations, billing managers are memberships the members list leaves out
+  route('GET', '/orgs/:org/members', ({ org, query }) => {
+    const role = query.get('role') || 'all';
+    const members = org.members.filter(member => member.role !== 'billing_manager' && (role === 'all' || member.role === role));
+    return { body: members.map(({ login }) => state.users.find(user => user.login === login)) };
+  });
+  route('GET', '/orgs/:org/memberships/:username', ({ org, params }) => {
+    const member = org.members.find(item => item.login === params.username);
+    if (member) {
+      return { body: { state: 'active', role: member.role } };
+    }
+    const invitation = org.invitations.find(item => item.login === params.username);
+    if (!invitation) {
+      throw httpError(404, 'Not Found');
+    }
+    return { body: { state: 'pending', role: invitation.role === 'direct_member' ? 'member' : invitation.role } };
+  });
+  route('PUT', '/orgs/:org/memberships/:username', ({ org, params, json }) => {
+    const member = org.members.find(item => item.login === params.username);
+    if (!member) {
+      throw httpError(422, `${params.username} is not a member, invite them first`);
+    }
+    member.role = json.role || 'member';
+    return { body: { state: 'active', role: member.role } };
+  });
+  route('GET', '/orgs/:org/invitations', ({ org }) => ({ body: org.invitations }));
+  route('POST', '/orgs/:org/invitations', ({ org, json }) => {
+    const user = json.invitee_id ? state.users.find(item => item.id === json.invitee_id) : null;
+    if (json.invitee_id && !user) {
+      throw httpError(404, `User ${json.invitee_id} not found`);
+    }
+    const login = user ? user.login : null;
+    if (login && org.members.some(member => member.login === login && member.role !== 'billing_manager')) {
+      throw httpError(422, `${login} is already a member`);
+    }
+    if (org.invitations.some(item => (login && item.login === login) || (json.email && item.email === json.email))) {
+      throw httpError(422, 'Invitee has already been invited');
+    }
+    const invitation = { id: state.nextId(), login, email: json.email || null, role: json.role || 'direct_member' };
+    org.invitations.push(invitation);
+    return { status: 201, body: invitation };
+  });
+
+  // Teams
+  route('GET', '/orgs/:org/teams', ({ org }) => ({ body: org.teams.map(team => renderTeam(org, team)) }));
+  route('POST', '/orgs/:org/teams', ({ org, json }) => {
+    const slug = slugify(json.name);
+    if (org.teams.some(team => team.slug === slug)) {
+      throw httpError(422, `Team ${json.name} already exists`);
+    }
+    const parent = json.parent_team_id ? org.teams.find(team => team.id === json.parent_team_id) : null;
+    const team = {
+      id: state.nextId(),
+      name: json.name,
+      slug,
+      description: json.description || '',
+      privacy: json.privacy || 'secret',
+      permission: json.permission || 'pull',
+      parent: parent ? parent.slug : null,
+      members: [],
+      repositories: [],
+      groups: [],
+    };
+    org.teams.push(team);
+    return { status: 201, body: renderTeam(org, team) };
+  });
+  route('GET', '/orgs/:org/teams/:slug', ({ org, params }) => ({ body: renderTeam(org, findTeam(org, params.slug)) }));
+  route('PATCH', '/orgs/:org/teams/:slug', ({ org, params, json }) => {
+    const team = findTeam(org, params.slug);
+    ['name', 'description', 'privacy', 'permission'].filter(key => json[key] !== undefined).forEach(key => { team[key] = json[key]; });
+    if (json.parent_team_id !== undefined) {
+      const parent = json.parent_team_id ? org.teams.find(item => item.id === json.parent_team_id) : null;
+      if (json.parent_team_id && !parent) {
+        throw httpError(422, `Parent team ${json.parent_team_id} not found`);
+      }
+      team.parent = parent ? parent.slug : null;
+    }
+    return { body: renderTeam(org, team) };
+  });
+  route('GET', '/orgs/:org/teams/:slug/members', ({ org, params }) => ({
+    body: findTeam(org, params.slug).members.map(({ login }) => state.users.find(user => user.login === login)),
+  }));
+  route('GET', '/orgs/:org/teams/:slug/memberships/:username', ({ org, params }) => {
+    const member = findTeam(org, params.slug).members.find(item => item.login === params.username);
+    if (!member) {
+      throw httpError(404, 'Not Found');
+    }
+    return { body: { role: member.role, state: 'active' } };
+  });
+  route('PUT', '/orgs/:org/teams/:slug/memberships/:username', ({ org, params, json }) => {
+    const team = findTeam(org, params.slug);
+    if (!state.users.some(user => user.login === params.username)) {
+      throw httpError(404, `User ${params.username} not found`);
+    }
+    const role = json.role || 'member';
+    const member = team.members.find(item => item.login === params.username);
+    if (member) {
+      member.role = role;
+    } else {
+      team.members.push({ login: params.username, role });
+    }
+    return { body: { role, state: 'active' } };
+  });
+  route('DELETE', '/orgs/:org/teams/:slug/memberships/:username', ({ org, params }) => {
+    const team = findTeam(org, params.slug);
+    team.members = team.members.filter(member => member.login !== params.username);
+    return { status: 204 };
+  });
+  route('GET', '/orgs/:org/teams/:slug/repos', ({ org, params }) => ({
+    body: findTeam(org, params.slug).repositories.map(({ owner, name, permission }) => ({
+      ...renderRepo(state.orgs[owner], findRepo(state.orgs[owner], name)),
+      permissions: Object.fromEntries(ROLE_PERMISSIONS.admin.map(key => [key, ROLE_PERMISSIONS[basePermission(state.orgs[owner], permission)].includes(key)])),
+      role_name: ROLE_NAMES[permission] || permission,
+    })),
+  }));
+  route('PUT', '/orgs/:org/teams/:slug/repos/:repoOwner/:repo', ({ org, params, json }) => {
+    const team = findTeam(org, params.slug);
+    const owner = state.orgs[params.repoOwner];
+    if (!owner) {
+      throw httpError(404, 'Not Found');
+    }
+    findRepo(owner, params.repo);
+    const permission = json.permission || 'push';
+    if (!basePermission(owner, permission)) {
+      throw httpError(422, `Role ${permission} does not exist`);
+    }
+    team.repositories = team.repositories.filter(repo => !(repo.owner === params.repoOwner && repo.name === params.repo));
+    team.repositories.push({ owner: params.repoOwner, name: params.repo, permission });
+    return { status: 204 };
+  });
+  route('DELETE', '/orgs/:org/teams/:slug/repos/:repoOwner/:repo', ({ org, params }) => {
+    const team = findTeam(org, params.slug);
+    team.repositories = team.repositories.filter(repo => !(repo.owner === params.repoOwner && repo.name === params.repo));
+    return { status: 204 };
+  });
+
+  // IdP groups, external groups of Enterprise Managed Users and team synchronization groups
+  route('GET', '/orgs/:org/external-groups', ({ org }) => ({
+    body: { groups: org.externalGroups.map(group => ({ ...group, updated_at: '2024-01-01T00:00:00Z' })) },
+  }));
+  route('GET', '/orgs/:org/teams/:slug/external-groups', ({ org, params }) => ({ body: { groups: findTeam(org, params.slug).groups } }));
+  route('PATCH', '/orgs/:org/teams/:slug/external-groups', ({ org, params, json }) => {
+    const team = findTeam(org, params.slug);
+    const group = org.externalGroups.find(item => item.group_id === json.group_id);
+    if (!group) {
+      throw httpError(404, `External group ${json.group_id} not found`);
+    }
+    team.groups = [group];
+    return { body: group };
+  });
+  route('GET', '/orgs/:org/team-sync/groups', ({ org }) => ({ body: { groups: org.teamSyncGroups } }));
+  route('GET', '/orgs/:org/teams/:slug/team-sync/group-mappings', ({ org, params }) => ({ body: { groups: findTeam(org, params.slug).groups } }));
+  route('PATCH', '/orgs/:org/teams/:slug/team-sync/group-mappings', ({ org, params, json }) => {
+    const team = findTeam(org, params.slug);
+    team.groups = json.groups;
+    return { body: { groups: team.groups } };
+  });
+
+  // Security manager teams
+  route('GET', '/orgs/:org/security-managers', ({ org }) => ({
+    body: org.securityManagers.map(slug => renderTeam(org, findTeam(org, slug))),
+  }));
+  route('PUT', '/orgs/:org/security-managers/teams/:slug', ({ org, params }) => {
+    findTeam(org, params.slug);
+    if (!org.securityManagers.includes(params.slug)) {
+      org.securityManagers.push(params.slug);
+    }
+    return { status: 204 };
+  });
+
+  // Custom repository roles
+  route('GET', '/orgs/:org/custom-repository-roles', ({ org }) => ({
+    body: { total_count: org.customRepositoryRoles.length, custom_roles: org.customRepositoryRoles },
+  }));
+  route('POST', '/orgs/:org/custom-repository-roles', ({ org, json }) => {
+    if (org.customRepositoryRoles.some(role => role.name === json.name)) {
+      throw httpError(422, `Role ${json.name} already exists`);
+    }
+    if (!['read', 'triage', 'write', 'maintain'].includes(json.base_role)) {
+      throw httpError(422, `Base role ${json.base_role} is not valid`);
+    }
+    const role = { id: state.nextId(), name: json.name, description: json.description || '', base_role: json.base_role, permissions: json.permissions || [] };
+    org.customRepositoryRoles.push(role);
+    return { status: 201, body: role };
+  });
+  route('PATCH', '/orgs/:org/custom-repository-roles/:id', ({ org, params, json }) => {
+    const role = org.customRepositoryRoles.find(item => item.id === Number(params.id));
+    if (!role) {
+      throw httpError(404, 'Not Found');
+    }
+    ['name', 'description', 'base_role', 'permissions'].filter(key => json[key] !== undefined).forEach(key => { role[key] = json[key]; });
+    return { body: role };
+  });
+
+  // Packages
+  route('GET', '/orgs/:org/packages', ({ org, query }) => ({
+    body: org.packages.filter(pkg => pkg.package_type === query.get('package_type')).map(pkg => renderPackage(org, pkg)),
+  }));
+  route('GET', '/orgs/:org/packages/:type/:name', ({ org, params }) => ({
+    body: renderPackage(org, findPackage(state, org, params.type, params.name)),
+  }));
+  route('GET', '/orgs/:org/packages/:type/:name/versions', ({ org, params }) => ({
+    body: [...findPackage(state, org, params.type, params.name).versions].reverse().map(version => ({
+      id: version.id,
+      name: version.name,
+      metadata: { package_type: params.type, ...(version.tags ? { container: { tags: version.tags } } : {}) },
+    })),
+  }));
+  route('POST', '/graphql', ({ json }) => {
+    const query = json.query || '';
+    if (/listOrganizationMembers|listOrganizationIdentities|listEnterpriseIdentities/.test(query)) {
+      return { body: { data: resolveIdentityQuery(state, query, json.variables) } };
+    }
+    if (!/listPackageAssets/.test(query)) {
+      return { body: { errors: [{ message: 'Query not supported by the mock server' }] } };
+    }
+    const { org: login, packageName, version: versionName } = json.variables;
+    const org = state.orgs[login];
+    const pkg = org && org.packages.find(item => item.name === packageName);
+    const version = pkg && pkg.versions.find(item => item.name === versionName);
+    return {
+      body: {
+        data: {
+          organization: org ? {
+            packages: {
+              nodes: pkg ? [{
+                version: version ? {
+                  files: {
+                    pageInfo: { hasNextPage: false, endCursor: null },
+                    nodes: Object.keys(version.files).map(name => ({ name })),
+                  },
+                } : null,
+              }] : [],
+            },
+          } : null,
+        },
+      },
+    };
+  });
+
+  // Maven registry
+  route('GET', '/registry/maven/:owner/:repo/*path', ({ org, params }) => {
+    const { name, version, file } = parseMavenPath(params.path);
+    const content = findVersion(state, findPackage(state, org, 'maven', name), version).files[file];
+    if (content === undefined) {
+      throw httpError(404, 'Not Found');
+    }
+    return { body: content };
+  });
+  route('PUT', '/registry/maven/:owner/:repo/*path', ({ org, params, body }) => {
+    findRepo(org, params.repo);
+    const { name, version, file } = parseMavenPath(params.path);
+    findVersion(state, findPackage(state, org, 'maven', name, params.repo), version, true).files[file] = body.toString('utf-8');
+    return { status: 200 };
+  });
+
+  // npm registry
+  route('GET', '/registry/npm/download/:org/:name/:version/:file', ({ org, params }) => {
+    const version = findVersion(state, findPackage(state, org, 'npm', params.name), params.version);
+    return { body: Buffer.from(version.tarball, 'base64') };
+  });
+  route('GET', '/registry/npm/:org/:name', ({ org, params, baseUrl }) => {
+    const pkg = findPackage(state, org, 'npm', params.name);
+    const fullName = `@${org.login}/${pkg.name}`;
+    return {
+      body: {
+        name: fullName,
+        'dist-tags': { latest: pkg.versions[pkg.versions.length - 1].name },
+        versions: Object.fromEntries(pkg.versions.map(version => [version.name, {
+          name: fullName,
+          version: version.name,
+          dist: { tarball: `${baseUrl}/registry/npm/download/@${org.login}/${pkg.name}/${version.name}/${pkg.name}-${version.name}.tgz` },
+        }])),
+      },
+    };
+  });
+  route('PUT', '/registry/npm/:org/:name', ({ org, json }) => {
+    const pkg = findPackage(state, org, 'npm', json.name.split('/').pop(), null);
+    Object.keys(json.versions).forEach(versionName => {
+      if (pkg.versions.some(version => version.name === versionName)) {
+        throw httpError(409, `Version ${versionName} of ${json.name} already exists`);
+      }
+      const attachment = Object.values(json._attachments)[0];
+      findVersion(state, pkg, versionName, true).tarball = attachment.data;
+    });
+    return { status: 201, body: { ok: true } };
+  });
+
+  // Git LFS
+  route('POST', '/git/:owner/:repo/info/lfs/objects/batch', ({ org, params, json, headers, baseUrl }) => {
+    const repo = findRepo(org, params.repo.replace(/\.git$/, ''));
+    const objects = json.objects.map(({ oid, size }) => {
+      const href = `${baseUrl}/lfs/${org.login}/${repo.name}/${oid}`;
+      const header = { Authorization: headers.authorization };
+      if (json.operation === 'upload') {
+        return oid in repo.lfs ? { oid, size } : { oid, size, authenticated: true, actions: { upload: { href, header } } };
+      }
+      return oid in repo.lfs
+        ? { oid, size, authenticated: true, actions: { download: { href, header } } }
+        : { oid, size, error: { code: 404, message: 'Object does not exist' } };
+    });
+    return { body: { transfer: 'basic', objects }, headers: { 'Content-Type': 'application/vnd.git-lfs+json' } };
+  });
+  route('GET', '/lfs/:owner/:repo/:oid', ({ org, params }) => {
+    const content = findRepo(org, params.repo).lfs[params.oid];
+    if (content === undefined) {
+      throw httpError(404, 'Object does not exist');
+    }
+    return { body: content };
+  });
+  route('PUT', '/lfs/:owner/:repo/:oid', ({ org, params, body }) => {
+    findRepo(org, params.repo).lfs[params.oid] = body.toString('utf-8');
+    return { status: 200 };
+  });
+
+  return routes;
+}
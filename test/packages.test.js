@@ -0,0 +1,85 @@
+import zlib from 'zlib';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, migrate, statuses} from './helpers.js';
+
+/**
+ * Finds a package of an organization in the mock server state.
+ * @param {Object} server - Mock server
+ * @param {string} org - Organization name
+ * @param {string} name - Package name
+ * @returns {Object|undefined} Package
+ */
+function findPackage(server, org, name) {
+  return server.state.orgs[org].packages.find(pkg => pkg.name === name);
+}
+
+describe('packages', () => {
+  let server;
+  beforeEach(async () => { server = await startMockServer(); });
+  afterEach(async () => { await server.stop(); });
+
+  it('plans Maven package versions in a dry run without changing the target', async () => {
+    const { code, report } = await migrate(server, 'packages', { args: ['--package-type', 'maven'] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'package-version'), {
+      'maven/com.example.app@1.1.0': 'planned',
+      'maven/com.example.app@1.0.0': 'planned',
+    });
+    assert.deepEqual(server.writes(), []);
+  });
+
+  it('copies the files of every Maven package version to the target repository', async () => {
+    const { code, report } = await migrate(server, 'packages', { dryRun: false, args: ['--package-type', 'maven'] });
+
+    assert.equal(code, 0);
+    assert.ok(report.entries.every(entry => entry.status === 'succeeded'));
+    const source = findPackage(server, 'source-org', 'com.example.app');
+    const target = findPackage(server, 'target-org', 'com.example.app');
+    assert.equal(target.repository, 'app');
+    assert.deepEqual(
+      target.versions.map(({ name, files }) => ({ name, files })),
+      source.versions.map(({ name, files }) => ({ name, files }))
+    );
+  });
+
+  it('fails versions without files and migrates them again on resume', async () => {
+    findPackage(server, 'source-org', 'com.example.app').versions.push({ name: '1.2.0', files: {} });
+
+    const first = await migrate(server, 'packages', { dryRun: false, args: ['--package-type', 'maven'] });
+    const resumed = await migrate(server, 'packages', { dryRun: false, args: ['--package-type', 'maven', '--resume'], cwd: first.cwd });
+
+    assert.equal(first.code, 1);
+    assert.match(first.report.entries.find(entry => entry.key === 'maven/com.example.app@1.2.0').error, /No files found/);
+    assert.deepEqual(statuses(resumed.report, 'package-version'), {
+      'maven/com.example.app@1.2.0': 'failed',
+      'maven/com.example.app@1.1.0': 'skipped',
+      'maven/com.example.app@1.0.0': 'skipped',
+    });
+  });
+
+  it('publishes npm package versions to the target registry', async () => {
+    const { code, report } = await migrate(server, 'packages', { dryRun: false, args: ['--package-type', 'npm'] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'package-version'), { 'npm/web@1.0.0': 'succeeded' });
+    const target = findPackage(server, 'target-org', 'web');
+    assert.deepEqual(target.versions.map(version => version.name), ['1.0.0']);
+    // npm packs the extracted package again, so the archive differs but its files do not
+    const files = zlib.gunzipSync(Buffer.from(target.versions[0].tarball, 'base64')).toString('utf-8');
+    assert.match(files, /package\/index\.js/);
+    assert.match(files, /module\.exports = 1;/);
+  });
+
+  it('skips packages that already exist in the target', async () => {
+    await migrate(server, 'packages', { dryRun: false, args: ['--package-type', 'maven'] });
+
+    const { code, report } = await migrate(server, 'packages', { dryRun: false, args: ['--package-type', 'maven'] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(report.entries.map(({ key, status, reason }) => ({ key, status, reason })), [
+      { key: 'maven/com.example.app', status: 'skipped', reason: 'package exists' },
+    ]);
+  });
+});
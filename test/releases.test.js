@@ -0,0 +1,56 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, migrate, statuses} from './helpers.js';
+
+describe('releases', () => {
+  let server;
+  beforeEach(async () => { server = await startMockServer(); });
+  afterEach(async () => { await server.stop(); });
+
+  it('plans releases whose tag exists in the target in a dry run without changing the target', async () => {
+    const { code, report } = await migrate(server, 'releases');
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'release'), {
+      'app/v1.0.0': 'planned',
+      'app/v1.1.0': 'planned',
+      'app/v2.0.0-rc.1': 'skipped',
+    });
+    assert.deepEqual(server.writes(), []);
+  });
+
+  it('creates releases oldest first with their assets and latest flag', async () => {
+    const { code } = await migrate(server, 'releases', { dryRun: false });
+
+    assert.equal(code, 0);
+    const releases = server.state.orgs['target-org'].repos.find(repo => repo.name === 'app').releases;
+    assert.deepEqual(releases.map(release => release.tag_name), ['v1.0.0', 'v1.1.0']);
+    assert.deepEqual(releases.map(release => release.latest), [false, true]);
+    assert.deepEqual(releases[0].assets.map(({ name, content }) => ({ name, content })), [{ name: 'app.zip', content: 'zip-bytes' }]);
+    assert.equal(releases[1].assets[0].label, 'Sources');
+    assert.equal(releases[1].assets[0].content_type, 'application/gzip');
+  });
+
+  it('downloads and uploads an asset again when its upload fails with a server error', async () => {
+    server.injectFailure({ method: 'POST', path: /^\/uploads\/repos\/target-org\/app\/releases\/\d+\/assets$/, status: 502 });
+
+    const { code, report } = await migrate(server, 'releases', { dryRun: false, args: ['--retry-delay', '10'] });
+
+    assert.equal(code, 0);
+    assert.equal(report.requests.retries, 1);
+    assert.equal(report.requests.failed, 0);
+    const releases = server.state.orgs['target-org'].repos.find(repo => repo.name === 'app').releases;
+    assert.deepEqual(releases[0].assets.map(({ name, content }) => ({ name, content })), [{ name: 'app.zip', content: 'zip-bytes' }]);
+  });
+
+  it('skips releases that are already migrated when run again', async () => {
+    await migrate(server, 'releases', { dryRun: false });
+    const writes = server.writes().length;
+
+    const { code, report } = await migrate(server, 'releases', { dryRun: false });
+
+    assert.equal(code, 0);
+    assert.equal(statuses(report, 'release')['app/v1.0.0'], 'skipped');
+    assert.equal(server.writes().length, writes);
+  });
+});
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import path from 'path';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, migrate, runCli, statuses, createWorkDir} from './helpers.js';
+
+describe('secrets', () => {
+  let server;
+  let secretsFile;
+  beforeEach(async () => {
+    server = await startMockServer();
+    secretsFile = path.join(createWorkDir(), 'secrets.csv');
+    fs.writeFileSync(secretsFile, 'scope,repository,name,value\nactions,,ORG_SECRET,org-secret\nactions,app,REPO_SECRET,repo-secret\n');
+  });
+  afterEach(async () => { await server.stop(); });
+
+  it('plans secrets with a value in a dry run without changing the target', async () => {
+    const { code, report } = await migrate(server, 'secrets', { args: ['--secrets-file', secretsFile] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'secret'), {
+      'actions:org/ORG_SECRET': 'planned',
+      'dependabot:org/REGISTRY_TOKEN': 'skipped',
+      'actions:app/REPO_SECRET': 'planned',
+    });
+    assert.deepEqual(server.writes(), []);
+  });
+
+  it('keeps secret values and their hashes out of the plan file', async () => {
+    const { code, cwd } = await runCli(server, ['plan', '--source-org', 'source-org', '--target-org', 'target-org', '--components', 'secrets', '--secrets-file', secretsFile]);
+
+    assert.equal(code, 0);
+    const plan = JSON.parse(fs.readFileSync(path.join(cwd, 'plan.json'), 'utf-8'));
+    assert.deepEqual(plan.operations.find(operation => operation.key === 'actions:app/REPO_SECRET').details, {});
+    assert.doesNotMatch(JSON.stringify(plan), /valueHash|org-secret|repo-secret/);
+  });
+
+  it('encrypts the secrets with the public key of the target and keeps the selected repositories', async () => {
+    const { code } = await migrate(server, 'secrets', { dryRun: false, args: ['--secrets-file', secretsFile] });
+
+    assert.equal(code, 0);
+    const target = server.state.orgs['target-org'];
+    const orgSecret = target.secrets.actions.find(secret => secret.name === 'ORG_SECRET');
+    assert.equal(server.decryptSecret(orgSecret.encrypted_value), 'org-secret');
+    assert.equal(orgSecret.visibility, 'selected');
+    assert.deepEqual(orgSecret.selected_repository_ids, [target.repos.find(repo => repo.name === 'app').id]);
+
+    const repoSecret = target.repos.find(repo => repo.name === 'app').secrets.actions.find(secret => secret.name === 'REPO_SECRET');
+    assert.equal(server.decryptSecret(repoSecret.encrypted_value), 'repo-secret');
+    assert.deepEqual(target.secrets.dependabot, []);
+  });
+
+  it('only migrates the selected secret scopes', async () => {
+    const { code, report } = await migrate(server, 'secrets', { args: ['--secrets-file', secretsFile, '--secret-scopes', 'dependabot'] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'secret'), { 'dependabot:org/REGISTRY_TOKEN': 'skipped' });
+  });
+});
@@ -0,0 +1,299 @@
+import fs from 'fs';
+import path from 'path';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, migrate, statuses, createWorkDir} from './helpers.js';
+
+/**
+ * Writes a team mapping CSV file.
+ * @param {string} content - CSV content
+ * @returns {string} Path of the file
+ */
+function writeTeamMapping(content) {
+  const mappingFile = path.join(createWorkDir(), 'teams.csv');
+  fs.writeFileSync(mappingFile, content);
+  return mappingFile;
+}
+
+describe('teams', () => {
+  let server;
+  beforeEach(async () => { server = await startMockServer(); });
+  afterEach(async () => { await server.stop(); });
+
+  it('plans teams, members and repositories in a dry run without changing the target', async () => {
+    const { code, report } = await migrate(server, 'teams');
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'team'), { developers: 'planned', frontend: 'planned' });
+    assert.deepEqual(statuses(report, 'team-member'), {
+      'developers/alice': 'planned',
+      'developers/bob': 'planned',
+      'frontend/carol': 'planned',
+    });
+    assert.deepEqual(statuses(report, 'team-repository'), {
+      'developers/app': 'planned',
+      'frontend/app': 'planned',
+      'frontend/legacy': 'planned',
+    });
+    assert.deepEqual(server.writes(), []);
+  });
+
+  it('creates teams with their parent, member roles and repository permissions', async () => {
+    const { code, report } = await migrate(server, 'teams', { dryRun: false });
+
+    assert.equal(code, 0);
+    assert.ok(report.entries.every(entry => entry.status === 'succeeded'));
+    const teams = server.state.orgs['target-org'].teams;
+    const developers = teams.find(team => team.slug === 'developers');
+    const frontend = teams.find(team => team.slug === 'frontend');
+    assert.equal(developers.parent, null);
+    assert.equal(frontend.parent, 'developers');
+    assert.deepEqual(developers.members, [{ login: 'alice', role: 'maintainer' }, { login: 'bob', role: 'member' }]);
+    assert.deepEqual(frontend.repositories, [
+      { owner: 'target-org', name: 'app', permission: 'pull' },
+      { owner: 'target-org', name: 'legacy', permission: 'admin' },
+    ]);
+  });
+
+  it('reports members and repositories the target rejects as failed', async () => {
+    server.injectFailure({ method: 'PUT', path: '/orgs/target-org/teams/developers/memberships/bob', status: 422 });
+    server.injectFailure({ method: 'PUT', path: '/orgs/target-org/teams/frontend/repos/target-org/app', status: 422 });
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false });
+
+    assert.equal(code, 1);
+    assert.equal(statuses(report, 'team-member')['developers/bob'], 'failed');
+    assert.equal(statuses(report, 'team-member')['developers/alice'], 'succeeded');
+    assert.equal(statuses(report, 'team-repository')['frontend/app'], 'failed');
+    assert.equal(statuses(report, 'team-repository')['frontend/legacy'], 'succeeded');
+  });
+
+  it('adds members under their mapped usernames', async () => {
+    const mappingFile = path.join(createWorkDir(), 'usernames.csv');
+    fs.writeFileSync(mappingFile, 'sourceUsername,targetUsername\nbob,carol\n');
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--username-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    assert.equal(statuses(report, 'team-member')['developers/carol'], 'succeeded');
+    const developers = server.state.orgs['target-org'].teams.find(team => team.slug === 'developers');
+    assert.deepEqual(developers.members.map(member => member.login), ['alice', 'carol']);
+  });
+
+  it('plans updates of existing teams with --sync without changing the target', async () => {
+    await migrate(server, 'teams', { dryRun: false });
+    const developers = server.state.orgs['target-org'].teams.find(team => team.slug === 'developers');
+    developers.description = 'Changed';
+    developers.members = developers.members.filter(member => member.login !== 'bob');
+    const writes = server.writes().length;
+
+    const { code, report } = await migrate(server, 'teams', { args: ['--sync'] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'team'), { developers: 'planned', frontend: 'skipped' });
+    assert.deepEqual(statuses(report, 'team-member'), {
+      'developers/alice': 'skipped',
+      'developers/bob': 'planned',
+      'frontend/carol': 'skipped',
+    });
+    assert.equal(server.writes().length, writes);
+  });
+
+  it('updates settings, members and repository permissions of existing teams with --sync', async () => {
+    await migrate(server, 'teams', { dryRun: false });
+    const teams = server.state.orgs['target-org'].teams;
+    const developers = teams.find(team => team.slug === 'developers');
+    const frontend = teams.find(team => team.slug === 'frontend');
+    developers.description = 'Changed';
+    developers.members = [{ login: 'alice', role: 'member' }, { login: 'carol', role: 'member' }];
+    frontend.parent = null;
+    frontend.repositories = [{ owner: 'target-org', name: 'app', permission: 'admin' }];
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--sync'] });
+
+    assert.equal(code, 0);
+    assert.ok(report.entries.every(entry => entry.status !== 'failed'));
+    assert.equal(developers.description, 'All developers');
+    assert.equal(frontend.parent, 'developers');
+    assert.deepEqual(developers.members, [
+      { login: 'alice', role: 'maintainer' },
+      { login: 'carol', role: 'member' },
+      { login: 'bob', role: 'member' },
+    ]);
+    assert.deepEqual(frontend.repositories.map(({ name, permission }) => ({ name, permission })), [
+      { name: 'app', permission: 'pull' },
+      { name: 'legacy', permission: 'admin' },
+    ]);
+  });
+
+  it('removes members and repositories the source teams do not have with --prune', async () => {
+    await migrate(server, 'teams', { dryRun: false });
+    const developers = server.state.orgs['target-org'].teams.find(team => team.slug === 'developers');
+    developers.members.push({ login: 'carol', role: 'member' });
+    developers.repositories.push({ owner: 'target-org', name: 'legacy', permission: 'pull' });
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--prune'] });
+
+    assert.equal(code, 0);
+    assert.equal(statuses(report, 'team-member')['developers/carol'], 'succeeded');
+    assert.equal(report.entries.find(entry => entry.key === 'developers/carol').action, 'delete');
+    assert.deepEqual(developers.members.map(member => member.login), ['alice', 'bob']);
+    assert.deepEqual(developers.repositories.map(repo => repo.name), ['app']);
+  });
+
+  it('creates custom repository roles and grants teams their exact repository roles', async () => {
+    const sourceTeams = server.state.orgs['source-org'].teams;
+    sourceTeams.find(team => team.slug === 'developers').repositories[0].permission = 'maintain';
+    sourceTeams.find(team => team.slug === 'frontend').repositories = [
+      { owner: 'source-org', name: 'app', permission: 'triage' },
+      { owner: 'source-org', name: 'legacy', permission: 'Deployer' },
+    ];
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'custom-repository-role'), { Deployer: 'succeeded' });
+    const target = server.state.orgs['target-org'];
+    assert.deepEqual(target.customRepositoryRoles.map(({ name, description, base_role, permissions }) => ({ name, description, base_role, permissions })), [
+      { name: 'Deployer', description: 'Manages deployments', base_role: 'write', permissions: ['manage_deploy_keys', 'manage_webhooks'] },
+    ]);
+    const permissions = (slug) => target.teams.find(team => team.slug === slug).repositories.map(({ name, permission }) => [name, permission]);
+    assert.deepEqual(permissions('developers'), [['app', 'maintain']]);
+    assert.deepEqual(permissions('frontend'), [['app', 'triage'], ['legacy', 'Deployer']]);
+  });
+
+  it('updates custom repository roles that differ in the target', async () => {
+    server.state.orgs['target-org'].customRepositoryRoles.push({ id: server.state.nextId(), name: 'Deployer', description: '', base_role: 'read', permissions: [] });
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false });
+
+    assert.equal(code, 0);
+    assert.equal(report.entries.find(entry => entry.resource === 'custom-repository-role').action, 'update');
+    const [role] = server.state.orgs['target-org'].customRepositoryRoles;
+    assert.equal(role.base_role, 'write');
+    assert.deepEqual(role.permissions, ['manage_deploy_keys', 'manage_webhooks']);
+  });
+
+  it('links teams to EMU external groups matched by name instead of copying members', async () => {
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--idp-groups', 'external-groups'] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'team-group'), { developers: 'succeeded', frontend: 'skipped' });
+    assert.equal(report.entries.find(entry => entry.resource === 'team-group' && entry.key === 'frontend').reason, 'no matching IdP group');
+    assert.deepEqual(statuses(report, 'team-member'), {});
+    const developers = server.state.orgs['target-org'].teams.find(team => team.slug === 'developers');
+    assert.deepEqual(developers.groups, [{ group_id: 7, group_name: 'Developers' }]);
+    assert.deepEqual(developers.members, []);
+  });
+
+  it('links teams to the external groups named in the IdP group mapping', async () => {
+    const mappingFile = path.join(createWorkDir(), 'groups.csv');
+    fs.writeFileSync(mappingFile, 'team,group\nfrontend,Web Team\n');
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--idp-groups', 'external-groups', '--idp-group-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'team-group'), { developers: 'succeeded', frontend: 'succeeded' });
+    const frontend = server.state.orgs['target-org'].teams.find(team => team.slug === 'frontend');
+    assert.deepEqual(frontend.groups, [{ group_id: 8, group_name: 'Web Team' }]);
+  });
+
+  it('connects teams to team synchronization groups by group ID', async () => {
+    const mappingFile = path.join(createWorkDir(), 'groups.csv');
+    fs.writeFileSync(mappingFile, 'team,group\ndevelopers,okta-1\n');
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--idp-groups', 'team-sync', '--idp-group-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'team-group'), { developers: 'succeeded', frontend: 'skipped' });
+    const developers = server.state.orgs['target-org'].teams.find(team => team.slug === 'developers');
+    assert.deepEqual(developers.groups, [{ group_id: 'okta-1', group_name: 'Engineering', group_description: 'All engineers' }]);
+  });
+
+  it('renames teams and keeps their children under the renamed parent', async () => {
+    const mappingFile = writeTeamMapping('sourceTeam,targetTeam\ndevelopers,Engineering\n');
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--team-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'team'), { engineering: 'succeeded', frontend: 'succeeded' });
+    const teams = server.state.orgs['target-org'].teams;
+    assert.deepEqual(teams.map(team => [team.name, team.parent]), [['Engineering', null], ['Frontend', 'engineering']]);
+  });
+
+  it('merges teams with the union of their members and the highest repository permission', async () => {
+    const mappingFile = writeTeamMapping('sourceTeam,targetTeam\ndevelopers,Developers\nfrontend,Developers\n');
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--team-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'team'), { developers: 'succeeded' });
+    const teams = server.state.orgs['target-org'].teams;
+    assert.equal(teams.length, 1);
+    assert.deepEqual(teams[0].members, [
+      { login: 'alice', role: 'maintainer' },
+      { login: 'bob', role: 'member' },
+      { login: 'carol', role: 'member' },
+    ]);
+    assert.deepEqual(teams[0].repositories, [
+      { owner: 'target-org', name: 'app', permission: 'push' },
+      { owner: 'target-org', name: 'legacy', permission: 'admin' },
+    ]);
+  });
+
+  it('drops teams without a target team and nests teams under an existing target parent', async () => {
+    server.state.orgs['target-org'].teams.push({ id: server.state.nextId(), name: 'Platform', slug: 'platform', description: '', privacy: 'closed', parent: null, members: [], repositories: [] });
+    const mappingFile = writeTeamMapping('sourceTeam,targetTeam,targetParent\ndevelopers,Developers,Platform\nfrontend,\n');
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--team-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'team'), { developers: 'succeeded' });
+    const teams = server.state.orgs['target-org'].teams;
+    assert.deepEqual(teams.map(team => [team.slug, team.parent]), [['platform', null], ['developers', 'platform']]);
+  });
+
+  it('grants the security manager role to the target teams of source security manager teams', async () => {
+    const mappingFile = writeTeamMapping('sourceTeam,targetTeam\ndevelopers,Engineering\n');
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--team-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'security-manager-team'), { engineering: 'succeeded' });
+    assert.deepEqual(server.state.orgs['target-org'].securityManagers, ['engineering']);
+  });
+
+  it('creates every team after its parent however deep the nesting', async () => {
+    server.state.orgs['source-org'].teams.unshift({ id: server.state.nextId(), name: 'Widgets', slug: 'widgets', description: '', privacy: 'closed', parent: 'frontend', members: [], repositories: [] });
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'team'), { developers: 'succeeded', frontend: 'succeeded', widgets: 'succeeded' });
+    const teams = server.state.orgs['target-org'].teams;
+    assert.deepEqual(teams.map(team => [team.slug, team.parent]), [['developers', null], ['frontend', 'developers'], ['widgets', 'frontend']]);
+  });
+
+  it('breaks parent cycles created by the team mapping', async () => {
+    const mappingFile = writeTeamMapping('sourceTeam,targetTeam,targetParent\ndevelopers,Developers,Frontend\n');
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false, args: ['--team-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'team'), { developers: 'succeeded', frontend: 'succeeded' });
+    const teams = server.state.orgs['target-org'].teams;
+    assert.deepEqual(teams.map(team => [team.slug, team.parent]), [['developers', null], ['frontend', 'developers']]);
+  });
+
+  it('creates teams whose parent failed without it and reports them while the parent is missing', async () => {
+    server.injectFailure({ method: 'POST', path: '/orgs/target-org/teams', status: 422, times: 1 });
+
+    const { code, report } = await migrate(server, 'teams', { dryRun: false });
+
+    assert.equal(code, 1);
+    assert.deepEqual(statuses(report, 'team'), { developers: 'failed', frontend: 'failed' });
+    assert.match(report.entries.find(entry => entry.key === 'frontend').error, /Parent team Developers not found/);
+    const teams = server.state.orgs['target-org'].teams;
+    assert.deepEqual(teams.map(team => [team.slug, team.parent]), [['frontend', null]]);
+  });
+});
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, runCli} from './helpers.js';
+
+/**
+ * Generates the username mapping of source-org and target-org and reads the written files.
+ * @param {Object} server - Started mock server
+ * @param {Array} [args] - Additional command line arguments
+ * @returns {Promise<Object>} Exit code, username mapping and unmatched users CSV of the run
+ */
+async function generateUserMapping(server, args = []) {
+  const result = await runCli(server, ['generate-user-mapping', '--source-org', 'source-org', '--target-org', 'target-org', ...args]);
+  const read = (file) => fs.readFileSync(path.join(result.cwd, file), 'utf-8');
+  return { code: result.code, mapping: read('user-mapping.csv'), unmatched: read('unmatched-users.csv') };
+}
+
+describe('generate-user-mapping', () => {
+  let server;
+  beforeEach(async () => { server = await startMockServer(); });
+  afterEach(async () => { await server.stop(); });
+
+  it('matches members to EMU users by identity, email and login with their confidence', async () => {
+    server.state.orgs['source-org'].members.push({ login: 'dave', role: 'member' });
+
+    const { code, mapping, unmatched } = await generateUserMapping(server, ['--target-enterprise', 'corp']);
+
+    assert.equal(code, 0);
+    assert.equal(mapping, [
+      'sourceUsername,targetUsername,confidence,matchedBy',
+      'alice,alice_corp,high,identity',
+      'bob,robert_corp,medium,email',
+      'carol,carol_corp,low,login',
+      '',
+    ].join('\n'));
+    assert.equal(unmatched, 'sourceUsername,reason\ndave,no match\n');
+  });
+
+  it('leaves users with several candidates unmatched', async () => {
+    server.state.enterprises.corp.identities.push({ login: 'carol_ext', nameId: 'carol@partner.example' });
+
+    const { code, mapping, unmatched } = await generateUserMapping(server, ['--target-enterprise', 'corp']);
+
+    assert.equal(code, 0);
+    assert.doesNotMatch(mapping, /^carol,/m);
+    assert.equal(unmatched, 'sourceUsername,reason\ncarol,"several users match by login: carol_corp, carol_ext"\n');
+  });
+
+  it('leaves source users matched to the same target user unmatched', async () => {
+    server.state.orgs['source-org'].verifiedEmails.carol = ['rob@corp.example'];
+
+    const { code, mapping, unmatched } = await generateUserMapping(server, ['--target-enterprise', 'corp']);
+
+    assert.equal(code, 0);
+    assert.equal(mapping, 'sourceUsername,targetUsername,confidence,matchedBy\nalice,alice_corp,high,identity\n');
+    assert.equal(unmatched, 'sourceUsername,reason\nbob,robert_corp also matches carol\ncarol,robert_corp also matches bob\n');
+  });
+
+  it('matches members of the target organization without an enterprise', async () => {
+    const { code, mapping } = await generateUserMapping(server);
+
+    assert.equal(code, 0);
+    assert.equal(mapping, 'sourceUsername,targetUsername,confidence,matchedBy\nalice,alice,low,login\n');
+  });
+});
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {startMockServer, migrate, statuses, createWorkDir} from './helpers.js';
+
+describe('variables', () => {
+  let server;
+  beforeEach(async () => { server = await startMockServer(); });
+  afterEach(async () => { await server.stop(); });
+
+  it('plans organization, repository and environment variables in a dry run without changing the target', async () => {
+    const { code, stdout, report } = await migrate(server, 'variables');
+
+    assert.equal(code, 0);
+    assert.deepEqual(statuses(report, 'variable'), {
+      'org:ORG_VAR': 'planned',
+      'app/REPO_VAR': 'planned',
+      'legacy/LEGACY_VAR': 'planned',
+      'app/production/DEPLOY_URL': 'planned',
+    });
+    assert.deepEqual(statuses(report, 'environment'), { 'app/production': 'planned' });
+    assert.deepEqual(server.writes(), []);
+    assert.doesNotMatch(stdout, /org-value|repo-value|"environmentSecrets"/);
+  });
+
+  it('leaves out repositories rejected by the repository filters', async () => {
+    const { code, report } = await migrate(server, 'variables', { args: ['--skip-archived'] });
+
+    assert.equal(code, 0);
+    assert.equal(statuses(report, 'variable')['legacy/LEGACY_VAR'], undefined);
+    assert.equal(statuses(report, 'variable')['app/REPO_VAR'], 'planned');
+  });
+
+  it('creates the variables and missing environments in the target', async () => {
+    const { code, report } = await migrate(server, 'variables', { dryRun: false });
+
+    assert.equal(code, 0);
+    assert.ok(report.entries.every(entry => entry.status === 'succeeded'));
+    const target = server.state.orgs['target-org'];
+    assert.deepEqual(target.variables, [{ name: 'ORG_VAR', value: 'org-value', visibility: 'all' }]);
+    assert.deepEqual(target.repos.find(repo => repo.name === 'app').variables, [{ name: 'REPO_VAR', value: 'repo-value' }]);
+    assert.deepEqual(target.repos.find(repo => repo.name === 'legacy').variables, [{ name: 'LEGACY_VAR', value: 'legacy-value' }]);
+
+    const production = target.repos.find(repo => repo.name === 'app').environments.find(environment => environment.name === 'production');
+    assert.deepEqual(production.variables, [{ name: 'DEPLOY_URL', value: 'https://app.example.com' }]);
+  });
+
+  it('selects the mapped target repositories for variables with selected visibility', async () => {
+    server.state.orgs['source-org'].variables.push({ name: 'SELECTED_VAR', value: 'selected-value', visibility: 'selected', repositories: ['app', 'legacy'] });
+    const mappingFile = path.join(createWorkDir(), 'repos.csv');
+    fs.writeFileSync(mappingFile, 'sourceRepo,targetRepo\napp,legacy\n');
+
+    const { code, report } = await migrate(server, 'variables', { dryRun: false, args: ['--repo-mapping', mappingFile] });
+
+    assert.equal(code, 0);
+    assert.equal(statuses(report, 'variable')['org:SELECTED_VAR'], 'succeeded');
+    const target = server.state.orgs['target-org'];
+    assert.deepEqual(target.variables.find(variable => variable.name === 'SELECTED_VAR'), {
+      name: 'SELECTED_VAR',
+      value: 'selected-value',
+      visibility: 'selected',
+      selected_repository_ids: [target.repos.find(repo => repo.name === 'legacy').id],
+    });
+  });
+
+  it('reports variables that already exist in the target as failed', async () => {
+    server.state.orgs['target-org'].variables.push({ name: 'ORG_VAR', value: 'other', visibility: 'all' });
+
+    const { report } = await migrate(server, 'variables', { dryRun: false });
+
+    const failed = report.entries.find(entry => entry.key === 'org:ORG_VAR');
+    assert.equal(failed.status, 'failed');
+    assert.match(failed.error, /already exists/);
+    assert.equal(statuses(report, 'variable')['app/REPO_VAR'], 'succeeded');
+  });
+});
@@ -0,0 +1,218 @@
+import fs from 'fs';
+import { stringify } from 'csv-stringify/sync';
+import {logger} from './logger.js';
+
+const membersQuery = `
+  query listOrganizationMembers($org: String!, $cursor: String) {
+    organization(login: $org) {
+      membersWithRole(first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes { login email organizationVerifiedDomainEmails(login: $org) }
+      }
+    }
+  }
+`;
+
+const identityFields = `
+  pageInfo { hasNextPage endCursor }
+  nodes {
+    user { login }
+    samlIdentity { nameId emails { value } }
+    scimIdentity { username emails { value } }
+  }
+`;
+
+const organizationIdentitiesQuery = `
+  query listOrganizationIdentities($org: String!, $cursor: String) {
+    organization(login: $org) {
+      samlIdentityProvider {
+        externalIdentities(first: 100, after: $cursor) { ${identityFields} }
+      }
+    }
+  }
+`;
+
+const enterpriseIdentitiesQuery = `
+  query listEnterpriseIdentities($enterprise: String!, $cursor: String) {
+    enterprise(slug: $enterprise) {
+      ownerInfo {
+        samlIdentityProvider {
+          externalIdentities(first: 100, after: $cursor) { ${identityFields} }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Matches the members of the source organization to the users of the target, for a username
+ * mapping file. Each source member is matched in three passes, and the first pass with exactly
+ * one candidate wins:
+ * - high: a SAML NameID or SCIM username of the source user equals one of the target user
+ * - medium: an email of the source user, verified domain, SAML, SCIM or public, equals an email,
+ *   NameID or SCIM username of the target user
+ * - low: the login or an email handle of the source user equals the login of the target user,
+ *   without the `_shortcode` suffix of Enterprise Managed Users, ignoring case and punctuation
+ * Source users without a candidate, with several candidates in the deciding pass, or matched to a
+ * target user another source user matched as well are unmatched.
+ * @param {Function} sourceGraphQL - GraphQL client for source
+ * @param {Function} targetGraphQL - GraphQL client for target
+ * @param {string} sourceOrg - Source organization name
+ * @param {string} targetOrg - Target organization name
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.targetEnterprise] - Slug of the enterprise of an Enterprise Managed Users
+ * target, whose identities are matched in addition to the members of the target organization
+ * @returns {Promise<Object>} Mappings with their confidence and what matched, and unmatched users with the reason
+ */
+export async function generateUserMapping(sourceGraphQL, targetGraphQL, sourceOrg, targetOrg, options = {}) {
+  const sourceUsers = await fetchOrganizationUsers(sourceGraphQL, sourceOrg);
+  const targetUsers = await fetchOrganizationUsers(targetGraphQL, targetOrg);
+  if (options.targetEnterprise) {
+    const identities = await fetchAllNodes(
+      targetGraphQL,
+      enterpriseIdentitiesQuery,
+      { enterprise: options.targetEnterprise },
+      data => data.enterprise && data.enterprise.ownerInfo.samlIdentityProvider && data.enterprise.ownerInfo.samlIdentityProvider.externalIdentities
+    );
+    addIdentities(targetUsers, identities);
+  }
+  logger.info(`Matching ${sourceUsers.size} users of ${sourceOrg} to ${targetUsers.size} users of ${targetOrg}${options.targetEnterprise ? ` and enterprise ${options.targetEnterprise}` : ''}`);
+
+  const matches = [...sourceUsers.values()].map(user => ({ sourceUsername: user.login, ...matchUser(user, [...targetUsers.values()]) }));
+
+  // a target user can only take over one source user, so shared matches are left to a person to decide
+  const claims = new Map();
+  matches.filter(match => match.targetUsername).forEach(match => {
+    claims.set(match.targetUsername, [...(claims.get(match.targetUsername) || []), match.sourceUsername]);
+  });
+  const mappings = [];
+  const unmatched = [];
+  matches.forEach(match => {
+    if (!match.targetUsername) {
+      unmatched.push({ sourceUsername: match.sourceUsername, reason: match.reason });
+    } else if (claims.get(match.targetUsername).length > 1) {
+      unmatched.push({ sourceUsername: match.sourceUsername, reason: `${match.targetUsername} also matches ${claims.get(match.targetUsername).filter(login => login !== match.sourceUsername).join(', ')}` });
+    } else {
+      mappings.push({ sourceUsername: match.sourceUsername, targetUsername: match.targetUsername, confidence: match.confidence, matchedBy: match.matchedBy });
+    }
+  });
+
+  logger.info(`Matched ${mappings.length} users, ${unmatched.length} users are unmatched`);
+  return { mappings, unmatched };
+}
+
+/**
+ * Writes the matched users as a username mapping CSV file, which loadUsernameMappings reads,
+ * with the confidence and what matched in additional columns, and the unmatched users to a second file.
+ * @param {Object} userMapping - Mappings and unmatched users created by generateUserMapping
+ * @param {string} mappingPath - Path of the username mapping file
+ * @param {string} unmatchedPath - Path of the unmatched users file
+ */
+export function writeUserMapping(userMapping, mappingPath, unmatchedPath) {
+  fs.writeFileSync(mappingPath, stringify(userMapping.mappings, { header: true, columns: ['sourceUsername', 'targetUsername', 'confidence', 'matchedBy'] }));
+  fs.writeFileSync(unmatchedPath, stringify(userMapping.unmatched, { header: true, columns: ['sourceUsername', 'reason'] }));
+  logger.info(`Wrote ${userMapping.mappings.length} username mappings to ${mappingPath} and ${userMapping.unmatched.length} unmatched users to ${unmatchedPath}`);
+}
+
+/**
+ * Fetches the members of an organization with their emails and the SAML and SCIM identities
+ * linked to them, if the organization has SAML single sign-on.
+ * @param {Function} graphql - GraphQL client for the organization
+ * @param {string} org - Organization name
+ * @returns {Promise<Map>} Map of logins to users with their identities and emails
+ */
+async function fetchOrganizationUsers(graphql, org) {
+  const members = await fetchAllNodes(graphql, membersQuery, { org }, data => data.organization && data.organization.membersWithRole);
+  const users = new Map(members.map(member => [member.login, {
+    login: member.login,
+    identities: new Set(),
+    emails: new Set([member.email, ...(member.organizationVerifiedDomainEmails || [])].filter(Boolean).map(email => email.toLowerCase())),
+  }]));
+
+  const identities = await fetchAllNodes(
+    graphql,
+    organizationIdentitiesQuery,
+    { org },
+    data => data.organization && data.organization.samlIdentityProvider && data.organization.samlIdentityProvider.externalIdentities
+  );
+  addIdentities(users, identities);
+  logger.info(`Found ${users.size} members and ${identities.length} external identities in organization: ${org}`);
+  return users;
+}
+
+/**
+ * Adds the NameIDs, SCIM usernames and emails of external identities to the users they are linked
+ * to, adding users that are not known yet. Identities not linked to a user are left out.
+ * @param {Map} users - Map of logins to users
+ * @param {Array} identities - External identities
+ */
+function addIdentities(users, identities) {
+  identities.filter(identity => identity.user).forEach(identity => {
+    const { login } = identity.user;
+    if (!users.has(login)) {
+      users.set(login, { login, identities: new Set(), emails: new Set() });
+    }
+    const user = users.get(login);
+    const saml = identity.samlIdentity || {};
+    const scim = identity.scimIdentity || {};
+    [saml.nameId, scim.username].filter(Boolean).forEach(value => user.identities.add(value.toLowerCase()));
+    [...(saml.emails || []), ...(scim.emails || [])].forEach(email => user.emails.add(email.value.toLowerCase()));
+  });
+}
+
+/**
+ * Matches a source user to the target users, pass by pass.
+ * @param {Object} user - Source user
+ * @param {Array} targetUsers - Target users
+ * @returns {Object} Target username, confidence and what matched, or the reason there is no match
+ */
+function matchUser(user, targetUsers) {
+  const sourceHandles = new Set([user.login, ...[...user.identities, ...user.emails].map(value => value.split('@')[0])].map(normalizeHandle));
+  const passes = [
+    { confidence: 'high', matchedBy: 'identity', matches: target => [...user.identities].some(identity => target.identities.has(identity)) },
+    { confidence: 'medium', matchedBy: 'email', matches: target => [...user.emails, ...user.identities].some(email => target.emails.has(email) || target.identities.has(email)) },
+    { confidence: 'low', matchedBy: 'login', matches: target => sourceHandles.has(normalizeHandle(target.login.replace(/_[^_]+$/, ''))) || sourceHandles.has(normalizeHandle(target.login)) },
+  ];
+
+  for (const pass of passes) {
+    const candidates = targetUsers.filter(pass.matches);
+    if (candidates.length === 1) {
+      return { targetUsername: candidates[0].login, confidence: pass.confidence, matchedBy: pass.matchedBy };
+    }
+    if (candidates.length > 1) {
+      return { reason: `several users match by ${pass.matchedBy}: ${candidates.map(candidate => candidate.login).join(', ')}` };
+    }
+  }
+  return { reason: 'no match' };
+}
+
+/**
+ * Normalizes a login or email handle for comparison, ignoring case and punctuation.
+ * @param {string} handle - Login or handle
+ * @returns {string} Normalized handle
+ */
+function normalizeHandle(handle) {
+  return handle.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Fetches every node of a paginated GraphQL connection.
+ * @param {Function} graphql - GraphQL client
+ * @param {string} query - Query taking a cursor variable
+ * @param {Object} variables - Other query variables
+ * @param {Function} getConnection - Gets the connection from the query result, or null if there is none
+ * @returns {Promise<Array>} Nodes of all pages
+ */
+async function fetchAllNodes(graphql, query, variables, getConnection) {
+  const nodes = [];
+  let cursor = null;
+  do {
+    const connection = getConnection(await graphql(query, { ...variables, cursor }));
+    if (!connection) {
+      return nodes;
+    }
+    nodes.push(...connection.nodes);
+    cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+  return nodes;
+}
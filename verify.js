@@ -0,0 +1,104 @@
+import fs from 'fs';
+import {logger} from './logger.js';
+
+/**
+ * Creates the result of a parity check between the source and target organization.
+ * @param {string} component - Component name
+ * @returns {Object} Verification results
+ */
+export function createVerification(component) {
+  return {
+    component,
+    checked: 0,
+    missing: [],
+    extra: [],
+    mismatched: [],
+    errors: [],
+  };
+}
+
+/**
+ * Compares the items found in the source with the items found in the target.
+ * Items only found in the source are missing, items only found in the target are extra,
+ * and items whose values differ are mismatched.
+ * @param {Object} verification - Verification results created by createVerification
+ * @param {string} type - Item type, such as team-member or variable
+ * @param {Map} sourceItems - Map of item keys to the values expected in the target
+ * @param {Map} targetItems - Map of item keys to the values found in the target
+ */
+export function compareItems(verification, type, sourceItems, targetItems) {
+  sourceItems.forEach((value, key) => {
+    verification.checked++;
+    if (!targetItems.has(key)) {
+      verification.missing.push({ type, key });
+    } else if (targetItems.get(key) !== value) {
+      verification.mismatched.push({ type, key, source: value, target: targetItems.get(key) });
+    }
+  });
+  targetItems.forEach((value, key) => {
+    if (!sourceItems.has(key)) {
+      verification.extra.push({ type, key });
+    }
+  });
+}
+
+/**
+ * Lists all items of a paginated endpoint, treating a missing parent resource as empty.
+ * @param {Object} octokit - Octokit instance
+ * @param {Function} method - Octokit endpoint method
+ * @param {Object} params - Endpoint parameters
+ * @returns {Array} Array of items, empty if the endpoint responded with 404
+ */
+export async function paginateOrEmpty(octokit, method, params) {
+  try {
+    return await octokit.paginate(method, { ...params, per_page: 100 });
+  } catch (error) {
+    if (error.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks if a verification found missing or mismatched items, or could not complete.
+ * Extra items are reported but do not fail the verification.
+ * @param {Object} verification - Verification results
+ * @returns {boolean} Whether the target differs from the source
+ */
+export function hasDifferences(verification) {
+  return verification.missing.length > 0 || verification.mismatched.length > 0 || verification.errors.length > 0;
+}
+
+/**
+ * Prints the verification results as JSON followed by a table, and optionally writes the JSON to a file.
+ * @param {Array} verifications - Verification results, one per component
+ * @param {string} [outFile] - Path of the JSON report to write
+ */
+export function reportVerifications(verifications, outFile) {
+  const json = JSON.stringify(verifications, null, 2);
+  console.log(json);
+  if (outFile) {
+    fs.writeFileSync(outFile, json);
+    logger.info(`Wrote verification report to ${outFile}`);
+  }
+
+  const columns = ['checked', 'missing', 'extra', 'mismatched', 'errors'];
+  console.log(`\n  ${'component'.padEnd(14)}${columns.map(column => column.padStart(12)).join('')}`);
+  verifications.forEach(verification => {
+    const counts = columns.map(column => column === 'checked' ? verification.checked : verification[column].length);
+    console.log(`  ${verification.component.padEnd(14)}${counts.map(count => String(count).padStart(12)).join('')}`);
+  });
+
+  verifications.forEach(verification => {
+    ['missing', 'mismatched', 'extra'].forEach(kind => {
+      verification[kind].forEach(item => {
+        const values = kind === 'mismatched' ? `  (source: ${item.source}, target: ${item.target})` : '';
+        console.log(`  ${kind.padEnd(12)}${verification.component.padEnd(14)}${item.type.padEnd(22)}${item.key}${values}`);
+      });
+    });
+    verification.errors.forEach(error => {
+      console.log(`  ${'error'.padEnd(12)}${verification.component.padEnd(14)}${error.message}`);
+    });
+  });
+}